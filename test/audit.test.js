@@ -0,0 +1,54 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { buildAuditReport, reportToCsv } from '../viewer/audit-report.js';
+
+const labels = new Map([[1, 'G001'], [2, 'A101'], [3, 'A102'], [4, 'AC401'], [5, 'A102']]);
+const callouts = new Map([
+  ['09/AC401', [{ page: 2 }, { page: 3 }]],
+  ['3/A101', [{ page: 4 }]],
+  ['5/A900', [{ page: 4 }, { page: 1 }]],
+  // A sheet pointing at itself doesn't keep it from being an orphan
+  ['2/A102', [{ page: 3 }]]
+]);
+const options = { pdfFile: 'set.pdf', pageCount: 5 };
+
+test('buildAuditReport lists callouts to sheets missing from the set', () => {
+  const report = buildAuditReport(labels, callouts, options);
+  assert.deepEqual(report.broken_references, [
+    { reference: '5/A900', detail: '5', sheet: 'A900', page: 1, source_sheet: 'G001' },
+    { reference: '5/A900', detail: '5', sheet: 'A900', page: 4, source_sheet: 'AC401' }
+  ]);
+  assert.equal(report.pdf_file, 'set.pdf');
+  assert.equal(report.total_pages, 5);
+  assert.equal(report.total_sheets, 4);
+});
+
+test('buildAuditReport finds orphan sheets and duplicate sheet IDs', () => {
+  const report = buildAuditReport(labels, callouts, options);
+  assert.deepEqual(report.orphan_sheets, [{ sheet: 'G001', page: 1 }, { sheet: 'A102', page: 3 }]);
+  assert.deepEqual(report.duplicate_sheets, [{ sheet: 'A102', pages: [3, 5] }]);
+});
+
+test('buildAuditReport reports nothing for a set whose sheets all reference each other', () => {
+  const report = buildAuditReport(
+    new Map([[1, 'A101'], [2, 'A501']]),
+    new Map([['1/A501', [{ page: 1 }]], ['4/A101', [{ page: 2 }]]]),
+    options
+  );
+  assert.deepEqual(report.broken_references, []);
+  assert.deepEqual(report.orphan_sheets, []);
+  assert.deepEqual(report.duplicate_sheets, []);
+});
+
+test('reportToCsv writes one row per issue', () => {
+  const csv = reportToCsv(buildAuditReport(labels, callouts, options));
+  assert.equal(csv, [
+    'issue,sheet,reference,page,source_sheet,details',
+    'broken_reference,A900,5/A900,1,G001,target sheet not in set',
+    'broken_reference,A900,5/A900,4,AC401,target sheet not in set',
+    'orphan_sheet,G001,,1,,not referenced from any other sheet',
+    'orphan_sheet,A102,,3,,not referenced from any other sheet',
+    'duplicate_sheet,A102,,3 5,,sheet ID on 2 pages',
+    ''
+  ].join('\n'));
+});
@@ -0,0 +1,194 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  parseCallout,
+  parseSheetId,
+  findCallouts,
+  findPageCallouts,
+  detectSheetLabel,
+  detectSheetTitle,
+  findDetailOnPage,
+  isTitleBlockField
+} from '../viewer/detect.js';
+import { loadPatterns, openPage, titleBlock, SHEET_HEIGHT } from './fixtures.js';
+
+const patterns = loadPatterns();
+
+test('parseCallout normalizes the callout text', () => {
+  assert.deepEqual(parseCallout('SEE 9 / ac 401 FOR FLASHING', patterns),
+    { text: '9/AC401', detail: '9', sheet: 'AC401', index: 4, length: 10 });
+  assert.equal(parseCallout('3/S-201', patterns).text, '3/S-201');
+  assert.equal(parseCallout('2/A5.1', patterns).text, '2/A5.1');
+  assert.equal(parseCallout('SCALE: 1/4" = 1\'-0"', patterns), null);
+  assert.equal(parseCallout('DATE 05/24/2024', patterns), null);
+});
+
+test('findCallouts finds every callout in order', () => {
+  const found = findCallouts('SIM 3/S-201, SEE 09/AC401 AND 2/A101', patterns);
+  assert.deepEqual(found.map(c => c.text), ['3/S-201', '09/AC401', '2/A101']);
+});
+
+test('parseSheetId reads a sheet ID at the start of a row', () => {
+  assert.deepEqual(parseSheetId('A101  FIRST FLOOR PLAN', patterns), { sheet: 'A101', length: 4 });
+  assert.deepEqual(parseSheetId('ac 401 DETAILS', patterns), { sheet: 'AC401', length: 6 });
+  assert.equal(parseSheetId('FIRST FLOOR PLAN', patterns), null);
+});
+
+test('isTitleBlockField tells field labels from titles', () => {
+  for (const field of ['SHEET NO.', 'DATE:', 'DRAWN BY', 'PROJECT NUMBER', 'SCALE']) {
+    assert.equal(isTitleBlockField(field), true, field);
+  }
+  for (const title of ['FIRST FLOOR PLAN', 'ROOF DETAILS', 'SHEET METAL DETAILS']) {
+    assert.equal(isTitleBlockField(title), false, title);
+  }
+});
+
+test('findPageCallouts joins callouts split across text items', async () => {
+  const { doc, page, content } = await openPage({
+    text: [
+      { text: '09', x: 100, y: 400, size: 10, font: 'F2' },
+      { text: '/', x: 111.2, y: 400, size: 10 },
+      { text: 'AC401', x: 114.0, y: 400, size: 10, font: 'F2' }
+    ]
+  });
+  try {
+    // The fixture only means something if PDF.js really splits the callout
+    assert.ok(content.items.filter(item => item.str).length >= 3);
+    const found = findPageCallouts(content, page.getViewport({ scale: 1 }), patterns);
+    assert.equal(found.length, 1);
+    assert.equal(found[0].callout.text, '09/AC401');
+    const { box } = found[0];
+    assert.ok(Math.abs(box.x - 100) < 1, `box starts at the first item (${box.x})`);
+    assert.ok(box.x + box.width > 140, `box reaches the last item (${box.x + box.width})`);
+    assert.ok(box.y < SHEET_HEIGHT - 400 && box.y + box.height > SHEET_HEIGHT - 400);
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('findPageCallouts finds vertical callouts', async () => {
+  const { doc, page, content } = await openPage({
+    text: [
+      { text: 'SEE 3/S-201', x: 300, y: 200, size: 10, angle: 90 },
+      { text: 'TYP. 5/A101', x: 500, y: 600, size: 10, angle: -90 }
+    ]
+  });
+  try {
+    const viewport = page.getViewport({ scale: 1 });
+    const found = findPageCallouts(content, viewport, patterns);
+    assert.deepEqual(found.map(f => f.callout.text), ['3/S-201', '5/A101']);
+    for (const { box } of found) {
+      assert.ok(box.height > box.width * 2, 'vertical text gives a tall box');
+    }
+    // Reading bottom to top: the callout is above the "SEE " prefix
+    const up = found[0].box;
+    assert.ok(Math.abs(up.x + up.width / 2 - 296) < 6, `box centred on the baseline (${up.x})`);
+    assert.ok(up.y + up.height < SHEET_HEIGHT - 200 - 15, 'box starts after the prefix');
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('findPageCallouts works on rotated pages', async () => {
+  const { doc, page, content } = await openPage({ rotate: 90, text: [{ text: '3/S-201', x: 300, y: 200 }] });
+  try {
+    const viewport = page.getViewport({ scale: 1 });
+    const [found] = findPageCallouts(content, viewport, patterns);
+    assert.equal(found.callout.text, '3/S-201');
+    // Page x runs down the displayed page once it is turned
+    assert.ok(found.box.height > found.box.width);
+    assert.ok(Math.abs(found.box.y - 300) < 1);
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('detectSheetLabel reads the sheet ID from the title block', async () => {
+  const { doc, page, content } = await openPage({
+    text: [
+      // Callouts and sheet IDs in the drawing don't count
+      { text: 'SEE 3/S-201', x: 700, y: 100 },
+      { text: 'A102', x: 200, y: 700, size: 24 },
+      ...titleBlock('A101', ['FIRST FLOOR PLAN'])
+    ]
+  });
+  try {
+    assert.equal(await detectSheetLabel(page, content, patterns), 'A101');
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('detectSheetLabel joins a sheet ID split across items', async () => {
+  const { doc, page, content } = await openPage({
+    text: [
+      { text: 'SHEET NO.', x: 1100, y: 90, size: 8 },
+      { text: 'AC', x: 1100, y: 60, size: 24, font: 'F2' },
+      { text: '401', x: 1140, y: 60, size: 24 }
+    ]
+  });
+  try {
+    assert.equal(await detectSheetLabel(page, content, patterns), 'AC401');
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('pages without a title block have no sheet ID or title', async () => {
+  const { doc, page, content } = await openPage({
+    text: [
+      { text: 'GENERAL NOTES', x: 100, y: 700, size: 18 },
+      { text: 'REFER TO 3/S-201 FOR FRAMING', x: 100, y: 650 },
+      { text: 'A101', x: 1100, y: 60, size: 24 }
+    ]
+  });
+  try {
+    assert.equal(await detectSheetLabel(page, content, patterns), null);
+    assert.equal(detectSheetTitle(page, content, patterns), null);
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('detectSheetTitle reads the lines under the title label', async () => {
+  const { doc, page, content } = await openPage({ text: titleBlock('A501', ['ROOF', 'DETAILS']) });
+  try {
+    assert.equal(detectSheetTitle(page, content, patterns), 'ROOF DETAILS');
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('detectSheetTitle reads a title on the label line', async () => {
+  const { doc, page, content } = await openPage({
+    text: [{ text: 'SHEET TITLE: BUILDING ELEVATIONS', x: 1000, y: 200, size: 8 }]
+  });
+  try {
+    assert.equal(detectSheetTitle(page, content, patterns), 'BUILDING ELEVATIONS');
+  } finally {
+    await doc.destroy();
+  }
+});
+
+test('findDetailOnPage locates a detail bubble and its title', async () => {
+  const { doc, page, content } = await openPage({
+    text: [
+      // A bare number in a note is not a detail
+      { text: '9', x: 100, y: 300, size: 10 },
+      { text: '9', x: 400, y: 400, size: 20 },
+      { text: 'WALL SECTION', x: 430, y: 402, size: 12 },
+      { text: 'SCALE: 1 1/2" = 1\'-0"', x: 430, y: 388, size: 8 }
+    ]
+  });
+  try {
+    const region = await findDetailOnPage(page, content, '09');
+    assert.ok(region);
+    assert.equal(region.title, 'WALL SECTION');
+    assert.ok(Math.abs(region.x - 400) < 1);
+    assert.ok(region.y < SHEET_HEIGHT - 400 && region.y + region.height >= SHEET_HEIGHT - 402);
+    assert.equal(await findDetailOnPage(page, content, '4'), null);
+    assert.equal(await findDetailOnPage(page, content, 'X'), null);
+  } finally {
+    await doc.destroy();
+  }
+});
@@ -0,0 +1,89 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import pdfjsLib from 'pdfjs-dist/legacy/build/pdf.js';
+import { layoutOnPaper, stampText, MARGIN, STAMP_POSITION, STAMP_SIZE } from '../viewer/paper.js';
+import { writeImagePdf } from '../viewer/pdf-writer.js';
+import { SHEET_WIDTH, SHEET_HEIGHT } from './fixtures.js';
+
+// 24x36" (ARCH D) sheet, in points
+const ARCH_D = { width: 2592, height: 1728 };
+
+test('layoutOnPaper without paper puts a margin round the sheet', () => {
+  const layout = layoutOnPaper({ width: SHEET_WIDTH, height: SHEET_HEIGHT });
+  assert.deepEqual(layout, {
+    pageWidth: SHEET_WIDTH + 2 * MARGIN,
+    pageHeight: SHEET_HEIGHT + 2 * MARGIN,
+    x: MARGIN,
+    y: MARGIN,
+    width: SHEET_WIDTH,
+    height: SHEET_HEIGHT,
+    scale: 1,
+    fits: true
+  });
+  assert.equal(layoutOnPaper({ width: 200, height: 100 }, { scale: 0.5 }).pageWidth, 100 + 2 * MARGIN);
+});
+
+test('layoutOnPaper fits and centres the sheet on paper turned to match it', () => {
+  const layout = layoutOnPaper(ARCH_D, { paper: 'tabloid', scale: 'fit' });
+  assert.equal(layout.pageWidth, 1224);
+  assert.equal(layout.pageHeight, 792);
+  assert.ok(layout.fits);
+  assert.ok(layout.width <= 1224 - 2 * MARGIN + 1e-9 && layout.height <= 792 - 2 * MARGIN + 1e-9);
+  assert.ok(Math.abs(layout.x - (1224 - layout.width) / 2) < 1e-9);
+  assert.ok(Math.abs(layout.y - (792 - layout.height) / 2) < 1e-9);
+
+  const portrait = layoutOnPaper({ width: 100, height: 300 }, { paper: 'letter', scale: 'fit' });
+  assert.equal(portrait.pageWidth, 612);
+  assert.equal(portrait.pageHeight, 792);
+});
+
+test('layoutOnPaper crops a sheet too big for the paper at a fixed scale', () => {
+  const half = layoutOnPaper(ARCH_D, { paper: 'tabloid', scale: 0.5 });
+  assert.equal(half.width, 1296);
+  assert.equal(half.height, 864);
+  assert.equal(half.fits, false);
+  assert.ok(half.x < MARGIN);
+
+  const full = layoutOnPaper(ARCH_D, { paper: 'arch-e1', scale: 1 });
+  assert.equal(full.width, ARCH_D.width);
+  assert.ok(full.fits);
+  assert.throws(() => layoutOnPaper(ARCH_D, { paper: 'b0' }), /Unknown paper size/);
+});
+
+test('stampText names the sheet, set and date and notes the scale', () => {
+  const stamp = { sheet: 'A101', title: 'FIRST FLOOR PLAN', setName: 'set.pdf', date: '2024-05-24' };
+  assert.equal(stampText({ ...stamp, scale: 1 }), 'A101 FIRST FLOOR PLAN | set.pdf | 2024-05-24');
+  assert.equal(stampText({ ...stamp, scale: 0.5 }), 'A101 FIRST FLOOR PLAN | set.pdf | 2024-05-24 | 50% of full size');
+  assert.equal(stampText({ sheet: 'A101', date: '2024-05-24', scale: 'fit' }), 'A101 | 2024-05-24 | not to scale');
+});
+
+test('writeImagePdf writes pages PDF.js can open, with their stamp', async () => {
+  // Not a decodable JPEG: PDF.js only reads it when the page is drawn
+  const jpeg = new Uint8Array([0xff, 0xd8, 0xff, 0xd9]);
+  const page = (sheet, layout) => ({
+    width: layout.pageWidth,
+    height: layout.pageHeight,
+    images: [{ jpeg, pixelWidth: 4, pixelHeight: 3, x: layout.x, y: layout.y, width: layout.width, height: layout.height }],
+    text: [{ text: stampText({ sheet, setName: 'set (rev 2).pdf', date: '2024-05-24', scale: layout.scale }), ...STAMP_POSITION, size: STAMP_SIZE }]
+  });
+  const data = writeImagePdf([
+    page('A101', layoutOnPaper({ width: SHEET_WIDTH, height: SHEET_HEIGHT })),
+    page('A102', layoutOnPaper(ARCH_D, { paper: 'tabloid', scale: 0.5 }))
+  ], { title: 'set-2-sheets' });
+
+  const doc = await pdfjsLib.getDocument({ data, isEvalSupported: false, verbosity: 0 }).promise;
+  try {
+    assert.equal(doc.numPages, 2);
+    const first = await doc.getPage(1);
+    const viewport = first.getViewport({ scale: 1 });
+    assert.equal(viewport.width, SHEET_WIDTH + 2 * MARGIN);
+    assert.equal(viewport.height, SHEET_HEIGHT + 2 * MARGIN);
+    const { items } = await (await doc.getPage(2)).getTextContent();
+    assert.equal(items.map(item => item.str).join(''), 'A102 | set (rev 2).pdf | 2024-05-24 | 50% of full size');
+    assert.deepEqual(items[0].transform.slice(4), [STAMP_POSITION.x, STAMP_POSITION.y]);
+    const { info } = await doc.getMetadata();
+    assert.equal(info.Title, 'set-2-sheets');
+  } finally {
+    await doc.destroy();
+  }
+});
@@ -0,0 +1,116 @@
+/**
+ * fixtures.js - Synthetic plan set PDFs for the tests
+ *
+ * Builds small PDFs in memory with each piece of text placed exactly where
+ * a test needs it, so title blocks, callouts and detail titles can be laid
+ * out (or left out) one case at a time, and loads them with pdfjs-dist the
+ * way tools/plan-navigator.js does.
+ */
+
+import fs from 'fs';
+import pdfjsLib from 'pdfjs-dist/legacy/build/pdf.js';
+import { compilePatterns } from '../viewer/detect.js';
+
+// 17x11" (ANSI B) sheet, in points
+export const SHEET_WIDTH = 1224;
+export const SHEET_HEIGHT = 792;
+
+// Fonts the text can be set in. A change of font starts a new PDF.js text
+// item, which is how callouts end up split across items in real sets.
+const FONTS = { F1: 'Helvetica', F2: 'Helvetica-Bold' };
+
+/**
+ * The viewer's pattern config, compiled
+ */
+export function loadPatterns() {
+  const file = new URL('../viewer/patterns.json', import.meta.url);
+  return compilePatterns(JSON.parse(fs.readFileSync(file, 'utf8')));
+}
+
+/**
+ * Escape a string for a PDF literal string
+ */
+function pdfString(text) {
+  return `(${text.replace(/([()\\])/g, '\\$1')})`;
+}
+
+/**
+ * Build a PDF from page specs:
+ * [{ width?, height?, rotate?, text: [{ text, x, y, size?, angle?, font? }] }]
+ * with x, y in PDF points from the bottom left, angle in degrees
+ * (counter-clockwise) and font 'F1' (Helvetica) or 'F2' (Helvetica-Bold).
+ * Returns the file as a Uint8Array.
+ */
+export function makePdf(pages) {
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const fontRefs = Object.entries(FONTS)
+    .map(([name, base]) => `/${name} ${add(`<< /Type /Font /Subtype /Type1 /BaseFont /${base} >>`)} 0 R`);
+  const pagesId = add(null);
+
+  const kids = pages.map(({ width = SHEET_WIDTH, height = SHEET_HEIGHT, rotate = 0, text = [] }) => {
+    const ops = text.map(({ text: str, x, y, size = 10, angle = 0, font = 'F1' }) => {
+      const radians = angle * Math.PI / 180;
+      const cos = Math.cos(radians).toFixed(6);
+      const sin = Math.sin(radians).toFixed(6);
+      return `BT /${font} ${size} Tf ${cos} ${sin} ${-sin} ${cos} ${x} ${y} Tm ${pdfString(str)} Tj ET`;
+    });
+    const stream = ops.join('\n');
+    const contents = add(`<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${width} ${height}] /Rotate ${rotate}`
+      + ` /Contents ${contents} 0 R /Resources << /Font << ${fontRefs.join(' ')} >> >> >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const catalog = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = objects.map((body, i) => {
+    const offset = pdf.length;
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+    return offset;
+  });
+  const xref = pdf.length;
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+  return new Uint8Array(Buffer.from(pdf, 'latin1'));
+}
+
+/**
+ * Build a PDF from page specs (see makePdf) and open it with PDF.js.
+ * Destroy the document when done.
+ */
+export function openPdf(pages) {
+  return pdfjsLib.getDocument({ data: makePdf(pages), isEvalSupported: false, verbosity: 0 }).promise;
+}
+
+/**
+ * Open a one-page PDF: { doc, page, content }
+ */
+export async function openPage(pageSpec) {
+  const doc = await openPdf([pageSpec]);
+  const page = await doc.getPage(1);
+  const content = await page.getTextContent();
+  return { doc, page, content };
+}
+
+/**
+ * A title block in the lower-right corner, as text specs: the "SHEET NO."
+ * label with the sheet ID under it, and optionally "SHEET TITLE" with the
+ * title's lines under it
+ */
+export function titleBlock(sheet, titleLines = []) {
+  const text = [
+    { text: 'SHEET NO.', x: 1100, y: 90, size: 8 },
+    { text: sheet, x: 1100, y: 60, size: 24 }
+  ];
+  if (titleLines.length > 0) {
+    text.push({ text: 'SHEET TITLE', x: 1000, y: 200, size: 8 });
+    titleLines.forEach((line, i) => text.push({ text: line, x: 1000, y: 185 - i * 14, size: 12 }));
+    text.push({ text: 'DATE:', x: 1000, y: 120, size: 8 });
+  }
+  return text;
+}
@@ -0,0 +1,86 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { textRuns, runRangeBox } from '../viewer/geometry.js';
+import { findPageCallouts } from '../viewer/detect.js';
+import { loadPatterns, openPage, SHEET_HEIGHT } from './fixtures.js';
+
+const patterns = loadPatterns();
+
+/**
+ * Link hit box of the only callout on a page spec, as renderPageLinks
+ * places it: { box, content, viewport }
+ */
+async function calloutBox(pageSpec, scale = 1) {
+  const { doc, page, content } = await openPage(pageSpec);
+  const viewport = page.getViewport({ scale });
+  const found = findPageCallouts(content, viewport, patterns);
+  await doc.destroy();
+  assert.equal(found.length, 1);
+  return { box: found[0].box, content, viewport };
+}
+
+const near = (actual, expected, tolerance, message) =>
+  assert.ok(Math.abs(actual - expected) <= tolerance, `${message}: ${actual} is not ${expected}`);
+
+test('a hit box spans a callout split across items by their real widths', async () => {
+  const { box, content } = await calloutBox({
+    text: [
+      { text: 'SEE', x: 60, y: 400 },
+      { text: '09', x: 100, y: 400, font: 'F2' },
+      { text: '/', x: 111.2, y: 400 },
+      { text: 'AC401', x: 114, y: 400, font: 'F2' }
+    ]
+  });
+  const last = content.items.filter(item => item.str).pop();
+  assert.equal(last.str, 'AC401');
+  // From the start of "09" to the end of "AC401", not the character count
+  near(box.origin[0], 100, 0.5, 'starts at the first item');
+  near(box.length, 114 + last.width - 100, 0.5, 'ends with the last item');
+  near(box.angle, 0, 1e-6, 'horizontal');
+  // Bottom-left corner below the baseline by the descender
+  assert.ok(box.origin[1] > SHEET_HEIGHT - 400 && box.origin[1] < SHEET_HEIGHT - 400 + 4);
+  near(box.thickness, 12, 0.5, 'cap height plus descender');
+});
+
+test('a hit box follows text set at an angle', async () => {
+  const { box, content } = await calloutBox({ text: [{ text: '3/S-201', x: 300, y: 400, angle: 30 }] });
+  // Counter-clockwise on the page is clockwise on screen (y points down)
+  near(box.angle, -Math.PI / 6, 1e-3, 'turned with the text');
+  near(box.length, content.items[0].width, 0.5, 'as long as the text');
+  // The baseline starts at the text origin; the corner is the descender below it
+  const descent = box.thickness - 10;
+  near(box.origin[0], 300 + Math.sin(Math.PI / 6) * descent, 0.5, 'x');
+  near(box.origin[1], SHEET_HEIGHT - 400 + Math.cos(Math.PI / 6) * descent, 0.5, 'y');
+});
+
+test('a hit box turns with a page that has /Rotate', async () => {
+  const { box, viewport } = await calloutBox({ rotate: 90, text: [{ text: '3/S-201', x: 300, y: 200 }] });
+  assert.ok(viewport.width < viewport.height, 'the sheet is shown turned');
+  // Text along the page's x runs down the displayed page
+  near(box.angle, Math.PI / 2, 1e-3, 'turned with the page');
+  near(box.origin[1], 300, 0.5, 'starts at the text origin');
+  near(box.origin[0], 200 - (box.thickness - 10), 0.5, 'descender side of the baseline');
+});
+
+test('hit boxes scale with the zoom', async () => {
+  const spec = { text: [{ text: '9/AC401', x: 100, y: 400 }] };
+  const { box: one } = await calloutBox(spec, 1);
+  const { box: two } = await calloutBox(spec, 2.5);
+  near(two.length, one.length * 2.5, 0.01, 'length');
+  near(two.thickness, one.thickness * 2.5, 0.01, 'thickness');
+  near(two.origin[0], one.origin[0] * 2.5, 0.01, 'x');
+});
+
+test('textRuns keeps text on other baselines and far along the line apart', () => {
+  const item = (str, x, y, width) => ({ str, transform: [10, 0, 0, 10, x, y], width, height: 10 });
+  const runs = textRuns([
+    item('09', 100, 400, 11),
+    item('/AC401', 111, 400, 33),
+    item('3/A101', 100, 380, 30),
+    item('5/A102', 400, 380, 30)
+  ], [1, 0, 0, -1, 0, SHEET_HEIGHT]);
+  assert.deepEqual(runs.map(run => run.text), ['09/AC401', '3/A101', '5/A102']);
+  const box = runRangeBox(runs[0], 3, 8);
+  near(box.origin[0], 111 + 33 / 6, 1e-6, 'character offset inside the second item');
+  near(box.length, 33 * 5 / 6, 1e-6, 'to the end of the run');
+});
@@ -0,0 +1,51 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findGoToTargets, fuzzyScore } from '../viewer/goto.js';
+import { loadPatterns } from './fixtures.js';
+
+const patterns = loadPatterns();
+const labels = new Map([[1, 'G001'], [2, 'A101'], [3, 'A102'], [4, 'AC401'], [5, 'S-201']]);
+const titles = new Map([[1, 'COVER SHEET'], [2, 'FIRST FLOOR PLAN'], [3, 'SECOND FLOOR PLAN'], [4, 'ROOF DETAILS'], [5, 'FRAMING PLAN']]);
+const options = { patterns, labels, titles, totalPages: 5 };
+
+test('fuzzyScore prefers word starts, then substrings, then letters in order', () => {
+  assert.equal(fuzzyScore('roof', 'AC401 ROOF DETAILS'), 3);
+  assert.equal(fuzzyScore('oof', 'AC401 ROOF DETAILS'), 2);
+  assert.equal(fuzzyScore('rfdtl', 'AC401 ROOF DETAILS'), 1);
+  assert.equal(fuzzyScore('roof det', 'AC401 ROOF DETAILS'), 6);
+  assert.equal(fuzzyScore('roof plan', 'AC401 ROOF DETAILS'), 0);
+  assert.equal(fuzzyScore('', 'AC401 ROOF DETAILS'), 0);
+});
+
+test('findGoToTargets reads a callout', () => {
+  const [target] = findGoToTargets('9 / ac 401', options);
+  assert.deepEqual(target, { type: 'callout', ref: '9/AC401' });
+});
+
+test('findGoToTargets puts the sheet ID first, then sheets starting with it', () => {
+  const targets = findGoToTargets('a10', options);
+  assert.deepEqual(targets.slice(0, 2).map(t => t.sheet), ['A101', 'A102']);
+  assert.deepEqual(findGoToTargets('ac401', options)[0], { type: 'sheet', sheet: 'AC401', page: 4, title: 'ROOF DETAILS' });
+});
+
+test('findGoToTargets reads page numbers', () => {
+  assert.deepEqual(findGoToTargets('3', options)[0], { type: 'page', page: 3 });
+  assert.deepEqual(findGoToTargets('p 5', options)[0], { type: 'page', page: 5 });
+  assert.ok(!findGoToTargets('12', options).some(t => t.type === 'page'));
+});
+
+test('findGoToTargets matches sheet titles loosely', () => {
+  const targets = findGoToTargets('floor plan', options);
+  assert.deepEqual(targets.map(t => t.page), [2, 3]);
+  assert.deepEqual(findGoToTargets('framing', options).map(t => t.sheet), ['S-201']);
+  assert.deepEqual(findGoToTargets('zzz', options), []);
+});
+
+test('findGoToTargets finds sheets in the other sets of a project', () => {
+  const document = { key: 'mep.pdf', title: 'MEP' };
+  const findElsewhere = sheet => (sheet === 'M101' ? { pages: [7], document } : null);
+  assert.deepEqual(findGoToTargets('M101', { ...options, findElsewhere })[0],
+    { type: 'sheet', sheet: 'M101', page: 7, document });
+  // Sheets in the open set win
+  assert.equal(findGoToTargets('A101', { ...options, findElsewhere: () => ({ pages: [1], document }) })[0].document, undefined);
+});
@@ -0,0 +1,31 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { buildIndex } from '../tools/plan-navigator.js';
+import { INDEX_SCHEMA_VERSION } from '../viewer/detect.js';
+import { loadPatterns, makePdf, titleBlock } from './fixtures.js';
+
+test('buildIndex records sheets, titles and callouts', async () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'plan-navigator-'));
+  const pdfPath = path.join(dir, 'set.pdf');
+  fs.writeFileSync(pdfPath, makePdf([
+    { text: [{ text: 'SEE 09/AC401 FOR FLASHING', x: 300, y: 400 }, ...titleBlock('A101', ['FIRST FLOOR PLAN'])] },
+    { text: [{ text: '3/A101', x: 200, y: 300, angle: 90 }] }
+  ]));
+  try {
+    const index = await buildIndex(pdfPath, loadPatterns().config);
+    assert.equal(index.schema_version, INDEX_SCHEMA_VERSION);
+    assert.equal(index.pdf_file, 'set.pdf');
+    assert.equal(index.total_pages, 2);
+    assert.deepEqual(index.sheets, [{ page: 1, sheet: 'A101', title: 'FIRST FLOOR PLAN' }]);
+    assert.deepEqual(Object.keys(index.tags).sort(), ['09/AC401', '3/A101']);
+    const [occurrence] = index.tags['09/AC401'];
+    assert.equal(occurrence.page, 1);
+    assert.equal(occurrence.snippet, 'SEE 09/AC401 FOR FLASHING');
+    assert.ok(occurrence.bbox.x0 > 300 && occurrence.bbox.x1 > occurrence.bbox.x0);
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
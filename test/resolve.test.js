@@ -0,0 +1,75 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { resolveCallout } from '../viewer/resolve.js';
+import { detectSheetLabel } from '../viewer/detect.js';
+import { loadPatterns, openPdf, titleBlock } from './fixtures.js';
+
+const patterns = loadPatterns();
+
+test('resolveCallout finds the page carrying the sheet ID', () => {
+  const labels = new Map([[1, 'A101'], [2, 'AC401'], [3, 'S-201']]);
+  assert.deepEqual(resolveCallout('09/AC401', { patterns, labels }), { status: 'resolved', pages: [2] });
+  assert.deepEqual(resolveCallout('9 / ac 401', { patterns, labels }), { status: 'resolved', pages: [2] });
+});
+
+test('resolveCallout reports duplicate sheet IDs as ambiguous', () => {
+  const labels = new Map([[4, 'A101'], [1, 'A101'], [2, 'A201']]);
+  assert.deepEqual(resolveCallout('3/A101', { patterns, labels }), { status: 'ambiguous', pages: [1, 4] });
+});
+
+test('resolveCallout is pending until the sheet scan is done', () => {
+  const labels = new Map([[1, 'A101']]);
+  assert.deepEqual(resolveCallout('3/S-201', { patterns, labels, pending: true }), { status: 'pending', pages: [] });
+  assert.deepEqual(resolveCallout('3/S-201', { patterns, labels }), { status: 'missing', pages: [] });
+  assert.deepEqual(resolveCallout('not a callout', { patterns, labels }), { status: 'missing', pages: [] });
+});
+
+test('resolveCallout falls back to the sheets listed in the index', () => {
+  const sheets = [{ page: 6, sheet: 'A501' }, { page: 7, sheet: null }];
+  assert.deepEqual(resolveCallout('2/A501', { patterns, labels: new Map(), sheets }), { status: 'resolved', pages: [6] });
+});
+
+test('resolveCallout does not take the pages a callout is written on as its target', () => {
+  // index.json tags: 5/A501 is written on pages 2 and 4, which are not A501
+  const tags = { '5/A501': [{ page: 2 }, { page: 4 }] };
+  assert.deepEqual(resolveCallout('5/A501', { patterns, labels: new Map([[2, 'A101']]), tags }), { status: 'missing', pages: [] });
+});
+
+test('resolveCallout looks in the other sets of a project', () => {
+  const document = { key: 'struct.pdf', title: 'Structural' };
+  const findElsewhere = sheet => (sheet === 'S-201' ? { pages: [3], document } : null);
+  const labels = new Map([[1, 'A101']]);
+  assert.deepEqual(resolveCallout('3/S-201', { patterns, labels, findElsewhere }), { status: 'resolved', pages: [3], document });
+  // Sheets in the open set win
+  assert.deepEqual(resolveCallout('3/A101', { patterns, labels, findElsewhere }), { status: 'resolved', pages: [1] });
+});
+
+test('resolveCallout opens another set of a project before falling back to the index', () => {
+  const document = { key: 'struct.pdf', title: 'Structural' };
+  const findElsewhere = sheet => (sheet === 'S501' ? { pages: [2], document } : null);
+  const labels = new Map([[1, 'A101'], [5, 'A501']]);
+  // The architectural index lists where 3/S501 is written and a stale sheet entry
+  const tags = { '3/S501': [{ page: 5 }] };
+  const sheets = [{ page: 5, sheet: 'S501' }];
+  assert.deepEqual(resolveCallout('3/S501', { patterns, labels, tags, sheets, findElsewhere }), { status: 'resolved', pages: [2], document });
+  assert.deepEqual(resolveCallout('3/S501', { patterns, labels, tags, sheets }), { status: 'resolved', pages: [5] });
+});
+
+test('callouts resolve against sheet IDs detected in a set', async () => {
+  const doc = await openPdf([
+    { text: [{ text: 'COVER SHEET', x: 100, y: 700, size: 24 }] },
+    { text: [{ text: 'SEE 09/AC401', x: 300, y: 400 }, ...titleBlock('A101', ['FIRST FLOOR PLAN'])] },
+    { text: titleBlock('AC401', ['DETAILS']) }
+  ]);
+  try {
+    const labels = new Map();
+    for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
+      const label = await detectSheetLabel(await doc.getPage(pageNum), null, patterns);
+      if (label) labels.set(pageNum, label);
+    }
+    assert.deepEqual(Array.from(labels), [[2, 'A101'], [3, 'AC401']]);
+    assert.deepEqual(resolveCallout('09/AC401', { patterns, labels }), { status: 'resolved', pages: [3] });
+  } finally {
+    await doc.destroy();
+  }
+});
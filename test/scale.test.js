@@ -0,0 +1,42 @@
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { findScaleNotes, distinctScales, parseLength, formatLength, polylineLength, polygonArea } from '../viewer/scale.js';
+
+const labels = notes => notes.map(note => note.label);
+
+test('findScaleNotes reads architectural, engineering and metric scales', () => {
+  const notes = findScaleNotes(`PLAN SCALE: 1/4" = 1'-0" DETAIL 1 1/2" = 1'-0" SITE 1" = 20'-0" SCALE 1:100`);
+  assert.deepEqual(labels(notes), [`1/4" = 1'-0"`, `1 1/2" = 1'-0"`, `1" = 20'`, '1:100']);
+  assert.equal(notes[0].unitsPerPoint, 1 / 18);
+  assert.equal(notes[2].unitsPerPoint, 20 / 72);
+  assert.equal(notes[3].unit, 'm');
+});
+
+test('findScaleNotes reads 1" = 1\'-0" as one architectural scale', () => {
+  const notes = findScaleNotes(`WALL SECTION SCALE: 1" = 1'-0"`);
+  assert.deepEqual(labels(notes), [`1" = 1'-0"`]);
+  assert.equal(distinctScales(notes).length, 1);
+});
+
+test('findScaleNotes does not take a number before a scale as its whole part', () => {
+  assert.deepEqual(labels(findScaleNotes(`SCALE 1:100 3/16" = 1'-0"`)), ['1:100', `3/16" = 1'-0"`]);
+  assert.deepEqual(labels(findScaleNotes(`DETAIL 12 3/4" = 1'-0"`)), [`12 3/4" = 1'-0"`]);
+});
+
+test('distinctScales counts each scale once, most frequent first', () => {
+  const scales = distinctScales(findScaleNotes(`1/8" = 1'-0" 1/4" = 1'-0" 1/4" = 1'-0"`));
+  assert.deepEqual(scales.map(scale => [scale.label, scale.count]), [[`1/4" = 1'-0"`, 2], [`1/8" = 1'-0"`, 1]]);
+});
+
+test('parseLength and formatLength read and write feet and meters', () => {
+  assert.deepEqual(parseLength(`12'-6"`), { value: 12.5, unit: 'ft' });
+  assert.deepEqual(parseLength('3.5 m'), { value: 3.5, unit: 'm' });
+  assert.equal(parseLength('twelve'), null);
+  assert.equal(formatLength(12.5, 'ft'), `12'-6"`);
+  assert.equal(formatLength(3.5, 'm'), '3.50 m');
+});
+
+test('polylineLength and polygonArea measure in page units', () => {
+  assert.equal(polylineLength([[0, 0], [3, 4], [3, 10]]), 11);
+  assert.equal(polygonArea([[0, 0], [10, 0], [10, 5], [0, 5]]), 50);
+});
@@ -3,20 +3,28 @@
 annotate_pdf.py - Insert interactive link annotations into PDF
 
 Reads the index.json file generated by extract_tags.py and creates a new PDF
-with clickable link annotations that jump between tag occurrences.
+with clickable link annotations that jump between tag occurrences. With the
+link file exported from the viewer's Audit panel (--links), each callout
+links to its target sheet and detail instead, and the PDF gets a bookmark
+outline by discipline and sheet. Markups exported from the viewer's Markup
+panel can be burned into the page content as well.
 
 Usage:
-    python annotate_pdf.py <input_pdf> <output_pdf> [--index <index_file>]
+    python annotate_pdf.py <input_pdf> <output_pdf> [--index <index_file>] [--links <links_file>]
+                           [--markups <markups_file>] [--highlight]
 
 Example:
     python annotate_pdf.py "2024_05_24 90_ CD Set.pdf" "annotated_output.pdf"
+    python annotate_pdf.py "2024_05_24 90_ CD Set.pdf" "linked.pdf" --links "2024_05_24 90_ CD Set-links.json"
+    python annotate_pdf.py "2024_05_24 90_ CD Set.pdf" "redlined.pdf" --markups "2024_05_24 90_ CD Set-markups.json"
 """
 
 import argparse
 import json
+import math
 import sys
 from pathlib import Path
-from typing import Any, Dict, List
+from typing import Any, Dict, List, Optional, Tuple
 
 try:
     import fitz  # PyMuPDF
@@ -25,6 +33,13 @@ except ImportError:
     sys.exit(1)
 
 
+# Must match viewer/markup.js so burned clouds look like the viewer's
+CLOUD_ARC = 18
+DEFAULT_COLOR = '#e0301e'
+# Space left above and beside a detail when a link jumps to it
+DETAIL_MARGIN = 36
+
+
 def load_index(index_path: Path) -> Dict[str, Any]:
     """
     Load the tag index from JSON file.
@@ -42,24 +57,32 @@ def load_index(index_path: Path) -> Dict[str, Any]:
         return json.load(f)
 
 
-def create_annotated_pdf(input_pdf: str, output_pdf: str, index: Dict[str, Any]) -> None:
+def highlight_link(page: "fitz.Page", rect: "fitz.Rect") -> None:
     """
-    Create a new PDF with link annotations based on the tag index.
+    Add a highlight annotation to make a link visible.
     
     Args:
-        input_pdf: Path to input PDF file
-        output_pdf: Path to output PDF file
-        index: Tag index data
+        page: Page holding the link
+        rect: Link area
     """
-    input_path = Path(input_pdf)
-    if not input_path.exists():
-        raise FileNotFoundError(f"Input PDF not found: {input_path}")
-    
-    doc = fitz.open(input_path)
-    
-    print(f"Adding annotations to '{input_path.name}'...")
-    print(f"Processing {len(index['tags'])} tags...")
+    highlight = page.add_highlight_annot(rect)
+    highlight.set_colors(stroke=(0, 0.5, 1))  # Blue highlight
+    highlight.set_opacity(0.3)
+    highlight.update()
+
+
+def add_tag_links(doc: "fitz.Document", index: Dict[str, Any], highlight: bool = False) -> int:
+    """
+    Add link annotations that jump between occurrences of each tag.
     
+    Args:
+        doc: Open PyMuPDF document
+        index: Tag index data
+        highlight: Also highlight each link
+        
+    Returns:
+        Number of links added
+    """
     annotation_count = 0
     
     # Iterate through each tag and its occurrences
@@ -95,18 +118,327 @@ def create_annotated_pdf(input_pdf: str, output_pdf: str, index: Dict[str, Any])
             page.insert_link(link)
             annotation_count += 1
             
-            # Add a highlight annotation to make it visible
-            highlight = page.add_highlight_annot(rect)
-            highlight.set_colors(stroke=(0, 0.5, 1))  # Blue highlight
-            highlight.set_opacity(0.3)
-            highlight.update()
+            if highlight:
+                highlight_link(page, rect)
+    
+    return annotation_count
+
+
+def load_links(links_path: Path) -> Dict[str, Any]:
+    """
+    Load the link graph exported from the viewer's Audit panel.
+    
+    Args:
+        links_path: Path to the exported link JSON
+        
+    Returns:
+        Link graph: sheets (page, sheet, title, discipline) and links
+        (reference, page, rect, target_page, target), boxes in unscaled
+        page units as displayed, top-left origin
+    """
+    if not links_path.exists():
+        raise FileNotFoundError(f"Link file not found: {links_path}")
+    
+    with open(links_path, 'r', encoding='utf-8') as f:
+        data = json.load(f)
+    
+    if not isinstance(data.get('links'), list) or not isinstance(data.get('sheets'), list):
+        raise ValueError(f"Not a link file: {links_path}")
+    return data
+
+
+def bbox_to_rect(page: "fitz.Page", bbox: Dict[str, float]) -> "fitz.Rect":
+    """
+    Convert a displayed-orientation bbox to an unrotated page rectangle.
+    
+    Args:
+        page: Page the bbox is on
+        bbox: Box with x0, y0, x1, y1
+        
+    Returns:
+        Rectangle in PyMuPDF page coordinates
+    """
+    rect = fitz.Rect(bbox['x0'], bbox['y0'], bbox['x1'], bbox['y1']) * page.derotation_matrix
+    rect.normalize()
+    return rect
+
+
+def add_resolved_links(doc: "fitz.Document", links: List[Dict[str, Any]], highlight: bool = False) -> int:
+    """
+    Add a GoTo link from each callout to its target sheet, landing on the
+    detail when the viewer located it and on the top of the sheet otherwise.
+    
+    Args:
+        doc: Open PyMuPDF document
+        links: Links from load_links()
+        highlight: Also highlight each link
+        
+    Returns:
+        Number of links added
+    """
+    count = 0
+    for link in links:
+        page_num = link.get('page', 0) - 1
+        target_num = link.get('target_page', 0) - 1
+        if not (0 <= page_num < len(doc) and 0 <= target_num < len(doc)):
+            print(f"  Skipping link {link.get('reference')} on missing page")
+            continue
+        
+        page = doc[page_num]
+        target_page = doc[target_num]
+        rect = bbox_to_rect(page, link['rect'])
+        
+        # Top left of the detail as displayed, with some room around it
+        to = fitz.Point(0, 0)
+        target = link.get('target')
+        if target:
+            to = fitz.Point(max(0, target['x0'] - DETAIL_MARGIN), max(0, target['y0'] - DETAIL_MARGIN))
+        
+        page.insert_link({
+            'kind': fitz.LINK_GOTO,
+            'from': rect,
+            'page': target_num,
+            'to': to * target_page.derotation_matrix
+        })
+        count += 1
+        
+        if highlight:
+            highlight_link(page, rect)
+    
+    return count
+
+
+def add_sheet_outline(doc: "fitz.Document", sheets: List[Dict[str, Any]]) -> int:
+    """
+    Add bookmarks for the sheets, grouped by discipline in the order each
+    discipline first appears. Bookmarks already in the PDF are kept ahead
+    of them.
+    
+    Args:
+        doc: Open PyMuPDF document
+        sheets: Sheets from load_links()
+        
+    Returns:
+        Number of sheet bookmarks added
+    """
+    disciplines: Dict[str, List[Dict[str, Any]]] = {}
+    for sheet in sorted(sheets, key=lambda s: s['page']):
+        if not 1 <= sheet['page'] <= len(doc):
+            continue
+        disciplines.setdefault(sheet.get('discipline') or 'Other', []).append(sheet)
+    
+    toc = doc.get_toc(simple=True)
+    count = 0
+    for discipline, entries in disciplines.items():
+        toc.append([1, discipline, entries[0]['page']])
+        for sheet in entries:
+            title = f"{sheet['sheet']} - {sheet['title']}" if sheet.get('title') else sheet['sheet']
+            toc.append([2, title, sheet['page']])
+            count += 1
+    doc.set_toc(toc)
+    return count
+
+
+def load_markups(markups_path: Path) -> List[Dict[str, Any]]:
+    """
+    Load markups exported from the viewer's Markup panel.
+    
+    Args:
+        markups_path: Path to the exported markup JSON
+        
+    Returns:
+        List of markups (page, type, points in unscaled page units as
+        displayed, top-left origin; color, width, text and size)
+    """
+    if not markups_path.exists():
+        raise FileNotFoundError(f"Markup file not found: {markups_path}")
+    
+    with open(markups_path, 'r', encoding='utf-8') as f:
+        data = json.load(f)
+    
+    if not isinstance(data.get('markups'), list):
+        raise ValueError(f"Not a markup file: {markups_path}")
+    return data['markups']
+
+
+def hex_to_rgb(color: str) -> Tuple[float, float, float]:
+    """
+    Convert a #rrggbb color to an RGB tuple in 0..1.
+    
+    Args:
+        color: Color string such as "#e0301e"
+        
+    Returns:
+        (r, g, b) tuple
+    """
+    if not isinstance(color, str) or len(color) != 7 or not color.startswith('#'):
+        color = DEFAULT_COLOR
+    return tuple(int(color[i:i + 2], 16) / 255 for i in (1, 3, 5))
+
+
+def cloud_points(p0: List[float], p1: List[float], samples: int = 8) -> List[Tuple[float, float]]:
+    """
+    Outline of a revision cloud around the rectangle p0-p1: each side is
+    split into semicircular scallops of about CLOUD_ARC that bulge outward,
+    sampled into a polyline (the viewer draws the same arcs in SVG).
+    
+    Args:
+        p0: One corner [x, y]
+        p1: Opposite corner [x, y]
+        samples: Points per scallop
+        
+    Returns:
+        Closed list of (x, y) points
+    """
+    left, right = min(p0[0], p1[0]), max(p0[0], p1[0])
+    top, bottom = min(p0[1], p1[1]), max(p0[1], p1[1])
+    corners = [(left, top), (right, top), (right, bottom), (left, bottom)]
+    points = [corners[0]]
+    for i in range(4):
+        ax, ay = corners[i]
+        bx, by = corners[(i + 1) % 4]
+        length = math.hypot(bx - ax, by - ay)
+        count = max(1, round(length / CLOUD_ARC))
+        radius = length / count / 2
+        # Direction along the side and outward normal (clockwise outline, y down)
+        dx, dy = (bx - ax) / length, (by - ay) / length
+        nx, ny = dy, -dx
+        for k in range(count):
+            cx = ax + (bx - ax) * (k + 0.5) / count
+            cy = ay + (by - ay) * (k + 0.5) / count
+            for j in range(1, samples + 1):
+                theta = math.pi * j / samples
+                points.append((cx - dx * radius * math.cos(theta) + nx * radius * math.sin(theta),
+                               cy - dy * radius * math.cos(theta) + ny * radius * math.sin(theta)))
+    return points
+
+
+def arrow_head(p0: List[float], p1: List[float], width: float) -> List[Tuple[float, float]]:
+    """
+    Arrowhead triangle at p1 for an arrow from p0 (same shape as the viewer).
+    
+    Args:
+        p0: Arrow tail [x, y]
+        p1: Arrow tip [x, y]
+        width: Stroke width
+        
+    Returns:
+        Three (x, y) points
+    """
+    length = max(10, width * 4)
+    angle = math.atan2(p1[1] - p0[1], p1[0] - p0[0])
+    spread = math.pi / 7
+    return [
+        (p1[0], p1[1]),
+        (p1[0] - length * math.cos(angle - spread), p1[1] - length * math.sin(angle - spread)),
+        (p1[0] - length * math.cos(angle + spread), p1[1] - length * math.sin(angle + spread)),
+    ]
+
+
+def burn_markups(doc: "fitz.Document", markups: List[Dict[str, Any]]) -> int:
+    """
+    Draw markups into the page content. Markup points are in the page's
+    displayed (rotated) orientation, so they are de-rotated first.
+    
+    Args:
+        doc: Open PyMuPDF document
+        markups: Markups from load_markups()
+        
+    Returns:
+        Number of markups drawn
+    """
+    count = 0
+    for markup in markups:
+        page_num = markup.get('page', 0) - 1
+        if not 0 <= page_num < len(doc):
+            print(f"  Skipping markup on missing page {markup.get('page')}")
+            continue
+        
+        page = doc[page_num]
+        derotate = page.derotation_matrix
+        
+        def to_pdf(pts):
+            return [fitz.Point(x, y) * derotate for x, y in pts]
+        
+        color = hex_to_rgb(markup.get('color', DEFAULT_COLOR))
+        width = markup.get('width', 3)
+        points = markup['points']
+        kind = markup['type']
+        
+        if kind == 'text':
+            page.insert_text(to_pdf(points)[0], markup.get('text', ''), fontsize=markup.get('size', 18),
+                             color=color, rotate=page.rotation)
+            count += 1
+            continue
+        
+        shape = page.new_shape()
+        if kind == 'rect':
+            left, right = sorted([points[0][0], points[1][0]])
+            top, bottom = sorted([points[0][1], points[1][1]])
+            shape.draw_polyline(to_pdf([(left, top), (right, top), (right, bottom), (left, bottom), (left, top)]))
+            shape.finish(color=color, width=width, closePath=True)
+        elif kind == 'cloud':
+            shape.draw_polyline(to_pdf(cloud_points(points[0], points[1])))
+            shape.finish(color=color, width=width, closePath=True, lineJoin=1)
+        elif kind == 'arrow':
+            shape.draw_line(*to_pdf(points[:2]))
+            shape.finish(color=color, width=width, lineCap=1)
+            shape.draw_polyline(to_pdf(arrow_head(points[0], points[1], width)))
+            shape.finish(color=color, fill=color, width=width, closePath=True)
+        elif kind == 'pen':
+            shape.draw_polyline(to_pdf(points))
+            shape.finish(color=color, width=width, lineCap=1, lineJoin=1)
+        else:
+            print(f"  Skipping unknown markup type: {kind}")
+            continue
+        shape.commit()
+        count += 1
+    
+    return count
+
+
+def create_annotated_pdf(input_pdf: str, output_pdf: str, index: Optional[Dict[str, Any]],
+                         markups: Optional[List[Dict[str, Any]]] = None,
+                         links: Optional[Dict[str, Any]] = None, highlight: bool = False) -> None:
+    """
+    Create a new PDF with link annotations based on the viewer's link graph
+    or the tag index, and optionally with viewer markups burned in.
+    
+    Args:
+        input_pdf: Path to input PDF file
+        output_pdf: Path to output PDF file
+        index: Tag index data (None to skip tag links)
+        markups: Markups exported from the viewer (None to skip)
+        links: Link graph exported from the viewer (used instead of the index)
+        highlight: Highlight the links
+    """
+    input_path = Path(input_pdf)
+    if not input_path.exists():
+        raise FileNotFoundError(f"Input PDF not found: {input_path}")
+    
+    doc = fitz.open(input_path)
+    
+    annotation_count = 0
+    if links:
+        print(f"Adding links to '{input_path.name}'...")
+        annotation_count = add_resolved_links(doc, links['links'], highlight)
+        print(f"Links added: {annotation_count}")
+        print(f"Sheet bookmarks added: {add_sheet_outline(doc, links['sheets'])}")
+    elif index:
+        print(f"Adding annotations to '{input_path.name}'...")
+        print(f"Processing {len(index['tags'])} tags...")
+        annotation_count = add_tag_links(doc, index, highlight)
+        print(f"Annotations added: {annotation_count}")
+    
+    if markups:
+        print(f"Burning {len(markups)} markups into '{input_path.name}'...")
+        print(f"Markups drawn: {burn_markups(doc, markups)}")
     
     # Save the annotated PDF
     output_path = Path(output_pdf)
     doc.save(output_path, garbage=4, deflate=True)
     doc.close()
     
-    print(f"Annotations added: {annotation_count}")
     print(f"Annotated PDF saved to: {output_path.absolute()}")
 
 
@@ -127,16 +459,41 @@ def main():
         default='index.json',
         help='Path to index.json file (default: index.json)'
     )
+    parser.add_argument(
+        '--links', '-l',
+        help='Link JSON exported from the viewer: callouts link to their target sheet and detail, with sheet bookmarks'
+    )
+    parser.add_argument(
+        '--markups', '-m',
+        help='Markup JSON exported from the viewer to burn into the pages'
+    )
+    parser.add_argument(
+        '--highlight',
+        action='store_true',
+        help='Highlight the links (off by default so prints stay clean)'
+    )
     
     args = parser.parse_args()
     
     try:
-        # Load the tag index
-        print(f"Loading index from: {args.index}")
-        index = load_index(Path(args.index))
+        links = None
+        if args.links:
+            print(f"Loading links from: {args.links}")
+            links = load_links(Path(args.links))
+        
+        # Load the tag index (not needed with links or when only burning markups)
+        index = None
+        if not links and (Path(args.index).exists() or not args.markups):
+            print(f"Loading index from: {args.index}")
+            index = load_index(Path(args.index))
+        
+        markups = None
+        if args.markups:
+            print(f"Loading markups from: {args.markups}")
+            markups = load_markups(Path(args.markups))
         
         # Create annotated PDF
-        create_annotated_pdf(args.input_pdf, args.output_pdf, index)
+        create_annotated_pdf(args.input_pdf, args.output_pdf, index, markups, links, args.highlight)
         
         print("\nAnnotation complete!")
         
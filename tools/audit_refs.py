@@ -0,0 +1,270 @@
+#!/usr/bin/env python
+"""
+audit_refs.py - Check a plan set for broken and orphan references
+
+Detects the sheet ID of every page and every detail callout, then reports:
+  - broken references: callouts to sheets that are not in the set
+  - orphan sheets: sheets no other sheet references
+  - duplicate sheet IDs: the same sheet ID detected on more than one page
+
+The report matches the viewer's Audit panel export (CSV or JSON).
+
+Sheet IDs are detected here with PyMuPDF, which can read a title block
+differently from the viewer. Pass the index.json written by
+`plan-navigator index` with --index to audit against the sheet IDs the
+viewer uses instead.
+
+Usage:
+    python audit_refs.py <pdf_file> [--csv <csv_file>] [--json <json_file>] [--patterns <patterns_file>] [--index <index_file>]
+
+Example:
+    python audit_refs.py "2024_05_24 90_ CD Set.pdf" --csv audit.csv
+    python audit_refs.py "2024_05_24 90_ CD Set.pdf" --index index.json
+"""
+
+import argparse
+import csv
+import json
+import sys
+from datetime import datetime, timezone
+from pathlib import Path
+from typing import Any, Dict, List, Optional
+
+try:
+    import fitz  # PyMuPDF
+except ImportError:
+    print("Error: PyMuPDF (fitz) not installed. Run: pip install PyMuPDF")
+    sys.exit(1)
+
+from extract_tags import (
+    DEFAULT_PATTERNS_FILE,
+    compile_sheet_pattern,
+    compile_tag_pattern,
+    detect_sheet_label,
+    load_patterns,
+    normalize_tag,
+)
+
+
+CSV_HEADER = ['issue', 'sheet', 'reference', 'page', 'source_sheet', 'details']
+
+
+def load_index_labels(index_path: Path) -> Dict[int, str]:
+    """
+    Read the sheet IDs of an index.json written by `plan-navigator index`.
+
+    Args:
+        index_path: Path to the index file
+
+    Returns:
+        Dictionary of page number -> sheet ID
+
+    Raises:
+        ValueError: If the index has no sheets (extract_tags.py writes
+            callouts only)
+    """
+    with open(index_path, 'r', encoding='utf-8') as f:
+        index = json.load(f)
+    if not isinstance(index.get('sheets'), list):
+        raise ValueError(f"{index_path} has no sheets; build it with `plan-navigator index`")
+    return {entry['page']: entry['sheet'].upper()
+            for entry in index['sheets'] if entry.get('sheet')}
+
+
+def scan_pdf(pdf_path: Path, patterns: Dict[str, Any],
+             labels: Optional[Dict[int, str]] = None) -> Dict[str, Any]:
+    """
+    Detect sheet labels and callouts on every page.
+
+    Args:
+        pdf_path: Path to the PDF file
+        patterns: Sheet-ID / callout pattern config
+        labels: Sheet IDs by page (from load_index_labels) to use instead
+            of detecting them
+
+    Returns:
+        Dictionary with "labels" (page -> sheet ID) and "callouts"
+        (reference -> list of pages it appears on)
+    """
+    if not pdf_path.exists():
+        raise FileNotFoundError(f"PDF file not found: {pdf_path}")
+
+    sheet_pattern = compile_sheet_pattern(patterns)
+    tag_pattern = compile_tag_pattern(patterns)
+
+    doc = fitz.open(pdf_path)
+    detect_labels = labels is None
+    labels = {} if detect_labels else dict(labels)
+    callouts = {}
+
+    print(f"Scanning {len(doc)} pages in '{pdf_path.name}'...")
+
+    for page_num in range(len(doc)):
+        page = doc[page_num]
+        if detect_labels:
+            label = detect_sheet_label(page, sheet_pattern, tag_pattern)
+            if label:
+                labels[page_num + 1] = label
+
+        for match in tag_pattern.finditer(page.get_text("text")):
+            callouts.setdefault(normalize_tag(match), []).append(page_num + 1)
+
+    total_pages = len(doc)
+    doc.close()
+
+    return {"total_pages": total_pages, "labels": labels, "callouts": callouts}
+
+
+def build_report(pdf_name: str, scan: Dict[str, Any]) -> Dict[str, Any]:
+    """
+    Build the audit report from scan results. References from a sheet to
+    itself don't keep it from being an orphan.
+
+    Args:
+        pdf_name: PDF file name for the report header
+        scan: Result of scan_pdf()
+
+    Returns:
+        Audit report dictionary
+    """
+    labels = scan['labels']
+    pages_by_sheet: Dict[str, List[int]] = {}
+    for page, sheet in labels.items():
+        pages_by_sheet.setdefault(sheet, []).append(page)
+
+    broken = []
+    referenced = set()
+    for reference, pages in scan['callouts'].items():
+        detail, sheet = reference.split('/', 1)
+        for page in pages:
+            if sheet not in pages_by_sheet:
+                broken.append({
+                    "reference": reference,
+                    "detail": detail,
+                    "sheet": sheet,
+                    "page": page,
+                    "source_sheet": labels.get(page)
+                })
+            elif labels.get(page) != sheet:
+                referenced.add(sheet)
+
+    orphans = [{"sheet": sheet, "page": pages[0]}
+               for sheet, pages in pages_by_sheet.items() if sheet not in referenced]
+    duplicates = [{"sheet": sheet, "pages": sorted(pages)}
+                  for sheet, pages in pages_by_sheet.items() if len(pages) > 1]
+
+    return {
+        "pdf_file": pdf_name,
+        "generated_at": datetime.now(timezone.utc).isoformat(),
+        "total_pages": scan['total_pages'],
+        "total_sheets": len(pages_by_sheet),
+        "broken_references": sorted(broken, key=lambda r: r['page']),
+        "orphan_sheets": sorted(orphans, key=lambda o: o['page']),
+        "duplicate_sheets": sorted(duplicates, key=lambda d: d['pages'][0])
+    }
+
+
+def save_csv(report: Dict[str, Any], output_path: Path) -> None:
+    """
+    Save the report as CSV, one row per issue.
+
+    Args:
+        report: Audit report
+        output_path: Path to output CSV file
+    """
+    with open(output_path, 'w', encoding='utf-8', newline='') as f:
+        writer = csv.writer(f)
+        writer.writerow(CSV_HEADER)
+        for r in report['broken_references']:
+            writer.writerow(['broken_reference', r['sheet'], r['reference'], r['page'],
+                             r['source_sheet'] or '', 'target sheet not in set'])
+        for o in report['orphan_sheets']:
+            writer.writerow(['orphan_sheet', o['sheet'], '', o['page'], '',
+                             'not referenced from any other sheet'])
+        for d in report['duplicate_sheets']:
+            writer.writerow(['duplicate_sheet', d['sheet'], '', ' '.join(str(p) for p in d['pages']), '',
+                             f"sheet ID on {len(d['pages'])} pages"])
+
+    print(f"CSV report saved to: {output_path}")
+
+
+def print_report(report: Dict[str, Any]) -> None:
+    """
+    Print the report as plain-text tables.
+
+    Args:
+        report: Audit report
+    """
+    print(f"\nBroken references ({len(report['broken_references'])}):")
+    for r in report['broken_references']:
+        print(f"  {r['reference']:<16} on {r['source_sheet'] or '-':<10} page {r['page']}")
+
+    print(f"\nOrphan sheets ({len(report['orphan_sheets'])}):")
+    for o in report['orphan_sheets']:
+        print(f"  {o['sheet']:<16} page {o['page']}")
+
+    print(f"\nDuplicate sheet IDs ({len(report['duplicate_sheets'])}):")
+    for d in report['duplicate_sheets']:
+        print(f"  {d['sheet']:<16} pages {', '.join(str(p) for p in d['pages'])}")
+
+
+def main():
+    parser = argparse.ArgumentParser(
+        description='Report broken references, orphan sheets and duplicate sheet IDs in a plan set'
+    )
+    parser.add_argument(
+        'pdf_file',
+        help='Path to the PDF file to audit'
+    )
+    parser.add_argument(
+        '--csv',
+        help='Write the report as CSV to this file'
+    )
+    parser.add_argument(
+        '--json',
+        help='Write the report as JSON to this file'
+    )
+    parser.add_argument(
+        '--patterns', '-p',
+        default=str(DEFAULT_PATTERNS_FILE),
+        help='Sheet-ID / callout pattern file (default: viewer/patterns.json)'
+    )
+    parser.add_argument(
+        '--index', '-i',
+        help='Take sheet IDs from this index.json (written by `plan-navigator index`) instead of detecting them'
+    )
+    parser.add_argument(
+        '--strict',
+        action='store_true',
+        help='Exit with status 2 if any issue is found'
+    )
+
+    args = parser.parse_args()
+
+    try:
+        patterns = load_patterns(Path(args.patterns))
+        pdf_path = Path(args.pdf_file)
+        labels = load_index_labels(Path(args.index)) if args.index else None
+        report = build_report(pdf_path.name, scan_pdf(pdf_path, patterns, labels))
+
+        print_report(report)
+
+        if args.csv:
+            save_csv(report, Path(args.csv))
+        if args.json:
+            with open(args.json, 'w', encoding='utf-8') as f:
+                json.dump(report, f, indent=2, ensure_ascii=False)
+            print(f"JSON report saved to: {args.json}")
+
+    except Exception as e:
+        print(f"Error: {e}", file=sys.stderr)
+        sys.exit(1)
+
+    issues = len(report['broken_references']) + len(report['orphan_sheets']) + len(report['duplicate_sheets'])
+    print(f"\nAudit complete: {report['total_sheets']} sheets, {issues} issues")
+    if args.strict and issues:
+        sys.exit(2)
+
+
+if __name__ == '__main__':
+    main()
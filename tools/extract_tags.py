@@ -2,12 +2,16 @@
 """
 extract_tags.py - Extract drawing tags from construction plan PDFs
 
-Scans a PDF for tags matching the pattern XX/ACYYY (e.g., 01/AC501, 03/AC602)
-and outputs an index.json file with all occurrences including page numbers,
-text snippets, and bounding boxes.
+Scans a PDF for detail callouts (e.g., 01/AC501, 3/A5.1, 2/S-201) and outputs
+an index.json file with all occurrences including page numbers, text snippets,
+and bounding boxes. The callout grammar is read from viewer/patterns.json, the
+same file the web viewer uses, and is copied into the index.
+
+tools/plan-navigator.js (npx plan-navigator index) builds the same index
+with the viewer's own detection code, plus sheet IDs and titles.
 
 Usage:
-    python extract_tags.py <pdf_file> [--output <output_file>]
+    python extract_tags.py <pdf_file> [--output <output_file>] [--patterns <patterns_file>]
 
 Example:
     python extract_tags.py "2024_05_24 90_ CD Set.pdf"
@@ -18,7 +22,7 @@ import json
 import re
 import sys
 from pathlib import Path
-from typing import Any, Dict, List
+from typing import Any, Dict, List, Optional
 
 try:
     import fitz  # PyMuPDF
@@ -27,21 +31,149 @@ except ImportError:
     sys.exit(1)
 
 
-# Pattern to match tags like 01/AC501, 03/AC602, etc.
-# Format: 2 digits, slash, letters, digits
-TAG_PATTERN = re.compile(r'\b(\d{2}/[A-Z]{2}\d{3,4})\b', re.IGNORECASE)
+# Sheet-ID and callout grammar shared with the web viewer
+DEFAULT_PATTERNS_FILE = Path(__file__).resolve().parent.parent / 'viewer' / 'patterns.json'
+
+
+def load_patterns(patterns_path: Path = DEFAULT_PATTERNS_FILE) -> Dict[str, Any]:
+    """
+    Load the sheet-ID / callout pattern config.
+    
+    Args:
+        patterns_path: Path to patterns.json
+        
+    Returns:
+        Pattern config dictionary
+    """
+    if not patterns_path.exists():
+        raise FileNotFoundError(f"Patterns file not found: {patterns_path}")
+    
+    with open(patterns_path, 'r', encoding='utf-8') as f:
+        return json.load(f)
+
+
+def compile_tag_pattern(patterns: Dict[str, Any]) -> re.Pattern:
+    """
+    Build the callout regex from a pattern config, mirroring compilePatterns()
+    in viewer/detect.js. Group 1 is the detail number, group 2 the sheet ID.
+    
+    Args:
+        patterns: Pattern config with "sheetIds" and "callouts" entries
+        
+    Returns:
+        Compiled, case-insensitive callout regex
+    """
+    sheet_source = '|'.join(f"(?:{s['pattern']})" for s in patterns['sheetIds'])
+    callouts = [c['pattern'].replace('{sheet}', f"(?:{sheet_source})") for c in patterns['callouts']]
+    return re.compile('|'.join(rf'\b{c}\b' for c in callouts), re.IGNORECASE)
 
 
-def extract_tags_from_pdf(pdf_path: str) -> Dict[str, Any]:
+def normalize_tag(match: re.Match) -> str:
+    """
+    Normalize a callout match to "09/AC401" form, whichever callout
+    alternative matched.
+    
+    Args:
+        match: Match from the compiled callout regex
+        
+    Returns:
+        Normalized tag string
+    """
+    groups = [g for g in match.groups() if g is not None]
+    detail, sheet = groups[0], re.sub(r'\s+', '', groups[1]).upper()
+    return f"{detail}/{sheet}"
+
+
+# Title block words that sit next to the sheet number
+SHEET_HINT_WORDS = ('SHEET', 'NO.', 'TITLE')
+# Sheet numbers further than this (PDF units) from a hint are ignored
+MAX_HINT_DISTANCE = 200
+
+
+def compile_sheet_pattern(patterns: Dict[str, Any]) -> re.Pattern:
+    """
+    Build a regex matching a whole sheet ID (e.g. AC401, A-201, S2.01).
+    
+    Args:
+        patterns: Pattern config with "sheetIds" entries
+        
+    Returns:
+        Compiled, case-insensitive regex anchored at both ends
+    """
+    sheet_source = '|'.join(f"(?:{s['pattern']})" for s in patterns['sheetIds'])
+    return re.compile(rf'^(?:{sheet_source})$', re.IGNORECASE)
+
+
+def detect_sheet_label(page: "fitz.Page", sheet_pattern: re.Pattern, tag_pattern: re.Pattern) -> Optional[str]:
+    """
+    Find the sheet ID in the title block, following the same rules as
+    detectSheetLabel() in viewer/detect.js: only the bottom-right quadrant is
+    considered, the ID must be near a "SHEET" / "NO." / "TITLE" label, and
+    the candidate closest to those labels and the corner wins.
+    
+    Args:
+        page: PyMuPDF page
+        sheet_pattern: Regex from compile_sheet_pattern()
+        tag_pattern: Callout regex, used to skip callouts like 02/AC513
+        
+    Returns:
+        Normalized sheet ID, or None when no title block label is found
+    """
+    width, height = page.rect.width, page.rect.height
+    # (x0, y0, x1, y1, word, block, line, word_no), top-left origin
+    words = page.get_text("words")
+    hints = [(w[0], w[3]) for w in words
+             if any(h in w[4].upper() for h in SHEET_HINT_WORDS) or w[4].upper() == 'NO']
+    if not hints:
+        return None
+
+    best = None
+    for i, word in enumerate(words):
+        x, y, text = word[0], word[3], word[4].strip()
+        if x < width * 0.5 or y < height * 0.5:
+            continue
+        if tag_pattern.search(text):
+            continue
+
+        candidate = None
+        if sheet_pattern.match(text):
+            candidate = text
+        elif re.match(r'^[A-Z]{1,3}-?$', text, re.IGNORECASE):
+            # Prefix and number split into separate words ("AC" "401")
+            for following in words[i + 1:i + 4]:
+                joined = text + following[4].strip()
+                if sheet_pattern.match(joined):
+                    candidate = joined
+                    break
+        if not candidate:
+            continue
+
+        hint_distances = [((hx - x) ** 2 + (hy - y) ** 2) ** 0.5 for hx, hy in hints]
+        if min(hint_distances) > MAX_HINT_DISTANCE:
+            continue
+        corner_distance = ((width - x) ** 2 + (height - y) ** 2) ** 0.5
+        score = 10000 / (1 + corner_distance) + sum(50000 / (1 + d) for d in hint_distances)
+        if best is None or score > best[0]:
+            best = (score, re.sub(r'\s+', '', candidate).upper())
+
+    return best[1] if best else None
+
+
+def extract_tags_from_pdf(pdf_path: str, patterns: Dict[str, Any] = None) -> Dict[str, Any]:
     """
     Extract all tag occurrences from the PDF.
     
     Args:
         pdf_path: Path to the PDF file
+        patterns: Pattern config to use instead of viewer/patterns.json
         
     Returns:
         Dictionary with tag index data
     """
+    if patterns is None:
+        patterns = load_patterns()
+    tag_pattern = compile_tag_pattern(patterns)
+
     pdf_path = Path(pdf_path)
     if not pdf_path.exists():
         raise FileNotFoundError(f"PDF file not found: {pdf_path}")
@@ -58,10 +190,10 @@ def extract_tags_from_pdf(pdf_path: str) -> Dict[str, Any]:
         text = page.get_text("text")
         
         # Find all tag matches in the page text
-        matches = TAG_PATTERN.finditer(text)
+        matches = tag_pattern.finditer(text)
         
         for match in matches:
-            tag = match.group(1).upper()
+            tag = normalize_tag(match)
             all_tags.add(tag)
             
             # Search for the text on the page to get bounding boxes
@@ -94,6 +226,7 @@ def extract_tags_from_pdf(pdf_path: str) -> Dict[str, Any]:
         "pdf_file": pdf_path.name,
         "total_pages": num_pages,
         "total_tags": len(all_tags),
+        "patterns": patterns,
         "tags": tag_occurrences
     }
     
@@ -159,12 +292,18 @@ def main():
         default='index.json',
         help='Output JSON file path (default: index.json)'
     )
+    parser.add_argument(
+        '--patterns', '-p',
+        default=str(DEFAULT_PATTERNS_FILE),
+        help='Sheet-ID / callout pattern file (default: viewer/patterns.json)'
+    )
     
     args = parser.parse_args()
     
     try:
         # Extract tags
-        index = extract_tags_from_pdf(args.pdf_file)
+        patterns = load_patterns(Path(args.patterns))
+        index = extract_tags_from_pdf(args.pdf_file, patterns)
         
         # Save to JSON
         output_path = Path(args.output)
@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * plan-navigator.js - Command line tools for Plan Navigator
+ *
+ * Builds index.json for a plan set with the viewer's own detection code
+ * (viewer/detect.js) running on pdfjs-dist, so the index agrees with what
+ * the viewer finds and no Python environment is needed.
+ *
+ * Usage:
+ *   npx plan-navigator index <pdf_file> [--output <index.json>] [--patterns <patterns.json>]
+ *
+ * The index is written next to the PDF unless --output is given, which is
+ * where the viewer looks for it. Besides the callouts (tags) that
+ * tools/extract_tags.py lists, it records each page's sheet ID and title
+ * and a schema_version.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseArgs } from 'util';
+import pdfjsLib from 'pdfjs-dist/legacy/build/pdf.js';
+import {
+  INDEX_SCHEMA_VERSION,
+  compilePatterns,
+  detectSheetLabel,
+  detectSheetTitle,
+  findPageCallouts
+} from '../viewer/detect.js';
+
+// Sheet-ID and callout grammar shared with the web viewer
+const DEFAULT_PATTERNS_FILE = fileURLToPath(new URL('../viewer/patterns.json', import.meta.url));
+// Characters of context kept on each side of a callout in its snippet
+const SNIPPET_CONTEXT = 40;
+
+const USAGE = `Usage: plan-navigator index <pdf_file> [--output <index.json>] [--patterns <patterns.json>]
+
+Commands:
+  index    Detect sheet IDs, titles and callouts and write index.json
+
+Options:
+  -o, --output     Output file (default: index.json next to the PDF)
+  -p, --patterns   Sheet-ID / callout pattern file (default: viewer/patterns.json)
+  -h, --help       Show this help`;
+
+/**
+ * Round a coordinate to 2 decimals, as extract_tags.py does
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build the index of a PDF file with a pattern config
+ */
+export async function buildIndex(pdfPath, patternConfig) {
+  const patterns = compilePatterns(patternConfig);
+  const data = new Uint8Array(fs.readFileSync(pdfPath));
+  const doc = await pdfjsLib.getDocument({ data, isEvalSupported: false, verbosity: 0 }).promise;
+  const totalPages = doc.numPages;
+  const sheets = [];
+  const tags = {};
+
+  try {
+    console.log(`Scanning ${totalPages} pages in '${path.basename(pdfPath)}'...`);
+    for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+      const page = await doc.getPage(pageNum);
+      const content = await page.getTextContent();
+      const sheet = await detectSheetLabel(page, content, patterns);
+      const title = detectSheetTitle(page, content, patterns);
+      if (sheet || title) sheets.push({ page: pageNum, sheet, title });
+
+      const viewport = page.getViewport({ scale: 1 });
+      for (const { callout, run, box } of findPageCallouts(content, viewport, patterns)) {
+        const start = Math.max(0, callout.index - SNIPPET_CONTEXT);
+        const end = callout.index + callout.length + SNIPPET_CONTEXT;
+        const snippet = (start > 0 ? '...' : '')
+          + run.text.slice(start, end).replace(/\s+/g, ' ').trim()
+          + (end < run.text.length ? '...' : '');
+        if (!tags[callout.text]) tags[callout.text] = [];
+        tags[callout.text].push({
+          page: pageNum,
+          snippet,
+          bbox: { x0: round(box.x), y0: round(box.y), x1: round(box.x + box.width), y1: round(box.y + box.height) }
+        });
+      }
+      page.cleanup();
+    }
+  } finally {
+    await doc.destroy();
+  }
+
+  return {
+    schema_version: INDEX_SCHEMA_VERSION,
+    pdf_file: path.basename(pdfPath),
+    total_pages: totalPages,
+    total_tags: Object.keys(tags).length,
+    patterns: patternConfig,
+    sheets,
+    tags
+  };
+}
+
+/**
+ * The index command
+ */
+async function indexCommand(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    allowPositionals: true,
+    options: {
+      output: { type: 'string', short: 'o' },
+      patterns: { type: 'string', short: 'p', default: DEFAULT_PATTERNS_FILE },
+      help: { type: 'boolean', short: 'h' }
+    }
+  });
+  if (values.help || positionals.length !== 1) {
+    console.log(USAGE);
+    return values.help ? 0 : 2;
+  }
+
+  const pdfPath = positionals[0];
+  if (!fs.existsSync(pdfPath)) throw new Error(`PDF file not found: ${pdfPath}`);
+  if (!fs.existsSync(values.patterns)) throw new Error(`Patterns file not found: ${values.patterns}`);
+  const patternConfig = JSON.parse(fs.readFileSync(values.patterns, 'utf8'));
+
+  const index = await buildIndex(pdfPath, patternConfig);
+  const outputPath = values.output || path.join(path.dirname(pdfPath), 'index.json');
+  fs.writeFileSync(outputPath, `${JSON.stringify(index, null, 2)}\n`, 'utf8');
+
+  const occurrences = Object.values(index.tags).reduce((sum, list) => sum + list.length, 0);
+  const labelled = index.sheets.filter(s => s.sheet).length;
+  console.log('\nIndex complete!');
+  console.log(`  Sheets labelled: ${labelled} of ${index.total_pages} pages`);
+  console.log(`  Tags found: ${index.total_tags}`);
+  console.log(`  Total occurrences: ${occurrences}`);
+  console.log(`  Output: ${path.resolve(outputPath)}`);
+  return 0;
+}
+
+/**
+ * Run a command line; resolves with the exit status
+ */
+export async function main(argv) {
+  const [command, ...args] = argv;
+  if (command === 'index') return indexCommand(args);
+  console.log(USAGE);
+  return command === '--help' || command === '-h' ? 0 : 2;
+}
+
+// Run when executed (also through the npm bin link), not when imported
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main(process.argv.slice(2))
+    .then((status) => { process.exitCode = status; })
+    .catch((err) => {
+      console.error(`Error: ${err.message}`);
+      process.exitCode = 1;
+    });
+}
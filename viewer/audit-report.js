@@ -0,0 +1,70 @@
+/**
+ * audit-report.js - Build the reference audit report
+ *
+ * Pure functions (no DOM, no pdfjsLib global) that turn the sheet labels
+ * and callout index of a set into the report shown in the Audit panel
+ * (audit.js) and its CSV export. The shape matches tools/audit_refs.py.
+ */
+
+import { toCsv } from './download.js';
+
+/**
+ * Build an audit report from page labels (page -> sheet ID) and a callout
+ * index (ref -> [{ page }]). References from a sheet to itself don't count
+ * towards keeping it from being an orphan.
+ */
+export function buildAuditReport(labels, callouts, { pdfFile, pageCount }) {
+  const pagesBySheet = new Map();
+  for (const [page, sheet] of labels) {
+    if (!pagesBySheet.has(sheet)) pagesBySheet.set(sheet, []);
+    pagesBySheet.get(sheet).push(page);
+  }
+
+  const brokenReferences = [];
+  const referenced = new Set();
+  for (const [reference, occurrences] of callouts) {
+    const [detail, sheet] = reference.split('/');
+    for (const occ of occurrences) {
+      if (!pagesBySheet.has(sheet)) {
+        brokenReferences.push({ reference, detail, sheet, page: occ.page, source_sheet: labels.get(occ.page) || null });
+      } else if (labels.get(occ.page) !== sheet) {
+        referenced.add(sheet);
+      }
+    }
+  }
+
+  const orphanSheets = [];
+  const duplicateSheets = [];
+  for (const [sheet, pages] of pagesBySheet) {
+    if (!referenced.has(sheet)) orphanSheets.push({ sheet, page: pages[0] });
+    if (pages.length > 1) duplicateSheets.push({ sheet, pages: pages.slice().sort((a, b) => a - b) });
+  }
+
+  const byPage = (a, b) => (a.page || a.pages[0]) - (b.page || b.pages[0]);
+  return {
+    pdf_file: pdfFile,
+    generated_at: new Date().toISOString(),
+    total_pages: pageCount,
+    total_sheets: pagesBySheet.size,
+    broken_references: brokenReferences.sort(byPage),
+    orphan_sheets: orphanSheets.sort(byPage),
+    duplicate_sheets: duplicateSheets.sort(byPage)
+  };
+}
+
+/**
+ * Flatten a report into CSV rows, one per issue
+ */
+export function reportToCsv(report) {
+  const rows = [];
+  for (const r of report.broken_references) {
+    rows.push(['broken_reference', r.sheet, r.reference, r.page, r.source_sheet, 'target sheet not in set']);
+  }
+  for (const o of report.orphan_sheets) {
+    rows.push(['orphan_sheet', o.sheet, '', o.page, '', 'not referenced from any other sheet']);
+  }
+  for (const d of report.duplicate_sheets) {
+    rows.push(['duplicate_sheet', d.sheet, '', d.pages.join(' '), '', `sheet ID on ${d.pages.length} pages`]);
+  }
+  return toCsv(['issue', 'sheet', 'reference', 'page', 'source_sheet', 'details'], rows);
+}
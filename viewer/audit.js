@@ -0,0 +1,140 @@
+/**
+ * audit.js - Broken and orphan reference audit
+ *
+ * Checks the open set for callouts that point at sheets missing from the
+ * set, sheets nothing references, and sheet IDs used on more than one page.
+ * The report shape matches tools/audit_refs.py so either can feed QA.
+ */
+
+import {
+  pdfDoc,
+  pdfName,
+  totalPages,
+  pageLabels,
+  goToPage,
+  whenSheetIndexReady
+} from './main.js';
+import { getCalloutIndex } from './references.js';
+import { downloadFile } from './download.js';
+import { buildAuditReport, reportToCsv } from './audit-report.js';
+
+const auditRunBtn = document.getElementById('audit-run');
+const auditExportCsvBtn = document.getElementById('audit-export-csv');
+const auditExportJsonBtn = document.getElementById('audit-export-json');
+const auditStatus = document.getElementById('audit-status');
+const auditResults = document.getElementById('audit-results');
+
+// Last report and the document it was run on
+let lastReport = null;
+let reportDoc = null;
+
+/**
+ * Run the audit for the open set and show the results
+ */
+async function runAudit() {
+  if (!pdfDoc) return;
+  const doc = pdfDoc;
+  auditRunBtn.disabled = true;
+  auditStatus.textContent = 'Waiting for sheet index…';
+  auditResults.innerHTML = '';
+  try {
+    await whenSheetIndexReady();
+    auditStatus.textContent = 'Collecting callouts…';
+    const callouts = await getCalloutIndex();
+    if (pdfDoc !== doc) return;
+    lastReport = buildAuditReport(pageLabels, callouts, { pdfFile: pdfName, pageCount: totalPages });
+    reportDoc = doc;
+    renderReport(lastReport);
+    auditExportCsvBtn.disabled = false;
+    auditExportJsonBtn.disabled = false;
+  } catch (err) {
+    console.error('Audit failed:', err);
+    auditStatus.textContent = 'Audit failed. Check console for details.';
+  } finally {
+    auditRunBtn.disabled = false;
+  }
+}
+
+/**
+ * Drop the report of a set that is no longer open, so it can't be
+ * exported under the new set's name
+ */
+function clearReport() {
+  lastReport = null;
+  reportDoc = null;
+  auditStatus.textContent = '';
+  auditResults.innerHTML = '';
+  auditExportCsvBtn.disabled = true;
+  auditExportJsonBtn.disabled = true;
+}
+
+/**
+ * Render the report as one table per issue type
+ */
+function renderReport(report) {
+  const broken = report.broken_references.length;
+  const orphans = report.orphan_sheets.length;
+  const duplicates = report.duplicate_sheets.length;
+  auditStatus.textContent = `${report.total_sheets} sheets: ${broken} broken reference${broken === 1 ? '' : 's'}, `
+    + `${orphans} orphan sheet${orphans === 1 ? '' : 's'}, ${duplicates} duplicate ID${duplicates === 1 ? '' : 's'}`;
+
+  auditResults.innerHTML = '';
+  auditResults.appendChild(buildTable('Broken references', ['Reference', 'On sheet', 'Page'],
+    report.broken_references.map(r => ({ cells: [r.reference, r.source_sheet || '-', r.page], page: r.page }))));
+  auditResults.appendChild(buildTable('Orphan sheets', ['Sheet', 'Page'],
+    report.orphan_sheets.map(o => ({ cells: [o.sheet, o.page], page: o.page }))));
+  auditResults.appendChild(buildTable('Duplicate sheet IDs', ['Sheet', 'Pages'],
+    report.duplicate_sheets.map(d => ({ cells: [d.sheet, d.pages.join(', ')], page: d.pages[0] }))));
+}
+
+/**
+ * Build a titled table whose rows open their page when clicked
+ */
+function buildTable(title, headers, rows) {
+  const section = document.createElement('div');
+  section.className = 'audit-section';
+  const heading = document.createElement('h4');
+  heading.textContent = `${title} (${rows.length})`;
+  section.appendChild(heading);
+  if (rows.length === 0) return section;
+
+  const table = document.createElement('table');
+  table.className = 'audit-table';
+  const headRow = table.createTHead().insertRow();
+  headers.forEach(h => {
+    const th = document.createElement('th');
+    th.textContent = h;
+    headRow.appendChild(th);
+  });
+  const body = table.createTBody();
+  for (const row of rows) {
+    const tr = body.insertRow();
+    row.cells.forEach(cell => { tr.insertCell().textContent = cell; });
+    tr.addEventListener('click', () => goToPage(row.page));
+  }
+  section.appendChild(table);
+  return section;
+}
+
+/**
+ * File name stem for exports, from the PDF name
+ */
+function exportName(extension) {
+  return `${(pdfName || 'plan-set').replace(/\.pdf$/i, '')}-audit.${extension}`;
+}
+
+/**
+ * Wire up the audit panel
+ */
+export function initAudit() {
+  auditRunBtn.addEventListener('click', runAudit);
+  auditExportCsvBtn.addEventListener('click', () => {
+    if (lastReport && reportDoc === pdfDoc) downloadFile(exportName('csv'), reportToCsv(lastReport), 'text/csv');
+  });
+  auditExportJsonBtn.addEventListener('click', () => {
+    if (lastReport && reportDoc === pdfDoc) downloadFile(exportName('json'), JSON.stringify(lastReport, null, 2), 'application/json');
+  });
+  document.addEventListener('pagerendered', () => {
+    if (reportDoc && reportDoc !== pdfDoc) clearReport();
+  });
+}
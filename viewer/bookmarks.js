@@ -0,0 +1,228 @@
+/**
+ * bookmarks.js - Named views of the set
+ *
+ * A bookmark is a sheet at a zoom and position ("Stair 2 rail detail"),
+ * saved in the browser per PDF and listed above the PDF's own outline in
+ * the Bookmarks panel. Bookmarks open by sheet ID when the sheet has one,
+ * so a file exported for the team still finds its sheets in a later
+ * revision where pages have moved.
+ */
+
+import { pdfDoc, pdfName, currentPage, pageLabels, pageTitles, goToView, currentView } from './main.js';
+import { getBookmarks, saveBookmarks } from './storage.js';
+import { downloadFile } from './download.js';
+
+const BOOKMARK_FORMAT_VERSION = 1;
+
+const addBtn = document.getElementById('bookmark-add');
+const exportBtn = document.getElementById('bookmark-export');
+const importBtn = document.getElementById('bookmark-import');
+const importFile = document.getElementById('bookmark-import-file');
+const bookmarkStatus = document.getElementById('bookmark-status');
+const bookmarkList = document.getElementById('bookmark-list');
+
+// Bookmarks of the open document, and the promise that loads them
+let bookmarkDoc = null;
+let bookmarksLoaded = null;
+let bookmarks = [];
+
+/**
+ * Load the saved bookmarks once per document
+ */
+function ensureBookmarks() {
+  if (bookmarkDoc !== pdfDoc) {
+    const doc = pdfDoc;
+    bookmarkDoc = doc;
+    bookmarks = [];
+    bookmarksLoaded = getBookmarks(doc.fingerprints[0])
+      .then((saved) => {
+        if (bookmarkDoc === doc && saved) bookmarks = saved.bookmarks;
+      })
+      .catch(err => console.warn('Could not load bookmarks:', err))
+      .then(renderList);
+  }
+  return bookmarksLoaded;
+}
+
+/**
+ * Save the open document's bookmarks and refresh the list
+ */
+function persist() {
+  saveBookmarks({ fingerprint: bookmarkDoc.fingerprints[0], pdfName, bookmarks, updatedAt: Date.now() })
+    .catch(err => console.warn('Could not save bookmarks:', err));
+  renderList();
+}
+
+/**
+ * Short unique id (crypto.randomUUID needs a secure context)
+ */
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Bookmark the view on screen under a name the user picks
+ */
+async function addBookmark() {
+  if (!pdfDoc) return;
+  await ensureBookmarks();
+  const sheet = pageLabels.get(currentPage);
+  const title = pageTitles.get(currentPage);
+  const suggested = [sheet || `Page ${currentPage}`, title].filter(Boolean).join(' - ');
+  const name = window.prompt('Bookmark name', suggested);
+  if (!name || !name.trim()) return;
+  const { page, sheet: uniqueSheet, zoom, x, y } = currentView();
+  bookmarks.push({
+    id: newId(),
+    name: name.trim(),
+    page,
+    ...(uniqueSheet ? { sheet: uniqueSheet } : {}),
+    zoom,
+    x,
+    y,
+    created: new Date().toISOString()
+  });
+  persist();
+  bookmarkStatus.textContent = `Bookmarked ${name.trim()}.`;
+}
+
+/**
+ * Rename a bookmark
+ */
+function renameBookmark(bookmark) {
+  const name = window.prompt('Rename bookmark', bookmark.name);
+  if (!name || !name.trim()) return;
+  bookmark.name = name.trim();
+  persist();
+}
+
+/**
+ * Delete a bookmark
+ */
+function removeBookmark(id) {
+  bookmarks = bookmarks.filter(b => b.id !== id);
+  persist();
+}
+
+/**
+ * List the bookmarks in the order they were made: click to open, ✎ to
+ * rename, × to delete
+ */
+function renderList() {
+  bookmarkList.innerHTML = '';
+  exportBtn.disabled = bookmarks.length === 0;
+  if (bookmarks.length === 0) {
+    bookmarkList.textContent = 'No bookmarks yet. Zoom to a view and click Add bookmark.';
+    return;
+  }
+  for (const bookmark of bookmarks) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+
+    const item = document.createElement('button');
+    item.className = 'panel-item';
+    item.textContent = bookmark.name;
+    item.title = `${bookmark.sheet || `Page ${bookmark.page}`} at ${Math.round(bookmark.zoom * 100)}%`;
+    item.addEventListener('click', () => goToView(bookmark));
+
+    const rename = document.createElement('button');
+    rename.className = 'panel-remove';
+    rename.textContent = '✎';
+    rename.title = 'Rename bookmark';
+    rename.addEventListener('click', () => renameBookmark(bookmark));
+
+    const remove = document.createElement('button');
+    remove.className = 'panel-remove';
+    remove.textContent = '×';
+    remove.title = 'Delete bookmark';
+    remove.addEventListener('click', () => removeBookmark(bookmark.id));
+
+    row.append(item, rename, remove);
+    bookmarkList.appendChild(row);
+  }
+}
+
+/**
+ * Check an imported bookmark has a name, a page and a finite view, and
+ * normalize its sheet ID
+ */
+function normalizeImported(b) {
+  if (!b || typeof b.name !== 'string' || !b.name.trim()) return null;
+  if (!Number.isInteger(b.page) || b.page < 1) return null;
+  if (![b.zoom, b.x, b.y].every(Number.isFinite)) return null;
+  return {
+    id: typeof b.id === 'string' && b.id ? b.id : newId(),
+    name: b.name.trim(),
+    page: b.page,
+    ...(typeof b.sheet === 'string' && b.sheet ? { sheet: b.sheet.replace(/\s+/g, '').toUpperCase() } : {}),
+    zoom: b.zoom,
+    x: b.x,
+    y: b.y,
+    created: typeof b.created === 'string' ? b.created : new Date().toISOString()
+  };
+}
+
+/**
+ * Download the bookmarks as JSON
+ */
+function exportBookmarks() {
+  if (!bookmarkDoc) return;
+  const data = {
+    version: BOOKMARK_FORMAT_VERSION,
+    pdf_file: pdfName,
+    fingerprint: bookmarkDoc.fingerprints[0],
+    exported_at: new Date().toISOString(),
+    bookmarks
+  };
+  const stem = (pdfName || 'plan-set').replace(/\.pdf$/i, '');
+  downloadFile(`${stem}-bookmarks.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Merge bookmarks from an exported JSON file; bookmarks with the same id
+ * are replaced
+ */
+async function importBookmarks(file) {
+  if (!pdfDoc) return;
+  await ensureBookmarks();
+  let data = null;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    console.warn('Could not read bookmark file:', err);
+  }
+  if (!data || !Array.isArray(data.bookmarks)) {
+    bookmarkStatus.textContent = `${file.name} is not a bookmark file.`;
+    return;
+  }
+  if (data.fingerprint && data.fingerprint !== pdfDoc.fingerprints[0]
+    && !window.confirm(`These bookmarks were made on ${data.pdf_file || 'a different PDF'}. They open by sheet ID where they have one. Import them anyway?`)) {
+    return;
+  }
+
+  const imported = data.bookmarks.map(normalizeImported).filter(Boolean);
+  const byId = new Map(bookmarks.map(b => [b.id, b]));
+  imported.forEach(b => byId.set(b.id, b));
+  bookmarks = Array.from(byId.values());
+  persist();
+  const skipped = data.bookmarks.length - imported.length;
+  bookmarkStatus.textContent = `Imported ${imported.length} bookmark${imported.length === 1 ? '' : 's'}`
+    + (skipped ? ` (${skipped} skipped).` : '.');
+}
+
+/**
+ * Wire up the bookmark section of the Bookmarks panel
+ */
+export function initBookmarks() {
+  addBtn.addEventListener('click', addBookmark);
+  exportBtn.addEventListener('click', exportBookmarks);
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) importBookmarks(importFile.files[0]);
+    importFile.value = '';
+  });
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId === 'outline-panel' && pdfDoc) ensureBookmarks();
+  });
+  document.addEventListener('pagerendered', ensureBookmarks);
+}
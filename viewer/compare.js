@@ -0,0 +1,349 @@
+/**
+ * compare.js - Compare the open set with another revision
+ *
+ * Loads a second PDF (e.g. the 50% set against the 90% set), labels its
+ * pages with the same sheet-ID detection as the open set and matches
+ * sheets by ID rather than page number. The sheet on screen can then be
+ * shown next to its counterpart, as an onion-skin overlay or as a
+ * red/green pixel diff, and the panel summarizes added, removed and
+ * modified sheets with their text changes. The open set is treated as
+ * the newer revision.
+ */
+
+import {
+  pdfDoc,
+  currentPage,
+  pageViewport,
+  pageLabels,
+  goToPage,
+  scanSheetIndex,
+  whenSheetIndexReady
+} from './main.js';
+import { textRuns } from './geometry.js';
+
+// Diff colors: ink only in the open set, only in the other revision, in both
+const ADDED_COLOR = [0, 170, 0];
+const REMOVED_COLOR = [220, 0, 0];
+const SAME_COLOR = [190, 190, 190];
+// Channel value below which a pixel counts as ink
+const INK_THRESHOLD = 200;
+const MAX_TEXT_CHANGES = 50;
+
+const canvas = document.getElementById('pdf-canvas');
+const compareCanvas = document.getElementById('compare-canvas');
+const openBtn = document.getElementById('compare-open');
+const fileInput = document.getElementById('compare-file');
+const modeSelect = document.getElementById('compare-mode');
+const opacityField = document.getElementById('compare-opacity-field');
+const opacityInput = document.getElementById('compare-opacity');
+const compareStatus = document.getElementById('compare-status');
+const compareSummary = document.getElementById('compare-summary');
+const compareSheet = document.getElementById('compare-sheet');
+
+// The other revision: its document, name, page -> sheet ID labels and
+// matched sheet ID -> page
+let otherDoc = null;
+let otherName = '';
+let otherLabels = new Map();
+let otherPages = new Map();
+// Document the summary was built for
+let summaryDoc = null;
+// Incremented per render so a slow one doesn't overwrite a newer one
+let renderToken = 0;
+
+/**
+ * Match sheets of two revisions by sheet ID. Labels are page -> sheet ID;
+ * a sheet ID on several pages matches on its first page.
+ */
+export function matchSheets(newLabels, oldLabels) {
+  const firstPages = (labels) => {
+    const pages = new Map();
+    for (const [page, sheet] of Array.from(labels).sort((a, b) => a[0] - b[0])) {
+      if (!pages.has(sheet)) pages.set(sheet, page);
+    }
+    return pages;
+  };
+  const newPages = firstPages(newLabels);
+  const oldPages = firstPages(oldLabels);
+  const added = [];
+  const removed = [];
+  const matched = [];
+  for (const [sheet, page] of newPages) {
+    if (oldPages.has(sheet)) matched.push({ sheet, page, otherPage: oldPages.get(sheet) });
+    else added.push({ sheet, page });
+  }
+  for (const [sheet, page] of oldPages) {
+    if (!newPages.has(sheet)) removed.push({ sheet, page });
+  }
+  return { added, removed, matched };
+}
+
+/**
+ * Text lines that were added and removed between two versions of a sheet.
+ * Drawings are positional rather than flowing text, so lines are compared
+ * as multisets rather than in reading order.
+ */
+export function diffLines(newLines, oldLines) {
+  const counts = new Map();
+  oldLines.forEach(line => counts.set(line, (counts.get(line) || 0) + 1));
+  const added = [];
+  for (const line of newLines) {
+    const count = counts.get(line) || 0;
+    if (count > 0) counts.set(line, count - 1);
+    else added.push(line);
+  }
+  const removed = [];
+  for (const [line, count] of counts) {
+    for (let i = 0; i < count; i++) removed.push(line);
+  }
+  return { added, removed };
+}
+
+/**
+ * Red/green diff of two same-sized RGBA pixel arrays: green where only the
+ * new image has ink, red where only the old one does, gray where both do.
+ * Returns the number of changed pixels.
+ */
+export function diffPixels(newData, oldData, out) {
+  let changed = 0;
+  for (let i = 0; i < out.length; i += 4) {
+    const newInk = Math.min(newData[i], newData[i + 1], newData[i + 2]) < INK_THRESHOLD && newData[i + 3] > 0;
+    const oldInk = Math.min(oldData[i], oldData[i + 1], oldData[i + 2]) < INK_THRESHOLD && oldData[i + 3] > 0;
+    let color = [255, 255, 255];
+    if (newInk && oldInk) {
+      color = SAME_COLOR;
+    } else if (newInk) {
+      color = ADDED_COLOR;
+      changed++;
+    } else if (oldInk) {
+      color = REMOVED_COLOR;
+      changed++;
+    }
+    out[i] = color[0];
+    out[i + 1] = color[1];
+    out[i + 2] = color[2];
+    out[i + 3] = 255;
+  }
+  return changed;
+}
+
+/**
+ * Text of a page as normalized lines (runs of items on one baseline)
+ */
+async function pageLines(doc, pageNum) {
+  const page = await doc.getPage(pageNum);
+  const content = await page.getTextContent();
+  return textRuns(content.items, page.getViewport({ scale: 1 }).transform)
+    .map(run => run.text.replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+}
+
+/**
+ * Load the other revision and label its pages
+ */
+async function openOtherRevision(file) {
+  if (otherDoc) otherDoc.destroy();
+  otherDoc = null;
+  otherLabels = new Map();
+  otherPages = new Map();
+  summaryDoc = null;
+  compareSummary.innerHTML = '';
+  compareStatus.textContent = `Loading ${file.name}…`;
+  try {
+    const doc = await pdfjsLib.getDocument({ data: await file.arrayBuffer() }).promise;
+    const { labels } = await scanSheetIndex(doc, file.name, {
+      onPage: (pageNum) => {
+        compareStatus.textContent = `Reading sheet IDs in ${file.name}: ${pageNum}/${doc.numPages}…`;
+      }
+    });
+    otherDoc = doc;
+    otherName = file.name;
+    otherLabels = labels;
+    if (modeSelect.value === 'off') modeSelect.value = 'side';
+    await buildSummary();
+    renderComparison(currentPage);
+  } catch (err) {
+    console.error('Could not open revision:', err);
+    compareStatus.textContent = `Could not open ${file.name}.`;
+  }
+}
+
+/**
+ * Match sheets, diff the text of matched sheets and render the summary
+ */
+async function buildSummary() {
+  const doc = pdfDoc;
+  const other = otherDoc;
+  const labels = otherLabels;
+  summaryDoc = doc;
+  compareStatus.textContent = 'Waiting for sheet index…';
+  await whenSheetIndexReady();
+  if (pdfDoc !== doc || otherDoc !== other) return;
+
+  const { added, removed, matched } = matchSheets(pageLabels, labels);
+  otherPages = new Map(matched.map(m => [m.sheet, m.otherPage]));
+
+  const modified = [];
+  let unchanged = 0;
+  for (let i = 0; i < matched.length; i++) {
+    compareStatus.textContent = `Comparing text ${i + 1}/${matched.length}…`;
+    const m = matched[i];
+    const changes = diffLines(await pageLines(doc, m.page), await pageLines(other, m.otherPage));
+    if (pdfDoc !== doc || otherDoc !== other) return;
+    if (changes.added.length || changes.removed.length) modified.push({ ...m, ...changes });
+    else unchanged++;
+  }
+
+  const unlabeled = other.numPages - labels.size;
+  compareStatus.textContent = `Compared with ${otherName}: ${added.length} added, ${removed.length} removed, `
+    + `${modified.length} modified, ${unchanged} unchanged`
+    + (unlabeled ? ` (${unlabeled} page${unlabeled === 1 ? '' : 's'} without a sheet ID not compared)` : '');
+  renderSummary(added, removed, modified);
+}
+
+/**
+ * Render the change summary; sheets in the open set open when clicked
+ */
+function renderSummary(added, removed, modified) {
+  compareSummary.innerHTML = '';
+  const section = (title, entries, build) => {
+    const heading = document.createElement('h4');
+    heading.textContent = `${title} (${entries.length})`;
+    compareSummary.appendChild(heading);
+    entries.forEach(entry => compareSummary.appendChild(build(entry)));
+  };
+  const sheetButton = (entry, text) => {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+    const button = document.createElement('button');
+    button.className = 'panel-item';
+    button.textContent = text;
+    button.title = `Go to ${entry.sheet}`;
+    button.addEventListener('click', async () => {
+      await goToPage(entry.page);
+    });
+    row.appendChild(button);
+    return row;
+  };
+
+  section('Added sheets', added, entry => sheetButton(entry, `${entry.sheet} (page ${entry.page})`));
+  section('Removed sheets', removed, (entry) => {
+    const item = document.createElement('div');
+    item.className = 'compare-removed';
+    item.textContent = `${entry.sheet} (page ${entry.page} of ${otherName})`;
+    return item;
+  });
+  section('Modified sheets', modified, (entry) => {
+    const group = document.createElement('div');
+    group.className = 'compare-modified';
+    group.appendChild(sheetButton(entry, `${entry.sheet}: +${entry.added.length} / -${entry.removed.length} text`));
+    const details = document.createElement('ul');
+    details.className = 'compare-text-changes';
+    const lines = [
+      ...entry.added.map(text => ['added', `+ ${text}`]),
+      ...entry.removed.map(text => ['removed', `- ${text}`])
+    ];
+    for (const [kind, text] of lines.slice(0, MAX_TEXT_CHANGES)) {
+      const li = document.createElement('li');
+      li.className = kind;
+      li.textContent = text;
+      details.appendChild(li);
+    }
+    if (lines.length > MAX_TEXT_CHANGES) {
+      const li = document.createElement('li');
+      li.textContent = `… ${lines.length - MAX_TEXT_CHANGES} more`;
+      details.appendChild(li);
+    }
+    group.appendChild(details);
+    return group;
+  });
+}
+
+/**
+ * Show the other revision's version of the sheet on screen in the
+ * selected view, at the same zoom as the main canvas
+ */
+async function renderComparison(pageNum) {
+  const token = ++renderToken;
+  const mode = modeSelect.value;
+  opacityField.hidden = mode !== 'overlay';
+  const sheet = pageLabels.get(pageNum);
+  const otherPage = sheet ? otherPages.get(sheet) : null;
+  if (!otherDoc || mode === 'off' || !otherPage) {
+    compareCanvas.hidden = true;
+    if (!otherDoc || mode === 'off') compareSheet.textContent = '';
+    else compareSheet.textContent = sheet ? `${sheet} is not in ${otherName}.` : `Page ${pageNum} has no sheet ID to match.`;
+    return;
+  }
+
+  // Rendered at the base canvas's resolution (see renderer.js), which the
+  // pixel diff compares against, and stretched to the page's size on screen
+  const page = await pdfDoc.getPage(pageNum);
+  const zoom = canvas.width / page.getViewport({ scale: 1 }).width;
+  const cssZoom = pageViewport.scale / zoom;
+  const other = await otherDoc.getPage(otherPage);
+  const viewport = other.getViewport({ scale: zoom });
+  const rendered = document.createElement('canvas');
+  rendered.width = viewport.width;
+  rendered.height = viewport.height;
+  await other.render({ canvasContext: rendered.getContext('2d'), viewport }).promise;
+  if (token !== renderToken) return;
+
+  const ctx = compareCanvas.getContext('2d');
+  if (mode === 'diff') {
+    const width = Math.max(canvas.width, rendered.width);
+    const height = Math.max(canvas.height, rendered.height);
+    const pixels = (source) => {
+      const padded = document.createElement('canvas');
+      padded.width = width;
+      padded.height = height;
+      const paddedCtx = padded.getContext('2d');
+      paddedCtx.fillStyle = 'white';
+      paddedCtx.fillRect(0, 0, width, height);
+      paddedCtx.drawImage(source, 0, 0);
+      return paddedCtx.getImageData(0, 0, width, height).data;
+    };
+    compareCanvas.width = width;
+    compareCanvas.height = height;
+    const out = ctx.createImageData(width, height);
+    diffPixels(pixels(canvas), pixels(rendered), out.data);
+    ctx.putImageData(out, 0, 0);
+  } else {
+    compareCanvas.width = rendered.width;
+    compareCanvas.height = rendered.height;
+    ctx.drawImage(rendered, 0, 0);
+  }
+
+  // Side by side sits next to the main canvas in the scrolling container,
+  // so both scroll together; overlay and diff sit on top of it
+  compareCanvas.className = mode === 'side' ? 'compare-side' : 'compare-over';
+  compareCanvas.classList.toggle('compare-diff', mode === 'diff');
+  compareCanvas.style.left = mode === 'side' ? '' : `${canvas.offsetLeft}px`;
+  compareCanvas.style.top = mode === 'side' ? '' : `${canvas.offsetTop}px`;
+  compareCanvas.style.width = `${compareCanvas.width * cssZoom}px`;
+  compareCanvas.style.height = `${compareCanvas.height * cssZoom}px`;
+  compareCanvas.style.opacity = mode === 'overlay' ? String(opacityInput.value / 100) : '';
+  compareSheet.textContent = `${sheet}: page ${otherPage} of ${otherName}`;
+  compareCanvas.hidden = false;
+}
+
+/**
+ * Wire up the compare panel
+ */
+export function initCompare() {
+  openBtn.addEventListener('click', () => fileInput.click());
+  fileInput.addEventListener('change', () => {
+    if (fileInput.files[0] && pdfDoc) openOtherRevision(fileInput.files[0]);
+    fileInput.value = '';
+  });
+  modeSelect.addEventListener('change', () => renderComparison(currentPage));
+  opacityInput.addEventListener('input', () => {
+    compareCanvas.style.opacity = String(opacityInput.value / 100);
+  });
+  document.addEventListener('pagerendered', (e) => {
+    if (!otherDoc) return;
+    // Another set was opened: match it against the same revision
+    if (summaryDoc !== pdfDoc) buildSummary();
+    renderComparison(e.detail.pageNum);
+  });
+}
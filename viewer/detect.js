@@ -0,0 +1,314 @@
+/**
+ * detect.js - Sheet label, title, callout and detail detection
+ *
+ * Pure functions (no DOM, no pdfjsLib global) shared by the viewer and the
+ * command line indexer (tools/plan-navigator.js), so both agree on what a
+ * sheet label or a callout is, and covered by the tests in test/. They work
+ * on PDF.js page proxies and text content. patterns is the compiled grammar
+ * from compilePatterns().
+ */
+
+import { multiplyTransform, textRuns, runRangeBox } from './geometry.js';
+
+// index.json written by tools/plan-navigator.js carries this as
+// schema_version, with sheets and titles; indexes from the older Python
+// tool have no schema_version
+export const INDEX_SCHEMA_VERSION = 2;
+
+/**
+ * Compile a pattern config (patterns.json) into regexes.
+ * Each sheetIds entry is a regex source for one sheet numbering scheme; they are
+ * OR-ed together. Callout patterns reference them through the {sheet}
+ * placeholder and must capture the detail number (group 1) and sheet (group 2).
+ */
+export function compilePatterns(config) {
+  const sheetSource = config.sheetIds.map(s => `(?:${s.pattern})`).join('|');
+  const callouts = config.callouts.map(c => c.pattern.split('{sheet}').join(`(?:${sheetSource})`));
+  return {
+    config,
+    sheet: new RegExp(`\\b(?:${sheetSource})\\b`, 'i'),
+    sheetExact: new RegExp(`^(?:${sheetSource})$`, 'i'),
+    sheetStart: new RegExp(`^(?:${sheetSource})\\b`, 'i'),
+    callouts: callouts.map(src => new RegExp(`\\b${src}\\b`, 'i'))
+  };
+}
+
+/**
+ * Normalize a sheet ID for comparison ("ac 401" -> "AC401")
+ */
+export function normalizeSheetId(text) {
+  return text.replace(/\s+/g, '').toUpperCase();
+}
+
+/**
+ * Parse the first callout in a string.
+ * Returns { text, detail, sheet, index, length } with text normalized
+ * to "09/AC401", or null if the string holds no callout.
+ */
+export function parseCallout(str, patterns) {
+  for (const regex of patterns.callouts) {
+    const match = str.match(regex);
+    if (match) {
+      const detail = match[1];
+      const sheet = normalizeSheetId(match[2]);
+      return { text: `${detail}/${sheet}`, detail, sheet, index: match.index, length: match[0].length };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parse a sheet ID at the start of a string ("A101  FLOOR PLAN").
+ * Returns { sheet, length } with sheet normalized, or null.
+ */
+export function parseSheetId(str, patterns) {
+  const match = str.match(patterns.sheetStart);
+  return match ? { sheet: normalizeSheetId(match[0]), length: match[0].length } : null;
+}
+
+/**
+ * Find every callout in a string, in order of appearance.
+ * Returns the same shape as parseCallout.
+ */
+export function findCallouts(str, patterns) {
+  const found = [];
+  for (const regex of patterns.callouts) {
+    const global = new RegExp(regex.source, 'gi');
+    for (const match of str.matchAll(global)) {
+      const detail = match[1];
+      const sheet = normalizeSheetId(match[2]);
+      found.push({ text: `${detail}/${sheet}`, detail, sheet, index: match.index, length: match[0].length });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Find the callouts on a page with the box each covers in a viewport's
+ * space: [{ callout, run, box }] with box from runRangeBox(). Adjacent text
+ * items on one baseline are joined first, so callouts split across items
+ * ("09" "/" "AC401") are found, and vertical text is handled like any other.
+ */
+export function findPageCallouts(content, viewport, patterns) {
+  const found = [];
+  for (const run of textRuns(content.items || [], viewport.transform)) {
+    for (const callout of findCallouts(run.text, patterns)) {
+      found.push({ callout, run, box: runRangeBox(run, callout.index, callout.index + callout.length) });
+    }
+  }
+  return found;
+}
+
+/**
+ * Extract the sheet label from the lower-right area of a page using PDF.js
+ * text content and the patterns.json grammar. Chooses the match closest to
+ * the "Sheet No." label and the bottom-right corner if several are present.
+ * Returns null when the page has no title block label (better no label
+ * than a wrong one). Pass the page's text content if it has already been
+ * fetched.
+ */
+export async function detectSheetLabel(page, content, patterns) {
+  const viewport = page.getViewport({ scale: 1.0 });
+  if (!content) content = await page.getTextContent();
+  // Match only pure sheet IDs (e.g. AC401, A-201), not callouts like "02/AC513"
+  const fullRegex = patterns.sheet;
+  // Sheet IDs split across items: a discipline prefix ("AC", "A-") then its number
+  const prefixOnlyRegex = /^[A-Z]{1,3}-?$/i;
+  let best = null; // {text, x, y, score}
+
+  const items = content.items;
+  const brX = viewport.width;
+  const brY = viewport.height;
+
+  // Helper: distance to bottom-right
+  function distToBR(x, y) {
+    const dx = brX - x;
+    const dy = brY - y;
+    return Math.sqrt(dx * dx + dy * dy);
+  }
+
+  // Precompute positions of "Sheet No." label to find nearby AC codes
+  const sheetHints = [];
+  for (let i = 0; i < items.length; i++) {
+    const s = items[i].str.trim().toUpperCase();
+    if (s.includes('SHEET') || s.includes('NO.') || s === 'NO' || s.includes('TITLE')) {
+      const [, , , , ex, ey] = items[i].transform;
+      sheetHints.push({ x: ex, y: ey, text: s });
+    }
+  }
+  if (sheetHints.length === 0) return null;
+
+  // Find matches, score by proximity to BR and to sheet hints
+  // Only consider bottom-right quadrant to avoid false matches from page body
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    const str = item.str.trim();
+    const [, , , , e, f] = item.transform;
+    const x = e;
+    const y = f;
+
+    // Filter to bottom-right region in PDF coords (rightmost 50%, bottommost 50%)
+    // PDF.js uses bottom-left origin: low Y = bottom, high X = right
+    const percentX = (x / brX);
+    const percentY = (y / brY);
+    if (percentX < 0.5 || percentY > 0.5) continue; // X > 50%, Y < 50% (bottom)
+
+    // Skip if this is part of a callout (e.g., "02/AC513")
+    if (parseCallout(str, patterns)) continue;
+
+    let matchText = null;
+    if (fullRegex.test(str)) {
+      matchText = normalizeSheetId(str.match(fullRegex)[0]);
+    } else if (prefixOnlyRegex.test(str)) {
+      for (let k = 1; k <= 3; k++) {
+        const next = items[i + k];
+        if (!next) break;
+        const joined = str + next.str.trim();
+        if (patterns.sheetExact.test(joined)) {
+          matchText = normalizeSheetId(joined);
+          break;
+        }
+      }
+    }
+    if (!matchText) continue;
+
+    // Base score: inverse of distance to bottom-right
+    const dist = distToBR(x, y);
+    let score = 10000 / (1 + dist);
+
+    // Strong bonus: closeness to "Sheet No." label
+    let minSheetDist = Infinity;
+    for (const hint of sheetHints) {
+      const dx = hint.x - x;
+      const dy = hint.y - y;
+      const d = Math.sqrt(dx * dx + dy * dy);
+      minSheetDist = Math.min(minSheetDist, d);
+      score += 50000 / (1 + d); // Much higher weight for sheet proximity
+    }
+
+    // Only accept candidates close to "Sheet No." label (within ~200 units)
+    if (minSheetDist > 200) continue;
+
+    if (!best || score > best.score) {
+      best = { text: matchText, x, y, score };
+    }
+  }
+
+  return best ? best.text : null;
+}
+
+/**
+ * Extract the sheet title from the title block: the lines under the
+ * "SHEET TITLE" / "DRAWING TITLE" label in the lower-right quarter of the
+ * page, or the text after it on the same line. Stops at the next title
+ * block field. Returns null without a title label, like detectSheetLabel().
+ */
+export function detectSheetTitle(page, content, patterns) {
+  const viewport = page.getViewport({ scale: 1.0 });
+  const boxes = textRuns(content.items, viewport.transform)
+    .map(run => ({ text: run.text.replace(/\s+/g, ' ').trim(), box: runRangeBox(run, 0, run.text.length) }))
+    .filter(({ text, box }) => text && box.x > viewport.width / 2 && box.y > viewport.height / 2);
+  // "SHEET TITLE", "DRAWING TITLE:" or "TITLE" (but not a title such as "TITLE SHEET")
+  const labelRegex = /^(?:(?:SHEET|DRAWING|DWG\.?)\s+)?TITLE\s*(?::|$)/i;
+  const hint = boxes.find(({ text }) => labelRegex.test(text));
+  if (!hint) return null;
+
+  // "SHEET TITLE: FLOOR PLAN" on one line
+  const inline = hint.text.replace(labelRegex, '').trim();
+  if (inline) return inline;
+
+  // Lines under the label that overlap it horizontally, top to bottom
+  const below = boxes
+    .filter(({ box }) => box.y >= hint.box.y + hint.box.height * 0.5
+      && box.x < hint.box.x + hint.box.width + hint.box.height * 4
+      && box.x + box.width > hint.box.x - hint.box.height * 4)
+    .sort((a, b) => a.box.y - b.box.y);
+  const lines = [];
+  let bottom = hint.box.y + hint.box.height;
+  for (const { text, box } of below) {
+    // The title starts right under its label; its lines are closely spaced
+    const maxGap = lines.length ? box.height : Math.max(box.height, hint.box.height) * 2.5;
+    if (box.y - bottom > maxGap) break;
+    if (isTitleBlockField(text)) break;
+    bottom = Math.max(bottom, box.y + box.height);
+    if (patterns.sheetExact.test(text)) continue;
+    lines.push(text);
+  }
+  return lines.length ? lines.join(' ') : null;
+}
+
+/**
+ * Whether a line of title block text is a field label ("SHEET NO.",
+ * "DATE:", "DRAWN BY") rather than part of a title
+ */
+export function isTitleBlockField(text) {
+  return /:$/.test(text)
+    || /^(?:(?:SHEET|DRAWING|DWG\.?)\s*(?:NO\.?|NUMBER|#)|PROJECT(?:\s+(?:NO\.?|NUMBER|NAME))?|DATE|SCALE|DRAWN(?:\s+BY)?|CHECKED(?:\s+BY)?|JOB(?:\s+NO\.?)?|REVISIONS?|REV\.?|ISSUED?(?:\s+FOR)?)\b/i.test(text);
+}
+
+/**
+ * Locate a detail's number bubble and title on a page.
+ * Detail titles are drawn as the number (often inside a circle) followed by
+ * an uppercase title and usually a "SCALE:" note, so a bare number is only
+ * accepted when title text sits beside it. Returns the bubble + title box in
+ * unscaled page units (top-left origin) along with the title text, or null
+ * when nothing convincing is found. Pass the page's text content if it has
+ * already been fetched.
+ */
+export async function findDetailOnPage(page, content, detailNum) {
+  const wanted = parseInt(detailNum, 10);
+  if (Number.isNaN(wanted)) return null;
+
+  const viewport = page.getViewport({ scale: 1.0 });
+  if (!content) content = await page.getTextContent();
+
+  // Flatten items to top-left based boxes for horizontal text only;
+  // detail titles are never set vertically.
+  const boxes = [];
+  for (const item of content.items) {
+    const str = (item.str || '').trim();
+    if (!str) continue;
+    const [a, b, , , e, f] = multiplyTransform(viewport.transform, item.transform);
+    if (Math.abs(b) > Math.abs(a)) continue;
+    const fontSize = Math.hypot(a, b);
+    boxes.push({ str, x: e, y: f - fontSize, width: item.width, height: fontSize });
+  }
+
+  const numberRegex = /^0*(\d{1,3})$/;
+  const titleRegex = /^[^a-z]*[A-Z]{3}/;
+  let best = null;
+
+  for (const box of boxes) {
+    const m = box.str.match(numberRegex);
+    if (!m || parseInt(m[1], 10) !== wanted) continue;
+
+    // Title text: to the right of the bubble, roughly on the same line
+    const reach = box.height * 20;
+    let title = null;
+    for (const other of boxes) {
+      if (other === box || !titleRegex.test(other.str) || other.str.includes('/')) continue;
+      const dx = other.x - (box.x + box.width);
+      const dy = Math.abs((other.y + other.height / 2) - (box.y + box.height / 2));
+      if (dx < 0 || dx > reach || dy > box.height * 1.5) continue;
+      if (!title || dx < title.dx) title = { box: other, dx };
+    }
+    if (!title) continue;
+
+    const titleBox = title.box;
+    const hasScale = boxes.some(o => /SCALE/i.test(o.str)
+      && Math.abs(o.x - titleBox.x) < reach
+      && o.y > titleBox.y && o.y - titleBox.y < titleBox.height * 4);
+
+    // Larger, closer and scale-annotated titles win
+    const score = box.height * 10 - title.dx / box.height + (hasScale ? 50 : 0);
+    if (!best || score > best.score) {
+      const x = Math.min(box.x, titleBox.x);
+      const y = Math.min(box.y, titleBox.y);
+      const right = Math.max(box.x + box.width, titleBox.x + titleBox.width);
+      const bottom = Math.max(box.y + box.height, titleBox.y + titleBox.height);
+      best = { score, region: { x, y, width: right - x, height: bottom - y, title: titleBox.str } };
+    }
+  }
+
+  return best ? best.region : null;
+}
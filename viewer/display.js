@@ -0,0 +1,168 @@
+/**
+ * display.js - Sheet display modes and discipline tints
+ *
+ * Modes change how sheets look on screen for long reviews: dark (the sheet
+ * inverted and dimmed, keeping its colors), inverted, high-contrast
+ * linework and grayscale. They are CSS filters on the page canvas, its
+ * tiles, the compare canvas (except the red/green diff) and the thumbnails
+ * (see index.html), so switching is instant and exports and prints keep
+ * the sheet's own colors. Link overlays have their own colors in each
+ * mode, since they sit above the filtered sheet. Discipline tints color
+ * callout links by the discipline of the sheet they point to (S blue, M
+ * green…).
+ *
+ * The mode and tint are kept in localStorage.
+ */
+
+import { pdfDoc, pageLabels } from './main.js';
+import { classifySheet } from './sheets.js';
+
+const DISPLAY_KEY = 'plan-navigator-display';
+
+export const SHEET_MODES = {
+  normal: 'Normal',
+  dark: 'Dark',
+  inverted: 'Inverted',
+  'high-contrast': 'High-contrast linework',
+  grayscale: 'Grayscale'
+};
+
+// Tint of callout links by target discipline, as "r, g, b" (readable on
+// white and on dark sheets)
+const DISCIPLINE_COLORS = {
+  General: '120, 120, 120',
+  Civil: '150, 100, 40',
+  Landscape: '60, 150, 60',
+  Structural: '30, 110, 220',
+  Architectural: '200, 60, 160',
+  Interiors: '220, 110, 30',
+  'Fire Protection': '220, 40, 40',
+  Plumbing: '0, 160, 170',
+  Mechanical: '40, 160, 80',
+  Electrical: '200, 160, 0',
+  Telecommunications: '130, 80, 210'
+};
+
+const modeSelect = document.getElementById('sheet-mode');
+const tintCheckbox = document.getElementById('discipline-tint');
+const legend = document.getElementById('discipline-legend');
+
+let settings = { mode: 'normal', tint: false };
+
+/**
+ * Read the saved display settings
+ */
+function loadSettings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(DISPLAY_KEY));
+    if (saved && SHEET_MODES[saved.mode]) settings = { mode: saved.mode, tint: Boolean(saved.tint) };
+  } catch (err) {
+    console.warn('Could not read display settings:', err);
+  }
+}
+
+/**
+ * Keep the display settings for the next session
+ */
+function saveSettings() {
+  try {
+    localStorage.setItem(DISPLAY_KEY, JSON.stringify(settings));
+  } catch (err) {
+    console.warn('Could not save display settings:', err);
+  }
+}
+
+/**
+ * The color ("r, g, b") callout links to a sheet are tinted with, or null
+ * for disciplines without one
+ */
+export function disciplineColor(sheetId) {
+  return DISCIPLINE_COLORS[classifySheet(sheetId).discipline] || null;
+}
+
+/**
+ * Apply the settings to the page and the controls
+ */
+function applySettings() {
+  if (settings.mode === 'normal') delete document.body.dataset.sheetMode;
+  else document.body.dataset.sheetMode = settings.mode;
+  document.body.classList.toggle('tint-disciplines', settings.tint);
+  modeSelect.value = settings.mode;
+  tintCheckbox.checked = settings.tint;
+  renderLegend();
+}
+
+/**
+ * Switch the sheet display mode
+ */
+export function setSheetMode(mode) {
+  if (!SHEET_MODES[mode]) return;
+  settings = { ...settings, mode };
+  saveSettings();
+  applySettings();
+}
+
+/**
+ * Switch to the next display mode (the d key)
+ */
+export function nextSheetMode() {
+  const modes = Object.keys(SHEET_MODES);
+  setSheetMode(modes[(modes.indexOf(settings.mode) + 1) % modes.length]);
+}
+
+/**
+ * Turn discipline tints on or off
+ */
+export function setDisciplineTint(on) {
+  settings = { ...settings, tint: on };
+  saveSettings();
+  applySettings();
+}
+
+/**
+ * Whether callout links are tinted by discipline
+ */
+export function disciplineTint() {
+  return settings.tint;
+}
+
+/**
+ * List the tinted disciplines of the open set with their colors
+ */
+function renderLegend() {
+  legend.innerHTML = '';
+  legend.hidden = !settings.tint;
+  if (!settings.tint || !pdfDoc) return;
+  const disciplines = new Set(Array.from(pageLabels.values(), sheet => classifySheet(sheet).discipline));
+  for (const [discipline, color] of Object.entries(DISCIPLINE_COLORS)) {
+    if (!disciplines.has(discipline)) continue;
+    const item = document.createElement('div');
+    item.className = 'legend-item';
+    const swatch = document.createElement('span');
+    swatch.className = 'legend-swatch';
+    swatch.style.setProperty('--discipline-color', color);
+    item.append(swatch, discipline);
+    legend.appendChild(item);
+  }
+}
+
+/**
+ * Wire up the display controls and apply the saved settings
+ */
+export function initDisplay() {
+  for (const [mode, label] of Object.entries(SHEET_MODES)) {
+    const option = document.createElement('option');
+    option.value = mode;
+    option.textContent = label;
+    modeSelect.appendChild(option);
+  }
+  loadSettings();
+  applySettings();
+  modeSelect.addEventListener('change', () => setSheetMode(modeSelect.value));
+  tintCheckbox.addEventListener('change', () => setDisciplineTint(tintCheckbox.checked));
+  // Sheet IDs of a new set come in as it is scanned
+  document.addEventListener('pagerendered', renderLegend);
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId === 'display-panel') renderLegend();
+  });
+}
@@ -0,0 +1,580 @@
+/**
+ * export.js - Export and print sheets or a region
+ *
+ * Sheets are picked by Ctrl/⌘-click (Shift-click for a run) on the
+ * thumbnails or in the Sheets panel, or with the Export panel's buttons;
+ * Select region drags a rectangle on the sheet on screen instead. They are
+ * saved as a PDF or PNG images at the chosen resolution, or printed on the
+ * chosen paper at the chosen scale, each stamped in its margin with the
+ * sheet ID, the set and the date. Pages are rendered with PDF.js, so an
+ * exported PDF holds images of the sheets (see pdf-writer.js).
+ */
+
+import { pdfDoc, pdfName, currentPage, totalPages, pageLabels, pageTitles, pageViewport } from './main.js';
+import { downloadFile } from './download.js';
+import { writeImagePdf } from './pdf-writer.js';
+import { PAPER_SIZES, MARGIN, STAMP_SIZE, STAMP_POSITION, layoutOnPaper, stampText } from './paper.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+// Largest canvas rendered for export (browsers refuse bigger ones), and
+// the JPEG quality of sheets in PDFs and print layouts
+const MAX_EXPORT_PIXELS = 32 * 1024 * 1024;
+const MAX_EXPORT_SIDE = 16384;
+const JPEG_QUALITY = 0.92;
+// Smallest region, in page units, so a click isn't taken for a drag
+const MIN_REGION = 10;
+
+const canvas = document.getElementById('pdf-canvas');
+const layer = document.getElementById('export-layer');
+const currentBtn = document.getElementById('export-current');
+const allBtn = document.getElementById('export-all');
+const clearBtn = document.getElementById('export-clear');
+const regionBtn = document.getElementById('export-region');
+const selectionStatus = document.getElementById('export-selection');
+const formatSelect = document.getElementById('export-format');
+const dpiSelect = document.getElementById('export-dpi');
+const paperSelect = document.getElementById('export-paper');
+const scaleSelect = document.getElementById('export-scale');
+const stampCheckbox = document.getElementById('export-stamp');
+const runBtn = document.getElementById('export-run');
+const exportStatus = document.getElementById('export-status');
+
+// Pages picked for export, the page a Shift-click run starts from, and the
+// document they belong to
+let selectionDoc = null;
+let selection = new Set();
+let anchor = null;
+// Region to export instead: { page, x, y, width, height } in unscaled page
+// units, as displayed; the drag drawing it; whether Select region is on
+let region = null;
+let dragStart = null;
+let selectingRegion = false;
+// Size of the page on screen in unscaled page units
+let pageSize = null;
+// Print frame still open
+let printFrame = null;
+
+/**
+ * Forget the selection and region of a previous document
+ */
+function syncDocument() {
+  if (selectionDoc === pdfDoc) return;
+  selectionDoc = pdfDoc;
+  selection = new Set();
+  anchor = null;
+  region = null;
+}
+
+/**
+ * Whether a page is picked for export
+ */
+export function isPageSelected(pageNum) {
+  return selectionDoc === pdfDoc && selection.has(pageNum);
+}
+
+/**
+ * Pick a page for export, or unpick it; with range, pick every page from
+ * the last one picked to this one
+ */
+export function selectPage(pageNum, { range = false } = {}) {
+  syncDocument();
+  if (range && anchor) {
+    const [from, to] = anchor < pageNum ? [anchor, pageNum] : [pageNum, anchor];
+    for (let p = from; p <= to; p++) selection.add(p);
+  } else if (selection.has(pageNum)) {
+    selection.delete(pageNum);
+  } else {
+    selection.add(pageNum);
+  }
+  anchor = pageNum;
+  updateSelection();
+}
+
+/**
+ * Short name of a page: its sheet ID, or "Page 12"
+ */
+function pageName(pageNum) {
+  return pageLabels.get(pageNum) || `Page ${pageNum}`;
+}
+
+/**
+ * What Export will output: [{ page, region }] with region null for whole
+ * sheets; the region if there is one, else the picked sheets, else the
+ * sheet on screen
+ */
+function exportItems() {
+  if (region) return [{ page: region.page, region }];
+  const pages = selection.size > 0 ? Array.from(selection).sort((a, b) => a - b) : [currentPage];
+  return pages.map(page => ({ page, region: null }));
+}
+
+/**
+ * Mark picked pages on the thumbnails and in the Sheets panel, and say in
+ * the Export panel what will be exported
+ */
+function updateSelection() {
+  document.querySelectorAll('.thumbnail-item[data-page], .sheet-row[data-page]').forEach((el) => {
+    el.classList.toggle('selected', isPageSelected(Number(el.dataset.page)));
+  });
+  regionBtn.classList.toggle('active', selectingRegion);
+  regionBtn.textContent = region ? 'Clear region' : 'Select region';
+  if (!pdfDoc) {
+    selectionStatus.textContent = 'Open a plan set to export its sheets.';
+    return;
+  }
+  const items = exportItems();
+  if (region) {
+    selectionStatus.textContent = `Exports a region of ${pageName(region.page)}.`;
+  } else if (selection.size === 0) {
+    selectionStatus.textContent = `Exports the sheet on screen (${pageName(currentPage)}). Ctrl-click or Shift-click thumbnails or sheets to pick others.`;
+  } else {
+    const names = items.map(item => pageName(item.page));
+    const listed = names.length > 6 ? `${names.slice(0, 6).join(', ')}…` : names.join(', ');
+    selectionStatus.textContent = `Exports ${names.length} sheet${names.length === 1 ? '' : 's'}: ${listed}.`;
+  }
+  drawRegion();
+}
+
+// --- Region ---
+
+/**
+ * Fit the region layer over the page on screen (viewBox in unscaled page
+ * units, as markup.js does) and draw the region if it is on this page
+ */
+async function layoutLayer(pageNum) {
+  const page = await pdfDoc.getPage(pageNum);
+  if (pageNum !== currentPage) return;
+  const viewport = page.getViewport({ scale: 1 });
+  pageSize = { width: viewport.width, height: viewport.height };
+  layer.setAttribute('viewBox', `0 0 ${viewport.width} ${viewport.height}`);
+  layer.style.left = `${canvas.offsetLeft}px`;
+  layer.style.top = `${canvas.offsetTop}px`;
+  layer.style.width = `${pageViewport.width}px`;
+  layer.style.height = `${pageViewport.height}px`;
+  layer.style.display = 'block';
+  drawRegion();
+}
+
+/**
+ * Draw the region (or the one being dragged) on the page on screen
+ */
+function drawRegion(shown = region) {
+  layer.innerHTML = '';
+  if (!shown || shown.page !== currentPage) return;
+  const rect = document.createElementNS(SVG_NS, 'rect');
+  rect.setAttribute('class', 'export-region');
+  for (const key of ['x', 'y', 'width', 'height']) rect.setAttribute(key, shown[key]);
+  layer.appendChild(rect);
+}
+
+/**
+ * Turn region dragging on or off
+ */
+function setSelectingRegion(on) {
+  selectingRegion = on;
+  dragStart = null;
+  layer.classList.toggle('drawing', on);
+  updateSelection();
+}
+
+/**
+ * Pointer position in unscaled page units
+ */
+function pointerToPage(e) {
+  const rect = layer.getBoundingClientRect();
+  return {
+    x: Math.min(pageSize.width, Math.max(0, (e.clientX - rect.left) / rect.width * pageSize.width)),
+    y: Math.min(pageSize.height, Math.max(0, (e.clientY - rect.top) / rect.height * pageSize.height))
+  };
+}
+
+/**
+ * Region spanned by the drag start and a pointer position
+ */
+function dragRegion(e) {
+  const point = pointerToPage(e);
+  const round = v => Math.round(v * 10) / 10;
+  return {
+    page: currentPage,
+    x: round(Math.min(dragStart.x, point.x)),
+    y: round(Math.min(dragStart.y, point.y)),
+    width: round(Math.abs(point.x - dragStart.x)),
+    height: round(Math.abs(point.y - dragStart.y))
+  };
+}
+
+function onPointerDown(e) {
+  if (!selectingRegion || !pageSize || e.button !== 0) return;
+  e.preventDefault();
+  dragStart = pointerToPage(e);
+  layer.setPointerCapture(e.pointerId);
+}
+
+function onPointerMove(e) {
+  if (dragStart) drawRegion(dragRegion(e));
+}
+
+function onPointerUp(e) {
+  if (!dragStart) return;
+  const dragged = dragRegion(e);
+  dragStart = null;
+  if (dragged.width >= MIN_REGION && dragged.height >= MIN_REGION) {
+    region = dragged;
+    setSelectingRegion(false);
+  } else {
+    drawRegion();
+  }
+}
+
+// --- Output ---
+
+/**
+ * Today's date as YYYY-MM-DD, for stamps
+ */
+function today() {
+  const now = new Date();
+  const pad = n => String(n).padStart(2, '0');
+  return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+/**
+ * Base of exported file names: the set's name and the sheet ID (or page)
+ */
+function fileStem(item) {
+  const safe = text => text.replace(/[^\w.-]+/g, '-');
+  const set = (pdfName || 'plan-set').replace(/\.pdf$/i, '');
+  if (!item) return safe(set);
+  const sheet = pageLabels.get(item.page) || `page-${item.page}`;
+  return safe(`${set}-${sheet}${item.region ? '-region' : ''}`);
+}
+
+/**
+ * The stamp for an item
+ */
+function itemStamp(item, scale) {
+  return stampText({
+    sheet: pageName(item.page) + (item.region ? ' (region)' : ''),
+    title: pageTitles.get(item.page) || null,
+    setName: pdfName,
+    date: today(),
+    scale
+  });
+}
+
+/**
+ * Render a page, or a region of it, on a new canvas at pixelsPerPoint,
+ * lowered if the canvas would be too big. Returns { canvas, content,
+ * pixelsPerPoint } with the content's size in points and the resolution
+ * used.
+ */
+async function renderItem(item, pixelsPerPoint) {
+  const page = await pdfDoc.getPage(item.page);
+  const full = page.getViewport({ scale: 1 });
+  const area = item.region || { x: 0, y: 0, width: full.width, height: full.height };
+  const ratio = Math.min(
+    pixelsPerPoint,
+    Math.sqrt(MAX_EXPORT_PIXELS / (area.width * area.height)),
+    MAX_EXPORT_SIDE / Math.max(area.width, area.height)
+  );
+  const output = document.createElement('canvas');
+  output.width = Math.max(1, Math.round(area.width * ratio));
+  output.height = Math.max(1, Math.round(area.height * ratio));
+  const context = output.getContext('2d');
+  context.fillStyle = 'white';
+  context.fillRect(0, 0, output.width, output.height);
+  await page.render({
+    canvasContext: context,
+    viewport: page.getViewport({ scale: ratio }),
+    transform: [1, 0, 0, 1, -area.x * ratio, -area.y * ratio]
+  }).promise;
+  return { canvas: output, content: { width: area.width, height: area.height }, pixelsPerPoint: ratio };
+}
+
+/**
+ * Encode a canvas as an image Blob
+ */
+function canvasBlob(source, type, quality) {
+  return new Promise((resolve, reject) => {
+    source.toBlob(blob => (blob ? resolve(blob) : reject(new Error(`Could not encode ${type}`))), type, quality);
+  });
+}
+
+/**
+ * Free a canvas's memory now rather than at garbage collection
+ */
+function releaseCanvas(source) {
+  source.width = 0;
+  source.height = 0;
+}
+
+/**
+ * Paper and scale chosen in the panel ({ paper, scale } for layoutOnPaper);
+ * fitting to the sheet's own size is full size
+ */
+function paperOptions() {
+  const paper = paperSelect.value || null;
+  if (scaleSelect.value === 'fit') return { paper, scale: paper ? 'fit' : 1 };
+  return { paper, scale: parseFloat(scaleSelect.value) };
+}
+
+/**
+ * Save the items as one PDF, laid out on the chosen paper. Returns the
+ * items too big for the paper, which were cropped.
+ */
+async function exportPdf(items, pixelsPerPoint, progress) {
+  const options = paperOptions();
+  const pages = [];
+  const cropped = [];
+  for (const [i, item] of items.entries()) {
+    progress(i);
+    const rendered = await renderItem(item, pixelsPerPoint);
+    const jpeg = new Uint8Array(await (await canvasBlob(rendered.canvas, 'image/jpeg', JPEG_QUALITY)).arrayBuffer());
+    const layout = layoutOnPaper(rendered.content, options);
+    if (!layout.fits) cropped.push(item);
+    pages.push({
+      width: layout.pageWidth,
+      height: layout.pageHeight,
+      images: [{
+        jpeg,
+        pixelWidth: rendered.canvas.width,
+        pixelHeight: rendered.canvas.height,
+        x: layout.x,
+        y: layout.y,
+        width: layout.width,
+        height: layout.height,
+        clip: layout.fits ? null : { x: MARGIN, y: MARGIN, width: layout.pageWidth - 2 * MARGIN, height: layout.pageHeight - 2 * MARGIN }
+      }],
+      text: stampCheckbox.checked ? [{ text: itemStamp(item, options.scale), ...STAMP_POSITION, size: STAMP_SIZE }] : []
+    });
+    releaseCanvas(rendered.canvas);
+  }
+  const name = items.length === 1 ? fileStem(items[0]) : `${fileStem(null)}-${items.length}-sheets`;
+  downloadFile(`${name}.pdf`, writeImagePdf(pages, { title: name }), 'application/pdf');
+  return cropped;
+}
+
+/**
+ * Save each item as a PNG, with the stamp in a margin around it
+ */
+async function exportPng(items, pixelsPerPoint, progress) {
+  for (const [i, item] of items.entries()) {
+    progress(i);
+    const rendered = await renderItem(item, pixelsPerPoint);
+    let output = rendered.canvas;
+    if (stampCheckbox.checked) {
+      const ratio = rendered.pixelsPerPoint;
+      const layout = layoutOnPaper(rendered.content, { paper: null, scale: 1 });
+      output = document.createElement('canvas');
+      output.width = Math.round(layout.pageWidth * ratio);
+      output.height = Math.round(layout.pageHeight * ratio);
+      const context = output.getContext('2d');
+      context.fillStyle = 'white';
+      context.fillRect(0, 0, output.width, output.height);
+      context.drawImage(rendered.canvas, Math.round(MARGIN * ratio), Math.round(MARGIN * ratio));
+      context.fillStyle = 'black';
+      context.font = `${STAMP_SIZE * ratio}px Helvetica, Arial, sans-serif`;
+      context.fillText(itemStamp(item, 1), STAMP_POSITION.x * ratio, (layout.pageHeight - STAMP_POSITION.y) * ratio);
+      releaseCanvas(rendered.canvas);
+    }
+    downloadFile(`${fileStem(item)}.png`, await canvasBlob(output, 'image/png'), 'image/png');
+    releaseCanvas(output);
+  }
+}
+
+/**
+ * Print the items on the chosen paper from a hidden frame: one printed
+ * page per item, each with its own paper orientation. Returns the items
+ * too big for the paper, which were cropped.
+ */
+async function printItems(items, pixelsPerPoint, progress) {
+  const options = paperOptions();
+  const cropped = [];
+  const urls = [];
+  const pageRules = new Map();
+  const sheets = [];
+  for (const [i, item] of items.entries()) {
+    progress(i);
+    const rendered = await renderItem(item, pixelsPerPoint);
+    const url = URL.createObjectURL(await canvasBlob(rendered.canvas, 'image/jpeg', JPEG_QUALITY));
+    releaseCanvas(rendered.canvas);
+    urls.push(url);
+    const layout = layoutOnPaper(rendered.content, options);
+    if (!layout.fits) cropped.push(item);
+    const size = `${layout.pageWidth}pt ${layout.pageHeight}pt`;
+    if (!pageRules.has(size)) pageRules.set(size, `paper${pageRules.size}`);
+    // CSS measures from the top left
+    const areaWidth = layout.pageWidth - 2 * MARGIN;
+    const areaHeight = layout.pageHeight - 2 * MARGIN;
+    const top = layout.pageHeight - layout.y - layout.height;
+    const stamp = stampCheckbox.checked
+      ? `<div class="stamp" style="left:${STAMP_POSITION.x}pt;top:${layout.pageHeight - STAMP_POSITION.y - STAMP_SIZE}pt">${escapeHtml(itemStamp(item, options.scale))}</div>`
+      : '';
+    sheets.push(`<div class="sheet" style="page:${pageRules.get(size)};width:${layout.pageWidth}pt;height:${layout.pageHeight}pt">`
+      + `<div class="area" style="left:${MARGIN}pt;top:${MARGIN}pt;width:${areaWidth}pt;height:${areaHeight}pt">`
+      + `<img src="${url}" alt="" style="left:${layout.x - MARGIN}pt;top:${top - MARGIN}pt;width:${layout.width}pt;height:${layout.height}pt">`
+      + `</div>${stamp}</div>`);
+  }
+  const rules = Array.from(pageRules, ([size, name]) => `@page ${name} { size: ${size}; margin: 0; }`).join('\n');
+  const html = `<!DOCTYPE html><html><head><title>${escapeHtml(fileStem(null))}</title><style>
+${rules}
+@page { margin: 0; }
+body { margin: 0; }
+.sheet { position: relative; overflow: hidden; break-after: page; }
+.sheet:last-child { break-after: auto; }
+.area { position: absolute; overflow: hidden; }
+.area img { position: absolute; }
+.stamp { position: absolute; font: ${STAMP_SIZE}pt Helvetica, Arial, sans-serif; line-height: 1; white-space: nowrap; }
+</style></head><body>${sheets.join('')}</body></html>`;
+  openPrintFrame(html, urls);
+  return cropped;
+}
+
+/**
+ * Escape text for HTML
+ */
+function escapeHtml(text) {
+  return text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+}
+
+/**
+ * Print an HTML document from a hidden frame, removing the frame and the
+ * image URLs once printing is done
+ */
+function openPrintFrame(html, urls) {
+  closePrintFrame();
+  const frame = document.createElement('iframe');
+  frame.className = 'print-frame';
+  frame.setAttribute('aria-hidden', 'true');
+  frame.addEventListener('load', async () => {
+    const win = frame.contentWindow;
+    await Promise.all(Array.from(win.document.images, img => img.decode().catch(() => {})));
+    win.addEventListener('afterprint', closePrintFrame);
+    win.focus();
+    win.print();
+  }, { once: true });
+  frame.dataset.urls = JSON.stringify(urls);
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+  printFrame = frame;
+}
+
+/**
+ * Remove the print frame and its image URLs
+ */
+function closePrintFrame() {
+  if (!printFrame) return;
+  JSON.parse(printFrame.dataset.urls).forEach(url => URL.revokeObjectURL(url));
+  printFrame.remove();
+  printFrame = null;
+}
+
+/**
+ * Export or print what is picked, in the chosen format
+ */
+async function runExport() {
+  if (!pdfDoc) return;
+  const doc = pdfDoc;
+  const items = exportItems();
+  const format = formatSelect.value;
+  const pixelsPerPoint = parseInt(dpiSelect.value, 10) / 72;
+  const verb = format === 'print' ? 'Preparing' : 'Exporting';
+  const progress = (i) => {
+    if (pdfDoc !== doc) throw new Error('Another plan set was opened');
+    exportStatus.textContent = `${verb} ${pageName(items[i].page)} (${i + 1} of ${items.length})…`;
+  };
+  runBtn.disabled = true;
+  try {
+    let cropped = [];
+    if (format === 'pdf') cropped = await exportPdf(items, pixelsPerPoint, progress);
+    else if (format === 'png') await exportPng(items, pixelsPerPoint, progress);
+    else cropped = await printItems(items, pixelsPerPoint, progress);
+    exportStatus.textContent = format === 'print'
+      ? `Sent ${items.length} sheet${items.length === 1 ? '' : 's'} to the print dialog.`
+      : `Exported ${items.length} sheet${items.length === 1 ? '' : 's'}.`;
+    if (cropped.length > 0) {
+      exportStatus.textContent += ` ${cropped.map(item => pageName(item.page)).join(', ')} `
+        + `${cropped.length === 1 ? 'is' : 'are'} too big for the paper at this scale and ${cropped.length === 1 ? 'was' : 'were'} cropped; `
+        + 'pick larger paper or Fit to paper.';
+    }
+  } catch (err) {
+    console.error('Export failed:', err);
+    exportStatus.textContent = 'Export failed. Check console for details.';
+  } finally {
+    runBtn.disabled = false;
+  }
+}
+
+/**
+ * Paper and scale only apply to PDF and print output
+ */
+function updateFormatFields() {
+  const paged = formatSelect.value !== 'png';
+  paperSelect.disabled = !paged;
+  scaleSelect.disabled = !paged;
+}
+
+/**
+ * Wire up the Export panel, the region layer and the selection marks
+ */
+export function initExport() {
+  for (const [key, { label }] of Object.entries(PAPER_SIZES)) {
+    const option = document.createElement('option');
+    option.value = key;
+    option.textContent = label;
+    paperSelect.appendChild(option);
+  }
+  currentBtn.addEventListener('click', () => {
+    if (!pdfDoc) return;
+    syncDocument();
+    region = null;
+    selection = new Set([currentPage]);
+    anchor = currentPage;
+    updateSelection();
+  });
+  allBtn.addEventListener('click', () => {
+    if (!pdfDoc) return;
+    syncDocument();
+    region = null;
+    selection = new Set(Array.from({ length: totalPages }, (_, i) => i + 1));
+    updateSelection();
+  });
+  clearBtn.addEventListener('click', () => {
+    syncDocument();
+    selection = new Set();
+    region = null;
+    updateSelection();
+  });
+  regionBtn.addEventListener('click', () => {
+    if (!pdfDoc) return;
+    if (region) {
+      region = null;
+      updateSelection();
+    } else {
+      setSelectingRegion(!selectingRegion);
+    }
+  });
+  formatSelect.addEventListener('change', updateFormatFields);
+  runBtn.addEventListener('click', runExport);
+
+  layer.addEventListener('pointerdown', onPointerDown);
+  layer.addEventListener('pointermove', onPointerMove);
+  layer.addEventListener('pointerup', onPointerUp);
+  layer.addEventListener('pointercancel', () => {
+    dragStart = null;
+    drawRegion();
+  });
+  document.addEventListener('pagerendered', (e) => {
+    syncDocument();
+    layoutLayer(e.detail.pageNum);
+    updateSelection();
+  });
+  // Dragging a region only makes sense while the panel is open
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId !== 'export-panel' && selectingRegion) setSelectingRegion(false);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && selectingRegion) setSelectingRegion(false);
+  });
+  updateFormatFields();
+  updateSelection();
+}
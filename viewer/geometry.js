@@ -0,0 +1,179 @@
+/**
+ * geometry.js - Text geometry helpers for PDF.js text content
+ *
+ * Pure functions (no DOM, no pdfjsLib global) that turn text-content items
+ * into boxes in viewport space.
+ */
+
+/**
+ * Multiply two 2D affine matrices [a, b, c, d, e, f] (same as pdfjsLib.Util.transform)
+ */
+export function multiplyTransform(m1, m2) {
+  return [
+    m1[0] * m2[0] + m1[2] * m2[1],
+    m1[1] * m2[0] + m1[3] * m2[1],
+    m1[0] * m2[2] + m1[2] * m2[3],
+    m1[1] * m2[2] + m1[3] * m2[3],
+    m1[0] * m2[4] + m1[2] * m2[5] + m1[4],
+    m1[1] * m2[4] + m1[3] * m2[5] + m1[5]
+  ];
+}
+
+/**
+ * Box around the characters [from, to) of a text item, in the coordinate
+ * space of viewportTransform (top-left origin). Characters are assumed to
+ * be evenly spaced across item.width. Returns the rotated quad (four
+ * corners), the run angle in radians, and the axis-aligned bounds
+ * { x, y, width, height }.
+ */
+export function textItemBox(item, viewportTransform, from = 0, to = item.str.length) {
+  const [a, b, c, d, e, f] = multiplyTransform(viewportTransform, item.transform);
+  const fontWidth = Math.hypot(a, b) || 1;
+  const fontHeight = Math.hypot(c, d) || 1;
+  // Unit vectors along the baseline and towards the top of the glyphs
+  const ux = a / fontWidth;
+  const uy = b / fontWidth;
+  const upX = c / fontHeight;
+  const upY = d / fontHeight;
+
+  // item.width is in unscaled page units; scale it like the font
+  const viewportScale = Math.hypot(viewportTransform[0], viewportTransform[1]);
+  const length = item.width * viewportScale;
+  const chars = item.str.length || 1;
+  const start = length * (from / chars);
+  const end = length * (to / chars);
+  // Cover descenders below the baseline as well as the cap height above it
+  const bottom = -fontHeight * 0.2;
+  const top = fontHeight;
+
+  const corner = (t, h) => [e + ux * t + upX * h, f + uy * t + upY * h];
+  const quad = [corner(start, bottom), corner(end, bottom), corner(end, top), corner(start, top)];
+  const xs = quad.map(p => p[0]);
+  const ys = quad.map(p => p[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    quad,
+    angle: Math.atan2(uy, ux),
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y
+  };
+}
+
+/**
+ * Position and orientation of a text item in viewport space: baseline
+ * origin, unit vectors along the baseline (u) and towards the glyph tops
+ * (up), run length and font height, both taken from the item's own
+ * width/height rather than estimated from the character count.
+ */
+function itemGeometry(item, viewportTransform) {
+  const [a, b, c, d, e, f] = multiplyTransform(viewportTransform, item.transform);
+  const viewportScale = Math.hypot(viewportTransform[0], viewportTransform[1]);
+  const fontWidth = Math.hypot(a, b) || 1;
+  const fontHeight = Math.hypot(c, d) || 1;
+  return {
+    origin: [e, f],
+    u: [a / fontWidth, b / fontWidth],
+    up: [c / fontHeight, d / fontHeight],
+    length: item.width * viewportScale,
+    height: item.height ? item.height * viewportScale : fontHeight
+  };
+}
+
+/**
+ * Group text items into runs: consecutive items set on the same baseline,
+ * in the same direction, with at most a small gap between them. A callout
+ * drawn as "09" "/" "AC401" becomes one run whose text is "09/AC401".
+ * Each run records, per item, its offset in the run text (start) and its
+ * distance along the baseline from the run origin (t0).
+ */
+export function textRuns(items, viewportTransform) {
+  const runs = [];
+  let run = null;
+  for (const item of items) {
+    if (!item.str) continue;
+    const g = itemGeometry(item, viewportTransform);
+    if (run) {
+      const dx = g.origin[0] - run.origin[0];
+      const dy = g.origin[1] - run.origin[1];
+      const t0 = dx * run.u[0] + dy * run.u[1];
+      const offBaseline = Math.abs(dx * run.up[0] + dy * run.up[1]);
+      const sameDirection = g.u[0] * run.u[0] + g.u[1] * run.u[1] > 0.999;
+      const gap = t0 - run.end;
+      const heightRatio = g.height / run.height;
+      if (sameDirection && offBaseline < run.height * 0.3 && gap > -run.height * 0.5
+        && gap < run.height * 1.5 && heightRatio > 0.5 && heightRatio < 2) {
+        // A visible gap becomes a space so words don't run together
+        if (gap > run.height * 0.15 && !/\s$/.test(run.text)) run.text += ' ';
+        run.pieces.push({ item, start: run.text.length, t0, length: g.length });
+        run.text += item.str;
+        run.end = Math.max(run.end, t0 + g.length);
+        continue;
+      }
+    }
+    run = {
+      origin: g.origin,
+      u: g.u,
+      up: g.up,
+      height: g.height,
+      text: item.str,
+      end: g.length,
+      pieces: [{ item, start: 0, t0: 0, length: g.length }]
+    };
+    runs.push(run);
+  }
+  return runs;
+}
+
+/**
+ * Distance along a run's baseline for a character offset in its text.
+ * Offsets inside an inter-item gap snap to the next item's start (or to the
+ * previous item's end when measuring the end of a range).
+ */
+function runDistance(run, offset, isEnd) {
+  let previousEnd = 0;
+  for (const piece of run.pieces) {
+    const chars = piece.item.str.length || 1;
+    if (offset < piece.start) return isEnd ? previousEnd : piece.t0;
+    if (offset <= piece.start + chars) {
+      return piece.t0 + piece.length * ((offset - piece.start) / chars);
+    }
+    previousEnd = piece.t0 + piece.length;
+  }
+  return previousEnd;
+}
+
+/**
+ * Box around characters [from, to) of a run's text. Returns the rotated
+ * box as its bottom-left corner (origin, below the baseline by the
+ * descender), length along the baseline, thickness across it and angle in
+ * radians, plus the four corners (quad) and axis-aligned bounds
+ * { x, y, width, height }.
+ */
+export function runRangeBox(run, from, to) {
+  const start = runDistance(run, from, false);
+  const end = runDistance(run, to, true);
+  const descent = run.height * 0.2;
+  const point = (t, h) => [
+    run.origin[0] + run.u[0] * t + run.up[0] * h,
+    run.origin[1] + run.u[1] * t + run.up[1] * h
+  ];
+  const quad = [point(start, -descent), point(end, -descent), point(end, run.height), point(start, run.height)];
+  const xs = quad.map(p => p[0]);
+  const ys = quad.map(p => p[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return {
+    origin: quad[0],
+    length: end - start,
+    thickness: run.height + descent,
+    angle: Math.atan2(run.u[1], run.u[0]),
+    quad,
+    x,
+    y,
+    width: Math.max(...xs) - x,
+    height: Math.max(...ys) - y
+  };
+}
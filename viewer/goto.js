@@ -0,0 +1,109 @@
+/**
+ * goto.js - What the go-to palette offers for a query
+ *
+ * Pure functions (no DOM, no pdfjsLib global) that read a query as a
+ * callout ("09/AC401"), a sheet ID ("AC401", or the start of one), a page
+ * number ("12", "p12") or words from a sheet title ("roof det"), and rank
+ * the sheets of the open set against it. palette.js shows the results.
+ */
+
+import { parseCallout, parseSheetId, normalizeSheetId } from './detect.js';
+
+/**
+ * Score how well a query matches a text, ignoring case: every word of the
+ * query must be found, best as the start of a word, then anywhere, then as
+ * letters in order ("rfpln" in "ROOF PLAN"). Returns 0 for no match.
+ */
+export function fuzzyScore(query, text) {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const haystack = text.toLowerCase();
+  if (words.length === 0) return 0;
+  let score = 0;
+  for (const word of words) {
+    const at = haystack.indexOf(word);
+    if (at === 0 || (at > 0 && /[^a-z0-9]/.test(haystack[at - 1]))) {
+      score += 3;
+    } else if (at > 0) {
+      score += 2;
+    } else if (isSubsequence(word, haystack)) {
+      score += 1;
+    } else {
+      return 0;
+    }
+  }
+  return score;
+}
+
+/**
+ * Whether the letters of word appear in text in order
+ */
+function isSubsequence(word, text) {
+  let i = 0;
+  for (const char of text) {
+    if (char === word[i]) i++;
+    if (i === word.length) return true;
+  }
+  return false;
+}
+
+/**
+ * Targets for a query, best first, as
+ *   { type: 'callout', ref }                  a callout to follow
+ *   { type: 'sheet', sheet, page, title }     a sheet of the open set
+ *   { type: 'sheet', sheet, page, document }  a sheet in another set
+ *   { type: 'page', page }                    a page number
+ *
+ * options:
+ *   patterns    compiled grammar from compilePatterns()
+ *   labels      Map of page -> sheet ID
+ *   titles      Map of page -> sheet title
+ *   totalPages  pages in the open set
+ *   findElsewhere(sheetId)  { pages, document } for a sheet in another set,
+ *               or null
+ *   limit       most targets to return
+ */
+export function findGoToTargets(query, { patterns, labels, titles = new Map(), totalPages = 0, findElsewhere = () => null, limit = 8 }) {
+  query = query.trim();
+  if (!query) return [];
+  const targets = [];
+  const listed = new Set();
+  const addSheet = (page) => {
+    if (listed.has(page)) return;
+    listed.add(page);
+    targets.push({ type: 'sheet', sheet: labels.get(page) || null, page, title: titles.get(page) || null });
+  };
+
+  const callout = parseCallout(query, patterns);
+  if (callout && callout.index === 0 && callout.length === query.length) {
+    targets.push({ type: 'callout', ref: callout.text });
+  }
+
+  // Sheet IDs equal to the query, then those starting with it
+  const sheetQuery = normalizeSheetId(query);
+  const byPage = (a, b) => a - b;
+  const pagesWhere = test => Array.from(labels).filter(([, label]) => label && test(label)).map(([page]) => page).sort(byPage);
+  const exact = pagesWhere(label => label === sheetQuery);
+  exact.forEach(addSheet);
+  if (exact.length === 0) {
+    const sheetId = parseSheetId(query, patterns);
+    const elsewhere = sheetId && sheetId.length === query.length ? findElsewhere(sheetId.sheet) : null;
+    if (elsewhere) {
+      targets.push({ type: 'sheet', sheet: sheetId.sheet, page: elsewhere.pages[0], document: elsewhere.document });
+    }
+  }
+  pagesWhere(label => label !== sheetQuery && label.startsWith(sheetQuery)).forEach(addSheet);
+
+  const pageMatch = query.match(/^(?:p(?:age)?\s*)?(\d+)$/i);
+  const pageNum = pageMatch ? parseInt(pageMatch[1], 10) : 0;
+  if (pageNum >= 1 && pageNum <= totalPages) targets.push({ type: 'page', page: pageNum });
+
+  // Sheet IDs and titles matching the words of the query
+  const pages = new Set([...labels.keys(), ...titles.keys()]);
+  Array.from(pages)
+    .map(page => ({ page, score: fuzzyScore(query, `${labels.get(page) || ''} ${titles.get(page) || ''}`) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) => b.score - a.score || a.page - b.page)
+    .forEach(({ page }) => addSheet(page));
+
+  return targets.slice(0, limit);
+}
@@ -0,0 +1,175 @@
+/**
+ * history.js - Back/Forward and the trail of visited sheets
+ *
+ * The browser history holds the views (see pushUrlState in main.js); this
+ * module keeps a trail of the same entries, each tagged with a visit id in
+ * history.state, so the Back and Forward buttons know whether there is
+ * anywhere to go and the breadcrumbs ("A101 → 09/AC401 → 3/AC501") can
+ * jump several steps at once with history.go(). A visit is labelled with
+ * the callout that led to it, or else its sheet ID. The trail lasts as long
+ * as the browser tab (sessionStorage), like the history it mirrors.
+ */
+
+import { pdfDoc, pdfName, documentKey, currentPage, pageLabels } from './main.js';
+import { shortcutHint } from './shortcuts.js';
+
+const TRAIL_KEY = 'plan-navigator-trail';
+// Visits kept, and breadcrumbs shown before and after the current one
+const MAX_VISITS = 100;
+const CRUMBS_BEFORE = 6;
+const CRUMBS_AFTER = 2;
+
+const backBtn = document.getElementById('history-back');
+const forwardBtn = document.getElementById('history-forward');
+const breadcrumbs = document.getElementById('breadcrumbs');
+
+// Visits in history order: [{ id, page, doc, set, sheet, ref }]
+let trail = loadTrail();
+// Index in trail of the history entry on screen, or -1
+let position = -1;
+
+/**
+ * Read the trail saved for this tab
+ */
+function loadTrail() {
+  try {
+    const saved = JSON.parse(sessionStorage.getItem(TRAIL_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Save the trail for this tab (reloads keep it, like the history)
+ */
+function saveTrail() {
+  try {
+    sessionStorage.setItem(TRAIL_KEY, JSON.stringify(trail));
+  } catch (err) {
+    console.warn('Could not save the navigation trail:', err);
+  }
+}
+
+/**
+ * Record a visit for a new history entry, dropping the visits after the
+ * current one as the browser drops its forward entries. Returns the visit
+ * id to store in history.state.
+ */
+export function recordVisit({ page, ref = null }) {
+  const id = trail.length > 0 ? trail[trail.length - 1].id + 1 : 1;
+  if (position !== -1) trail = trail.slice(0, position + 1);
+  trail.push({ id, page, doc: documentKey, set: pdfName, sheet: pageLabels.get(page) || null, ref: ref || null });
+  if (trail.length > MAX_VISITS) trail = trail.slice(trail.length - MAX_VISITS);
+  position = trail.length - 1;
+  saveTrail();
+  render();
+  return id;
+}
+
+/**
+ * Find the history entry on screen in the trail. Entries made without a
+ * visit (the page the viewer was opened on, a set opened from the start
+ * screen) become one once their page is on screen (adopt).
+ */
+function syncPosition(adopt) {
+  const visit = history.state && history.state.visit;
+  const index = visit ? trail.findIndex(v => v.id === visit) : -1;
+  if (index === -1) {
+    if (adopt && pdfDoc) {
+      const id = recordVisit({ page: currentPage });
+      history.replaceState({ ...history.state, page: currentPage, doc: documentKey, visit: id }, '', location.href);
+    }
+    return;
+  }
+  position = index;
+  // Sheet IDs found since the visit was recorded
+  const current = trail[position];
+  if (current && !current.sheet && current.set === pdfName && current.doc === documentKey && pageLabels.get(current.page)) {
+    current.sheet = pageLabels.get(current.page);
+    saveTrail();
+  }
+  render();
+}
+
+/**
+ * Label of a visit: the callout that led there, its sheet ID or its page
+ */
+function visitLabel(visit) {
+  return visit.ref || visit.sheet || `Page ${visit.page}`;
+}
+
+/**
+ * Update the Back/Forward buttons and the breadcrumbs
+ */
+function render() {
+  backBtn.disabled = position <= 0;
+  forwardBtn.disabled = position === -1 || position >= trail.length - 1;
+  const back = trail[position - 1];
+  const forward = trail[position + 1];
+  backBtn.title = (back ? `Back to ${visitLabel(back)}` : 'Back') + shortcutHint('back');
+  forwardBtn.title = (forward ? `Forward to ${visitLabel(forward)}` : 'Forward') + shortcutHint('forward');
+
+  breadcrumbs.innerHTML = '';
+  breadcrumbs.hidden = position === -1;
+  if (position === -1) return;
+  const first = Math.max(0, position - CRUMBS_BEFORE);
+  const last = Math.min(trail.length - 1, position + CRUMBS_AFTER);
+  if (first > 0) breadcrumbs.appendChild(separator('…'));
+  for (let i = first; i <= last; i++) {
+    if (i > first) breadcrumbs.appendChild(separator('→'));
+    const visit = trail[i];
+    const crumb = document.createElement('button');
+    crumb.className = 'crumb';
+    crumb.textContent = visitLabel(visit);
+    crumb.title = `${visit.sheet || `Page ${visit.page}`}${visit.set ? ` in ${visit.set}` : ''}`;
+    if (i === position) {
+      crumb.classList.add('current');
+      crumb.setAttribute('aria-current', 'page');
+    } else {
+      if (i > position) crumb.classList.add('forward');
+      const delta = i - position;
+      crumb.addEventListener('click', () => history.go(delta));
+    }
+    breadcrumbs.appendChild(crumb);
+  }
+  if (last < trail.length - 1) breadcrumbs.appendChild(separator('…'));
+  breadcrumbs.querySelector('.current').scrollIntoView({ block: 'nearest', inline: 'nearest' });
+}
+
+/**
+ * Text between breadcrumbs
+ */
+function separator(text) {
+  const span = document.createElement('span');
+  span.className = 'crumb-separator';
+  span.setAttribute('aria-hidden', 'true');
+  span.textContent = text;
+  return span;
+}
+
+/**
+ * Go back one visit, if there is one (the browser's Back could leave the
+ * viewer)
+ */
+export function goBack() {
+  if (position > 0) history.back();
+}
+
+/**
+ * Go forward one visit, if there is one
+ */
+export function goForward() {
+  if (position !== -1 && position < trail.length - 1) history.forward();
+}
+
+/**
+ * Wire up Back/Forward and follow the history
+ */
+export function initHistory() {
+  backBtn.addEventListener('click', goBack);
+  forwardBtn.addEventListener('click', goForward);
+  window.addEventListener('popstate', () => syncPosition(false));
+  document.addEventListener('pagerendered', () => syncPosition(true));
+  render();
+}
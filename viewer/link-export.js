@@ -0,0 +1,132 @@
+/**
+ * link-export.js - Export the set's link graph for a hyperlinked PDF
+ *
+ * Writes every callout the viewer can resolve, with the box it covers and
+ * the target page and detail location it jumps to, plus the sheets with
+ * their disciplines. tools/annotate_pdf.py --links turns the file into
+ * GoTo links and a bookmark outline, so the PDF navigates the same way in
+ * Bluebeam or Acrobat as it does here.
+ */
+
+import {
+  pdfDoc,
+  pdfName,
+  totalPages,
+  pageLabels,
+  pageTitles,
+  resolveRef,
+  findDetailOnPage,
+  whenSheetIndexReady
+} from './main.js';
+import { getCalloutIndex } from './references.js';
+import { classifySheet } from './sheets.js';
+import { downloadFile } from './download.js';
+
+const exportBtn = document.getElementById('links-export');
+const auditStatus = document.getElementById('audit-status');
+
+/**
+ * Round a coordinate to 2 decimals, as the index does
+ */
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * A box { x, y, width, height } as an index-style bbox
+ */
+function toBbox(box) {
+  return { x0: round(box.x), y0: round(box.y), x1: round(box.x + box.width), y1: round(box.y + box.height) };
+}
+
+/**
+ * Build the link graph of the open set. Only callouts that resolve to one
+ * page of this set are linked; callouts to sheets in another set of a
+ * project (the exported PDF is one set), to duplicate sheet IDs or to
+ * missing sheets are counted as unresolved. Boxes are in unscaled page units as displayed (top-left origin), like
+ * exported markups.
+ */
+export async function buildLinkGraph() {
+  const doc = pdfDoc;
+  await whenSheetIndexReady();
+  const callouts = await getCalloutIndex();
+
+  const sheets = Array.from(pageLabels, ([page, sheet]) => ({
+    page,
+    sheet,
+    title: pageTitles.get(page) || '',
+    discipline: classifySheet(sheet).discipline
+  })).sort((a, b) => a.page - b.page);
+
+  const links = [];
+  let unresolved = 0;
+  // "page/detail" -> detail region on that page, or null
+  const details = new Map();
+  for (const [reference, occurrences] of callouts) {
+    const { status, pages, document } = resolveRef(reference);
+    if (status !== 'resolved' || document) {
+      unresolved += occurrences.length;
+      continue;
+    }
+    const targetPage = pages[0];
+    const detail = reference.split('/')[0];
+    const key = `${targetPage}/${detail}`;
+    if (!details.has(key)) {
+      details.set(key, await findDetailOnPage(await doc.getPage(targetPage), detail));
+    }
+    const region = details.get(key);
+    for (const occ of occurrences) {
+      for (const box of occ.boxes) {
+        links.push({
+          reference,
+          page: occ.page,
+          rect: toBbox(box),
+          target_page: targetPage,
+          target: region ? toBbox(region) : null
+        });
+      }
+    }
+  }
+  links.sort((a, b) => a.page - b.page || a.rect.y0 - b.rect.y0 || a.rect.x0 - b.rect.x0);
+
+  return {
+    pdf_file: pdfName,
+    generated_at: new Date().toISOString(),
+    total_pages: totalPages,
+    unresolved,
+    sheets,
+    links
+  };
+}
+
+/**
+ * Build and download the link graph of the open set
+ */
+async function exportLinks() {
+  if (!pdfDoc) return;
+  const doc = pdfDoc;
+  exportBtn.disabled = true;
+  auditStatus.textContent = 'Resolving callouts…';
+  try {
+    const graph = await buildLinkGraph();
+    if (pdfDoc !== doc) return;
+    const name = `${(pdfName || 'plan-set').replace(/\.pdf$/i, '')}-links.json`;
+    downloadFile(name, JSON.stringify(graph, null, 2), 'application/json');
+    const located = graph.links.filter(link => link.target).length;
+    auditStatus.textContent = `Exported ${graph.links.length} link${graph.links.length === 1 ? '' : 's'} `
+      + `(${located} to a detail, ${graph.unresolved} unresolved) and ${graph.sheets.length} sheets. `
+      + 'Run tools/annotate_pdf.py --links to write them into the PDF.';
+  } catch (err) {
+    console.error('Link export failed:', err);
+    auditStatus.textContent = 'Link export failed. Check console for details.';
+  } finally {
+    exportBtn.disabled = false;
+  }
+}
+
+/**
+ * Wire up the export button in the Audit panel
+ */
+export function initLinkExport() {
+  exportBtn.addEventListener('click', exportLinks);
+}
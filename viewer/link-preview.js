@@ -0,0 +1,182 @@
+/**
+ * link-preview.js - Hover preview and target chooser for callout links
+ *
+ * The preview shows where a callout leads (sheet ID and title, detail
+ * title and a small render of the target page) or why it leads nowhere. The chooser
+ * lists candidate pages when a sheet ID appears on more than one page.
+ */
+
+import { pdfDoc, pageLabels, pageTitles, findDetailOnPage } from './main.js';
+
+const PREVIEW_SCALE = 0.12;
+
+const tooltip = document.getElementById('link-tooltip');
+const chooser = document.getElementById('target-chooser');
+
+// Rendered previews for the open document: page -> canvas
+let previewDoc = null;
+const previewCache = new Map();
+// Incremented per hover so slow renders don't land on a newer tooltip
+let previewToken = 0;
+
+/**
+ * Render (or reuse) a small preview canvas of a page
+ */
+async function getPreviewCanvas(pageNum) {
+  if (previewDoc !== pdfDoc) {
+    previewCache.clear();
+    previewDoc = pdfDoc;
+  }
+  if (!previewCache.has(pageNum)) {
+    previewCache.set(pageNum, (async () => {
+      const page = await pdfDoc.getPage(pageNum);
+      const viewport = page.getViewport({ scale: PREVIEW_SCALE });
+      const previewCanvas = document.createElement('canvas');
+      previewCanvas.width = viewport.width;
+      previewCanvas.height = viewport.height;
+      await page.render({ canvasContext: previewCanvas.getContext('2d'), viewport }).promise;
+      return previewCanvas;
+    })());
+    // Try again on the next hover rather than keep a failed render
+    previewCache.get(pageNum).catch(() => previewCache.delete(pageNum));
+  }
+  return previewCache.get(pageNum);
+}
+
+/**
+ * Copy a cached preview so the same page can show in several places
+ */
+function clonePreview(source) {
+  const copy = document.createElement('canvas');
+  copy.width = source.width;
+  copy.height = source.height;
+  copy.getContext('2d').drawImage(source, 0, 0);
+  return copy;
+}
+
+/**
+ * Show the preview tooltip next to a link overlay.
+ * resolution is the result of resolveRef() for the link.
+ */
+export async function showLinkPreview(overlay, refText, resolution) {
+  const token = ++previewToken;
+  const [detail, sheetId] = refText.split('/');
+  tooltip.innerHTML = '';
+  tooltip.className = `link-tooltip ${resolution.status}`;
+
+  const heading = document.createElement('div');
+  heading.className = 'link-tooltip-heading';
+  heading.textContent = refText;
+  tooltip.appendChild(heading);
+
+  const info = document.createElement('div');
+  info.className = 'link-tooltip-info';
+  const inDocument = resolution.document ? ` of ${resolution.document.title}` : '';
+  if (resolution.status === 'resolved') {
+    // Titles are only known for sheets of the open set
+    const sheetTitle = resolution.document ? null : pageTitles.get(resolution.pages[0]);
+    info.textContent = `Sheet ${sheetId}${sheetTitle ? ` ${sheetTitle}` : ''} - page ${resolution.pages[0]}${inDocument}`;
+  } else if (resolution.status === 'ambiguous') {
+    info.textContent = `${sheetId} is on pages ${resolution.pages.join(', ')}${inDocument} - click to choose`;
+  } else if (resolution.status === 'pending') {
+    info.textContent = `Looking for sheet ${sheetId}…`;
+  } else {
+    info.textContent = `Sheet ${sheetId} is not in this set`;
+  }
+  tooltip.appendChild(info);
+
+  const rect = overlay.getBoundingClientRect();
+  tooltip.hidden = false;
+  positionPopup(tooltip, rect.left, rect.bottom + 6);
+
+  // Sheets in another set of a project are previewed once it is open
+  if (resolution.status !== 'resolved' || resolution.document) return;
+
+  // Detail title and page preview arrive asynchronously; the set may be
+  // switched or closed meanwhile
+  const doc = pdfDoc;
+  const targetPage = resolution.pages[0];
+  try {
+    const page = await doc.getPage(targetPage);
+    const region = await findDetailOnPage(page, detail);
+    if (token !== previewToken || pdfDoc !== doc) return;
+    const title = document.createElement('div');
+    title.className = 'link-tooltip-title';
+    title.textContent = region ? `${detail} - ${region.title}` : `Detail ${detail} not found on sheet`;
+    tooltip.appendChild(title);
+
+    const previewCanvas = await getPreviewCanvas(targetPage);
+    if (token !== previewToken || pdfDoc !== doc) return;
+    tooltip.appendChild(clonePreview(previewCanvas));
+    positionPopup(tooltip, rect.left, rect.bottom + 6);
+  } catch (err) {
+    if (pdfDoc === doc) console.warn('Could not preview', refText, err);
+  }
+}
+
+/**
+ * Hide the preview tooltip
+ */
+export function hideLinkPreview() {
+  previewToken++;
+  tooltip.hidden = true;
+}
+
+/**
+ * Show a menu of candidate pages for an ambiguous callout at the given
+ * client position. resolution is the result of resolveRef() for the link;
+ * onChoose(pageNum) is called with the picked page.
+ */
+export function showTargetChooser(x, y, refText, resolution, onChoose) {
+  chooser.innerHTML = '';
+  const heading = document.createElement('div');
+  heading.className = 'target-chooser-heading';
+  heading.textContent = `${refText} - choose a page`;
+  chooser.appendChild(heading);
+
+  for (const pageNum of resolution.pages) {
+    const option = document.createElement('button');
+    option.className = 'target-chooser-option';
+    if (resolution.document) {
+      option.textContent = `Page ${pageNum} of ${resolution.document.title}`;
+    } else {
+      const label = pageLabels.get(pageNum);
+      option.textContent = label ? `Page ${pageNum} - ${label}` : `Page ${pageNum}`;
+    }
+    option.addEventListener('click', () => {
+      hideTargetChooser();
+      onChoose(pageNum);
+    });
+    chooser.appendChild(option);
+  }
+
+  chooser.hidden = false;
+  positionPopup(chooser, x, y);
+  chooser.querySelector('button').focus();
+}
+
+/**
+ * Hide the page chooser
+ */
+export function hideTargetChooser() {
+  chooser.hidden = true;
+}
+
+/**
+ * Place a fixed-position popup at a client position, kept inside the window
+ */
+function positionPopup(el, x, y) {
+  const margin = 8;
+  const width = el.offsetWidth;
+  const height = el.offsetHeight;
+  el.style.left = `${Math.max(margin, Math.min(x, window.innerWidth - width - margin))}px`;
+  el.style.top = `${y + height + margin > window.innerHeight ? Math.max(margin, y - height - 30) : y}px`;
+}
+
+// Dismiss the chooser on outside click or Escape
+document.addEventListener('mousedown', (e) => {
+  if (!chooser.hidden && !chooser.contains(e.target)) hideTargetChooser();
+});
+document.addEventListener('keydown', (e) => {
+  if (e.key === 'Escape') hideTargetChooser();
+});
@@ -5,24 +5,89 @@
  * between tagged items in construction plan PDFs.
  */
 
+import { listRecentSets, saveRecentSet, getRecentSet, getSheetIndex, saveSheetIndex } from './storage.js';
+import { initSearch, focusSearch } from './search.js';
+import { initReferences } from './references.js';
+import { initAudit } from './audit.js';
+import { initLinkExport } from './link-export.js';
+import { showLinkPreview, hideLinkPreview, showTargetChooser } from './link-preview.js';
+import * as detect from './detect.js';
+import { normalizeSheetId } from './detect.js';
+import { resolveCallout } from './resolve.js';
+import { initOutline, getLinkAnnotations, goToDestination, openExternalLink } from './pdf-links.js';
+import { initMarkup } from './markup.js';
+import { initMeasure } from './measure.js';
+import { initCompare } from './compare.js';
+import { initSheetList } from './sheet-list.js';
+import { initRenderer, showPage, previewZoom } from './renderer.js';
+import { initOffline, keepOffline } from './offline.js';
+import { initHistory, recordVisit } from './history.js';
+import { initBookmarks } from './bookmarks.js';
+import { initExport, isPageSelected, selectPage } from './export.js';
+import { initDisplay, disciplineColor } from './display.js';
+import { initPalette } from './palette.js';
+import { initShortcuts } from './shortcuts.js';
+import {
+  initProject,
+  openProject,
+  closeProject,
+  openProjectDocument,
+  findSheetInProject,
+  isProjectScanPending,
+  whenProjectIndexed
+} from './project.js';
+
 // Configuration
-// When served from project root, use absolute paths from "/"
-// Place your PDF in the project root next to index.json
-const PDF_FILE = '/2024_05_24 90_ CD Set.pdf'; // Change if your filename differs
-const INDEX_FILE = '/index.json';
+// Plan sets are opened from the UI (file picker, drag-and-drop, recent list)
+// or by URL: ?file=/path/to/set.pdf[&index=/path/to/index.json].
+// Without an index parameter, index.json next to the PDF is tried.
+// Several sets open together as a project: ?project=/path/to/project.json
+// (see project.js).
+const INDEX_FILE_NAME = 'index.json';
+// Sheet-ID and callout grammar, shared with tools/extract_tags.py
+const PATTERNS_FILE = 'patterns.json';
+// Bump when label detection changes so cached sheet indexes are rebuilt
+const SHEET_INDEX_VERSION = 2;
+// Zoom limits (also for zoom read from a URL), and how long scrolling must
+// pause before the URL is updated with the new view
+const ZOOM_RANGE = [0.1, 16];
+const URL_UPDATE_DELAY_MS = 300;
+// How long the wheel must pause before a zoom gesture is rendered, and how
+// far a pointer must move before pressing on the page becomes a pan
+const ZOOM_SETTLE_MS = 150;
+const DRAG_THRESHOLD_PX = 4;
+// Largest local PDF kept in the browser for the Recent list; bigger ones
+// are listed by name and picked again when reopened
+const MAX_STORED_PDF_BYTES = 150 * 1024 * 1024;
 
 // Global state
 let pdfDoc = null;
+let pdfName = null;
+// URL of the open set, or null for local files
+let pdfUrl = null;
+// The open set's file in the project manifest, or null outside a project
+let documentKey = null;
 let currentPage = 1;
 let totalPages = 0;
 let scale = 1.5;
+// Viewport of the page on screen at the current zoom (CSS pixels)
+let pageViewport = null;
+// Incremented by each renderPage call, so a superseded one stops
+let renderToken = 0;
 let tagIndex = null;
+// Pattern config from patterns.json, and the compiled regexes in use
+// (see compilePatterns in detect.js)
+let patternConfig = null;
+let patterns = null;
 // Cache of page -> AC label
 const pageLabels = new Map();
+// Cache of page -> sheet title from the title block
+const pageTitles = new Map();
+// Background sheet scan in progress (see buildSheetIndex), or null when done
+let sheetScan = null;
 
 // DOM elements
 const canvas = document.getElementById('pdf-canvas');
-const ctx = canvas.getContext('2d');
 const canvasContainer = document.getElementById('canvas-container');
 const currentPageSpan = document.getElementById('current-page');
 const totalPagesSpan = document.getElementById('total-pages');
@@ -32,7 +97,18 @@ const zoomInBtn = document.getElementById('zoom-in');
 const zoomOutBtn = document.getElementById('zoom-out');
 const zoomResetBtn = document.getElementById('zoom-reset');
 const thumbnailStrip = document.getElementById('thumbnail-strip');
+const openFileBtn = document.getElementById('open-file');
+const fileInput = document.getElementById('file-input');
+const docTitle = document.getElementById('doc-title');
+const startScreen = document.getElementById('start-screen');
+const recentList = document.getElementById('recent-list');
+const indexStatus = document.getElementById('index-status');
+const sidebar = document.getElementById('sidebar');
+const searchToggleBtn = document.getElementById('search-toggle');
 let linkOverlays = [];
+// Page the link overlays belong to
+let linkOverlaysPage = null;
+let thumbnailObserver = null;
 
 // Initialize PDF.js
 pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdfjs/build/pdf.worker.js';
@@ -42,36 +118,141 @@ pdfjsLib.GlobalWorkerOptions.workerSrc = 'pdfjs/build/pdf.worker.js';
  */
 async function init() {
   try {
-    // Load tag index
-    tagIndex = await loadIndex();
-    console.log('Loaded index:', tagIndex);
-    
-    // Load PDF
-    pdfDoc = await pdfjsLib.getDocument(PDF_FILE).promise;
-    totalPages = pdfDoc.numPages;
-    totalPagesSpan.textContent = totalPages;
-    
-    console.log('Loaded PDF:', PDF_FILE, 'Pages:', totalPages);
-    
-    // Generate thumbnails
-    await generateThumbnails();
+    patternConfig = await loadPatterns();
+
+    const params = new URLSearchParams(location.search);
+    if (params.has('project')) {
+      await openProject(params.get('project'), { doc: params.get('doc') });
+    } else if (params.has('file')) {
+      const file = params.get('file');
+      await openPlanSet({ url: file, indexUrl: params.get('index') || defaultIndexUrl(file) });
+    } else {
+      await showStartScreen();
+    }
+  } catch (error) {
+    console.error('Initialization error:', error);
+    alert('Failed to load PDF. Check console for details.');
+  }
+}
+
+/**
+ * Open a plan set and reset the viewer around it.
+ * source is { url, indexUrl } for served files, or { file, indexFile } for
+ * local File/Blob objects. The index is optional: without one, sheet labels
+ * come from the PDF text alone. Project documents also pass documentKey
+ * (see project.js). source.page opens a given page; otherwise the view
+ * comes from the URL.
+ */
+async function openPlanSet(source) {
+  const name = source.file ? source.file.name : decodeURIComponent(source.url.split('/').pop());
+  const data = source.file ? new Uint8Array(await source.file.arrayBuffer()) : null;
+  const doc = await pdfjsLib.getDocument(data ? { data } : source.url).promise;
+
+  if (pdfDoc) pdfDoc.destroy();
+  pdfDoc = doc;
+  pdfName = name;
+  pdfUrl = source.file ? null : source.url;
+  documentKey = source.documentKey || null;
+  if (!documentKey) closeProject();
+  totalPages = pdfDoc.numPages;
+  totalPagesSpan.textContent = totalPages;
+  docTitle.textContent = name;
+  document.title = `${name} - Plan Navigator`;
+  pageLabels.clear();
+  pageTitles.clear();
+  clearLinkOverlays();
+  clearHighlights();
+  startScreen.hidden = true;
+
+  console.log('Loaded PDF:', name, 'Pages:', totalPages);
+
+  // Load tag index, if there is one for this set
+  tagIndex = await loadIndex(source, name);
+  if (tagIndex) console.log('Loaded index:', tagIndex);
+
+  // Patterns the index was built with win over the viewer's default file
+  patterns = detect.compilePatterns((tagIndex && tagIndex.patterns) || patternConfig);
+
+  const recent = source.file
+    ? { id: `${name}:${source.file.size}:${source.file.lastModified || 0}`, name, blob: source.file.size <= MAX_STORED_PDF_BYTES ? source.file : null }
+    : { id: source.url, name, url: source.url, indexUrl: source.indexUrl };
+  saveRecentSet({ ...recent, pages: totalPages, lastOpened: Date.now() })
+    .catch(err => console.warn('Could not save recent set:', err));
+
+  // Build the sheet map in the background, then lay out lazy thumbnails
+  const scan = buildSheetIndex().finally(() => {
+    if (sheetScan !== scan) return;
+    sheetScan = null;
+    // Links drawn while scanning may now resolve
+    refreshLinkStatus();
+  });
+  sheetScan = scan;
+  await generateThumbnails();
+
+  // Fit page to window and render initial page from URL or first
+  // Show the requested page, or else the view the URL describes
+  if (source.page) {
+    await fitPageToWindow(Math.min(Math.max(source.page, 1), totalPages));
+  } else {
+    await restoreView(parseUrlState());
+  }
 
-    // Fit page to window and render initial page from URL or first
-    const urlState = parseUrlState();
-    const startPage = urlState.page && urlState.page >= 1 && urlState.page <= totalPages ? urlState.page : 1;
-    await fitPageToWindow(startPage);
+  // Enable navigation buttons
+  updateNavigationButtons();
+
+  // Keep served sets for offline use, now the first view is up
+  if (pdfUrl) {
+    keepOffline({
+      id: pdfUrl,
+      kind: 'set',
+      name,
+      files: tagIndex ? [pdfUrl, source.indexUrl] : [pdfUrl],
+      indexUrl: source.indexUrl,
+      fingerprint: pdfDoc.fingerprints[0]
+    }).catch(err => console.warn('Could not keep set offline:', err));
+  }
+}
 
-    // Enable navigation buttons
-    updateNavigationButtons();
 /**
- * Load the tag index from JSON file
+ * Load the tag index for the open set. Returns null when there is none,
+ * or when it was built from a different PDF.
  */
-async function loadIndex() {
-  const response = await fetch(INDEX_FILE);
-  if (!response.ok) {
-    throw new Error(`Failed to load ${INDEX_FILE}`);
+async function loadIndex(source, name) {
+  try {
+    let index = null;
+    if (source.indexFile) {
+      index = JSON.parse(await source.indexFile.text());
+    } else if (source.indexUrl) {
+      const response = await fetch(source.indexUrl);
+      if (!response.ok) {
+        console.log(`No index at ${source.indexUrl}; detecting sheets from PDF text`);
+        return null;
+      }
+      index = await response.json();
+    }
+    if (index && index.pdf_file && index.pdf_file !== name) {
+      console.warn(`Ignoring index built for "${index.pdf_file}"`);
+      return null;
+    }
+    return index;
+  } catch (err) {
+    console.warn('Failed to load index:', err);
+    return null;
   }
-  return await response.json();
+}
+
+/**
+ * Resolve a file name relative to the directory of another URL
+ */
+function siblingUrl(url, fileName) {
+  return url.slice(0, url.lastIndexOf('/') + 1) + fileName;
+}
+
+/**
+ * Index tried for a served PDF when none is named: index.json beside it
+ */
+function defaultIndexUrl(pdfFileUrl) {
+  return siblingUrl(pdfFileUrl, INDEX_FILE_NAME);
 }
 
 /**
@@ -91,232 +272,331 @@ async function fitPageToWindow(pageNum) {
   scale = Math.min(scaleX, scaleY);
   // Render page with new scale
   await renderPage(pageNum);
-}  } catch (error) {
-    console.error('Initialization error:', error);
-    alert('Failed to load PDF. Check console for details.');
+}
+
+/**
+ * Show the "open a plan set" screen with recently opened sets
+ */
+async function showStartScreen() {
+  startScreen.hidden = false;
+  recentList.innerHTML = '';
+  let recents = [];
+  try {
+    recents = await listRecentSets();
+  } catch (err) {
+    console.warn('Could not read recent sets:', err);
+  }
+  if (recents.length === 0) {
+    recentList.innerHTML = '<li class="recent-empty">No recent plan sets</li>';
+    return;
+  }
+  for (const entry of recents) {
+    const li = document.createElement('li');
+    const button = document.createElement('button');
+    button.textContent = entry.name;
+    button.title = `${entry.pages || '?'} pages - opened ${new Date(entry.lastOpened).toLocaleString()}`
+      + (entry.blob || entry.url ? '' : ' - too large to keep in the browser, choose the file again');
+    button.addEventListener('click', () => openRecentSet(entry.id));
+    li.appendChild(button);
+    recentList.appendChild(li);
   }
 }
 
 /**
- * Load the tag index from JSON file
+ * Reopen a set from the recent list, from its stored copy or its URL. A
+ * local file too large to store is picked again.
  */
-async function loadIndex() {
-  const response = await fetch(INDEX_FILE);
-  if (!response.ok) {
-    throw new Error(`Failed to load ${INDEX_FILE}`);
+async function openRecentSet(id) {
+  let entry = null;
+  try {
+    entry = await getRecentSet(id);
+    if (!entry) return;
+    if (entry.blob) {
+      const file = new File([entry.blob], entry.name);
+      history.pushState(null, '', location.pathname);
+      await openPlanSet({ file });
+    } else if (entry.url) {
+      history.pushState(null, '', `${location.pathname}?file=${encodeURIComponent(entry.url)}`);
+      await openPlanSet({ url: entry.url, indexUrl: entry.indexUrl });
+    } else {
+      fileInput.click();
+    }
+  } catch (err) {
+    reportOpenError(entry ? entry.name : 'the recent set', err);
   }
-  return await response.json();
 }
 
 /**
- * Render the tag list in the sidebar
+ * Tell the user a plan set or project could not be opened
  */
+function reportOpenError(name, err) {
+  console.error('Failed to open', name, err);
+  alert(`Failed to open ${name}. Check console for details.`);
+}
+
 /**
- * Jump to the first occurrence of a tag
+ * Open dropped or picked files: the first PDF, plus a .json index if given
  */
-async function jumpToTag(tagName) {
-  if (!tagIndex || !tagIndex.tags || !tagIndex.tags[tagName]) {
-    console.warn('Tag not found:', tagName);
+async function openLocalFiles(files) {
+  const list = Array.from(files);
+  const file = list.find(f => /\.pdf$/i.test(f.name) || f.type === 'application/pdf');
+  if (!file) {
+    alert('Please choose a PDF plan set.');
     return;
   }
-  
-  const occurrences = tagIndex.tags[tagName];
-  if (occurrences.length > 0) {
-    const firstOccurrence = occurrences[0];
-    await renderPage(firstOccurrence.page);
-    pushUrlState({ page: firstOccurrence.page });
+  const indexFile = list.find(f => /\.json$/i.test(f.name));
+  history.pushState(null, '', location.pathname);
+  try {
+    await openPlanSet({ file, indexFile });
+  } catch (err) {
+    reportOpenError(file.name, err);
   }
 }
 
 /**
- * Generate thumbnails for all pages
+ * Load the sheet-ID / callout grammar. Falls back to the original
+ * AC-only grammar if the file is missing so labels still work.
+ */
+async function loadPatterns() {
+  try {
+    const response = await fetch(PATTERNS_FILE);
+    if (!response.ok) throw new Error(`Failed to load ${PATTERNS_FILE}`);
+    return await response.json();
+  } catch (err) {
+    console.warn('Using built-in AC patterns:', err);
+    return {
+      sheetIds: [{ name: 'AC series', pattern: 'AC\\s*\\d{3,4}' }],
+      callouts: [{ name: 'Detail / sheet', pattern: '(\\d{2})\\/({sheet})' }]
+    };
+  }
+}
+
+/**
+ * Parse the first callout in a string with the grammar in use (see
+ * detect.js): { text, detail, sheet, index, length } or null
+ */
+function parseCallout(str) {
+  return detect.parseCallout(str, patterns);
+}
+
+/**
+ * Parse a sheet ID at the start of a string ("A101  FLOOR PLAN").
+ * Returns { sheet, length } with sheet normalized, or null.
+ */
+function parseSheetId(str) {
+  return detect.parseSheetId(str, patterns);
+}
+
+/**
+ * Find every callout in a string, in order of appearance
+ */
+function findCallouts(str) {
+  return detect.findCallouts(str, patterns);
+}
+
+/**
+ * Build the thumbnail strip. Every page gets a placeholder up front; pages
+ * are rendered only when they scroll into view.
  */
 async function generateThumbnails() {
-  thumbnailStrip.innerHTML = '<div style="color: #999; padding: 8px;">Generating thumbnails...</div>';
-  
+  const doc = pdfDoc;
+  thumbnailStrip.innerHTML = '';
+  if (thumbnailObserver) thumbnailObserver.disconnect();
+
   const thumbnailScale = 0.075; // 50% smaller thumbnails
-  const thumbnails = [];
-  
+  // Size placeholders like the first page; most sets use one sheet size
+  const firstViewport = (await doc.getPage(1)).getViewport({ scale: thumbnailScale });
+  if (pdfDoc !== doc) return;
+
+  thumbnailObserver = new IntersectionObserver((entries) => {
+    for (const entry of entries) {
+      if (!entry.isIntersecting) continue;
+      thumbnailObserver.unobserve(entry.target);
+      renderThumbnail(doc, entry.target, thumbnailScale);
+    }
+  }, { root: thumbnailStrip, rootMargin: '0px 600px' });
+
   for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-    const page = await pdfDoc.getPage(pageNum);
-    const viewport = page.getViewport({ scale: thumbnailScale });
-    
     // Create thumbnail container
     const thumbItem = document.createElement('div');
     thumbItem.className = 'thumbnail-item';
+    thumbItem.classList.toggle('selected', isPageSelected(pageNum));
     thumbItem.dataset.page = pageNum;
     
     // Create canvas for thumbnail
     const thumbCanvas = document.createElement('canvas');
     thumbCanvas.className = 'thumbnail-canvas';
-    thumbCanvas.width = viewport.width;
-    thumbCanvas.height = viewport.height;
+    thumbCanvas.width = firstViewport.width;
+    thumbCanvas.height = firstViewport.height;
     
-    const thumbCtx = thumbCanvas.getContext('2d');
-    
-    // Render thumbnail
-    await page.render({
-      canvasContext: thumbCtx,
-      viewport: viewport
-    }).promise;
-    
-    // Derive AC label from page text (prefer bottom-right title block)
-    const acTag = await getPageAcLabel(pageNum);
-    
-    // Create label with page number and AC tag
+    // Create label with page number and AC tag (filled in by the sheet scan)
     const label = document.createElement('div');
     label.className = 'thumbnail-label';
-    label.textContent = acTag ? `${pageNum} - ${acTag}` : pageNum;
+    label.textContent = pageNum;
     
     // Assemble thumbnail
     thumbItem.appendChild(thumbCanvas);
     thumbItem.appendChild(label);
     
-    // Add click handler
-    thumbItem.addEventListener('click', () => {
-      renderPage(pageNum);
-      pushUrlState({ page: pageNum });
+    // Add click handler; Ctrl/⌘ or Shift picks sheets for export
+    thumbItem.addEventListener('click', (e) => {
+      if (e.ctrlKey || e.metaKey || e.shiftKey) selectPage(pageNum, { range: e.shiftKey });
+      else goToPage(pageNum);
     });
     
-    thumbnails.push(thumbItem);
+    thumbnailStrip.appendChild(thumbItem);
+    updateThumbnailLabel(pageNum);
+    thumbnailObserver.observe(thumbItem);
   }
   
-  // Clear and populate thumbnail strip
-  thumbnailStrip.innerHTML = '';
-  thumbnails.forEach(thumb => thumbnailStrip.appendChild(thumb));
-  
-  console.log(`Generated ${thumbnails.length} thumbnails`);
+  updateThumbnailActive();
 }
 
 /**
- * Extract AC label from the lower-right area of the page using PDF.js text content.
- * Chooses the match closest to bottom-right if multiple are present.
+ * Render one thumbnail placeholder
  */
-async function getPageAcLabel(pageNum) {
-  if (pageLabels.has(pageNum)) return pageLabels.get(pageNum);
+async function renderThumbnail(doc, thumbItem, thumbnailScale) {
   try {
-    const page = await pdfDoc.getPage(pageNum);
-    const viewport = page.getViewport({ scale: 1.0 });
-    const content = await page.getTextContent();
-    // Match only pure AC codes (AC followed by 3-4 digits), not tags like "02/AC513"
-    const fullRegex = /\bAC\s*\d{3,4}\b/i;
-    const acOnlyRegex = /^AC$/i;
-    const digitsRegex = /^\d{3,4}$/;
-    const tagPattern = /\d{2}\/AC\d{3,4}/i; // Pattern to exclude tags
-    let best = null; // {text, x, y, score}
-
-    const items = content.items;
-    const brX = viewport.width;
-    const brY = viewport.height;
-
-    // Helper: distance to bottom-right
-    function distToBR(x, y) {
-      const dx = brX - x;
-      const dy = brY - y;
-      return Math.sqrt(dx * dx + dy * dy);
+    const page = await doc.getPage(parseInt(thumbItem.dataset.page, 10));
+    if (pdfDoc !== doc) return;
+    const viewport = page.getViewport({ scale: thumbnailScale });
+    const thumbCanvas = thumbItem.querySelector('canvas');
+    thumbCanvas.width = viewport.width;
+    thumbCanvas.height = viewport.height;
+    await page.render({
+      canvasContext: thumbCanvas.getContext('2d'),
+      viewport: viewport
+    }).promise;
+  } catch (err) {
+    console.warn('Thumbnail render failed for page', thumbItem.dataset.page, err);
+  }
+}
+
+/**
+ * Show a page's sheet label on its thumbnail, once known
+ */
+function updateThumbnailLabel(pageNum) {
+  const acTag = pageLabels.get(pageNum);
+  const label = thumbnailStrip.querySelector(`.thumbnail-item[data-page="${pageNum}"] .thumbnail-label`);
+  if (label) label.textContent = acTag ? `${pageNum} - ${acTag}` : pageNum;
+}
+
+/**
+ * Build the sheet-ID -> page map (pageLabels) and titles (pageTitles) for
+ * the open set, labelling thumbnails as pages are done. An index written by
+ * tools/plan-navigator.js already lists them; otherwise they come from
+ * scanSheetIndex().
+ */
+async function buildSheetIndex() {
+  const doc = pdfDoc;
+  const onPage = (pageNum, label, title) => {
+    if (label) pageLabels.set(pageNum, label);
+    if (title) pageTitles.set(pageNum, title);
+    updateThumbnailLabel(pageNum);
+    if (pageNum < doc.numPages) indexStatus.textContent = `Indexing sheets ${pageNum}/${doc.numPages}…`;
+  };
+  if (tagIndex && tagIndex.schema_version >= detect.INDEX_SCHEMA_VERSION && Array.isArray(tagIndex.sheets)) {
+    for (const { page, sheet, title } of tagIndex.sheets) {
+      if (page >= 1 && page <= doc.numPages) onPage(page, sheet || null, title || null);
     }
+    console.log(`Loaded ${pageLabels.size} sheets from the index`);
+  } else {
+    await scanSheetIndex(doc, pdfName, { isCancelled: () => pdfDoc !== doc, onPage });
+  }
+  if (pdfDoc !== doc) return;
+  indexStatus.textContent = '';
+}
+
+/**
+ * Label every page of a document (the open set or any other) without
+ * blocking the UI: { labels, titles }, both page -> text, or null if
+ * isCancelled() turns true first. A cached index for the same PDF
+ * fingerprint and patterns is used when available; otherwise page text is
+ * scanned one page per idle callback and the result is cached. Text
+ * extraction already runs in the PDF.js worker, so only the light label
+ * scoring happens on the main thread. onPage(pageNum, label, title) is
+ * called as each page is labelled.
+ */
+async function scanSheetIndex(doc, name, { onPage = () => {}, isCancelled = () => false } = {}) {
+  const fingerprint = doc.fingerprints[0];
+  const patternsKey = `${SHEET_INDEX_VERSION}:${JSON.stringify(patterns.config)}`;
 
-    // Precompute positions of "Sheet No." label to find nearby AC codes
-    const sheetHints = [];
-    for (let i = 0; i < items.length; i++) {
-      const s = items[i].str.trim().toUpperCase();
-      if (s.includes('SHEET') || s.includes('NO.') || s === 'NO' || s.includes('TITLE')) {
-        const [, , , , ex, ey] = items[i].transform;
-        const percentX = (ex / brX * 100).toFixed(0);
-        const percentY = (ey / brY * 100).toFixed(0);
-        sheetHints.push({ x: ex, y: ey, text: s, percentX, percentY });
+  try {
+    const cached = await getSheetIndex(fingerprint);
+    if (cached && cached.patternsKey === patternsKey) {
+      if (isCancelled()) return null;
+      const labels = new Map(cached.labels);
+      const titles = new Map(cached.titles);
+      for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
+        onPage(pageNum, labels.get(pageNum) || null, titles.get(pageNum) || null);
       }
+      console.log(`Loaded cached sheet index for ${name}: ${labels.size} sheets`);
+      return { labels, titles };
     }
-    
-    // Debug: show where Sheet labels are
-    if (pageNum <= 3) {
-      console.log(`Page ${pageNum} Sheet hints:`, sheetHints.map(h => `"${h.text}" at ${h.percentX}%x, ${h.percentY}%y (looking for >90%x, <20%y)`));
-    }
-    
-    // If no sheet hints found, return null (prefer no label over wrong label)
-    if (sheetHints.length === 0) {
-      console.log(`Page ${pageNum}: No "Sheet No." label found, skipping AC detection`);
-      return null;
-    }
+  } catch (err) {
+    console.warn('Could not read cached sheet index:', err);
+  }
 
-    // Find matches, score by proximity to BR and to sheet hints
-    // Only consider bottom-right quadrant to avoid false matches from page body
-    const candidates = [];
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const str = item.str.trim();
-      const [a, b, c, d, e, f] = item.transform;
-      const x = e;
-      const y = f;
-
-      // Filter to bottom-right region in PDF coords (rightmost 50%, bottommost 50%)
-      // PDF.js uses bottom-left origin: low Y = bottom, high X = right
-      const percentX = (x / brX);
-      const percentY = (y / brY);
-      if (percentX < 0.5 || percentY > 0.5) continue; // X > 50%, Y < 50% (bottom)
-
-      // Skip if this is part of a tag pattern (e.g., "02/AC513")
-      if (tagPattern.test(str)) continue;
-
-      let matchText = null;
-      if (fullRegex.test(str)) {
-        matchText = (str.match(fullRegex) || [])[0].replace(/\s+/g, '').toUpperCase();
-      } else if (acOnlyRegex.test(str)) {
-        for (let k = 1; k <= 3; k++) {
-          const next = items[i + k];
-          if (!next) break;
-          const nextStr = next.str.trim();
-          if (digitsRegex.test(nextStr)) {
-            matchText = `AC${nextStr}`.toUpperCase();
-            break;
-          }
-        }
-      }
-      if (!matchText) continue;
+  const labels = new Map();
+  const titles = new Map();
+  for (let pageNum = 1; pageNum <= doc.numPages; pageNum++) {
+    await whenIdle();
+    // Stop if another plan set was opened meanwhile
+    if (isCancelled()) return null;
+    let label = null;
+    let title = null;
+    try {
+      const page = await doc.getPage(pageNum);
+      const content = await page.getTextContent();
+      label = await detectSheetLabel(page, content);
+      title = detect.detectSheetTitle(page, content, patterns);
+    } catch (err) {
+      console.warn('AC label extraction failed for page', pageNum, err);
+    }
+    if (label) labels.set(pageNum, label);
+    if (title) titles.set(pageNum, title);
+    onPage(pageNum, label, title);
+  }
+  console.log(`Indexed ${labels.size} sheets in ${name}`);
 
-      // Debug for page 1
-      if (pageNum === 1) {
-        console.log(`Page 1 found AC: "${matchText}" at ${(x/brX*100).toFixed(0)}%x, ${(y/brY*100).toFixed(0)}%y`);
-      }
+  saveSheetIndex({
+    fingerprint,
+    patternsKey,
+    name,
+    labels: Array.from(labels.entries()),
+    titles: Array.from(titles.entries()),
+    createdAt: Date.now()
+  }).catch(err => console.warn('Could not cache sheet index:', err));
+  return { labels, titles };
+}
 
-      // Base score: inverse of distance to bottom-right
-      const dist = distToBR(x, y);
-      let score = 10000 / (1 + dist);
-
-      // Strong bonus: closeness to "Sheet No." label
-      let minSheetDist = Infinity;
-      for (const hint of sheetHints) {
-        const dx = hint.x - x;
-        const dy = hint.y - y;
-        const d = Math.sqrt(dx * dx + dy * dy);
-        minSheetDist = Math.min(minSheetDist, d);
-        score += 50000 / (1 + d); // Much higher weight for sheet proximity
-      }
+/**
+ * Resolve once every page has been checked for a sheet label
+ */
+function whenSheetIndexReady() {
+  return sheetScan || Promise.resolve();
+}
 
-      // Only accept candidates close to "Sheet No." label (within ~200 units)
-      if (minSheetDist > 200) continue;
-      
-      candidates.push({ text: matchText, x, y, score, dist, sheetDist: minSheetDist });
-      
-      if (!best || score > best.score) {
-        best = { text: matchText, x, y, score };
-      }
+/**
+ * Resolve when the browser is idle (or on the next tick where
+ * requestIdleCallback is unsupported)
+ */
+function whenIdle() {
+  return new Promise(resolve => {
+    if ('requestIdleCallback' in window) {
+      requestIdleCallback(() => resolve(), { timeout: 200 });
+    } else {
+      setTimeout(resolve, 0);
     }
-    
-    // Debug logging for troubleshooting
-    console.log(`Page ${pageNum} AC candidates:`, candidates.length > 0 ? candidates.map(c => ({
-      text: c.text,
-      score: c.score.toFixed(0),
-      sheetDist: c.sheetDist.toFixed(0)
-    })) : 'None found (check if Sheet No. label exists)');
-
-    const ac = best ? best.text : null;
-    if (ac) pageLabels.set(pageNum, ac);
-    return ac;
-  } catch (err) {
-    console.warn('AC label extraction failed for page', pageNum, err);
-    return null;
-  }
+  });
+}
+
+/**
+ * Sheet label of a page of any document, not just the open set (see
+ * detect.js). Pass the page's text content if it has already been fetched.
+ */
+function detectSheetLabel(page, content = null) {
+  return detect.detectSheetLabel(page, content, patterns);
 }
 
 /**
@@ -336,43 +616,41 @@ function updateThumbnailActive() {
 }
 
 /**
- * Render a PDF page on the canvas
+ * Render a PDF page on the canvas (see renderer.js). maintainScrollRatio
+ * { x, y, offsetX, offsetY } keeps the point at fraction x, y of the page
+ * at offsetX, offsetY from the container's top left.
  */
 async function renderPage(pageNum, maintainScrollRatio = null) {
+  const token = ++renderToken;
   currentPage = pageNum;
   currentPageSpan.textContent = pageNum;
   updateNavigationButtons();
   updateThumbnailActive();
-  // Push state when user-driven navigation occurs (avoid duplicate pushes during popstate handling)
   
   // Clear any existing highlights
   clearHighlights();
   
   const page = await pdfDoc.getPage(pageNum);
+  if (token !== renderToken) return;
   const viewport = page.getViewport({ scale: scale });
+  pageViewport = viewport;
+  const rendered = showPage(page, viewport);
   
-  // Store old canvas dimensions if we're maintaining scroll
-  const oldWidth = canvas.width;
-  const oldHeight = canvas.height;
-  
-  canvas.width = viewport.width;
-  canvas.height = viewport.height;
-  
-  // If maintainScrollRatio is provided, adjust scroll position immediately
+  // The page has its new size already, so the scroll position can follow
   if (maintainScrollRatio) {
-    canvasContainer.scrollLeft = maintainScrollRatio.x * viewport.width - maintainScrollRatio.offsetX;
-    canvasContainer.scrollTop = maintainScrollRatio.y * viewport.height - maintainScrollRatio.offsetY;
+    canvasContainer.scrollLeft = canvas.offsetLeft + maintainScrollRatio.x * viewport.width - maintainScrollRatio.offsetX;
+    canvasContainer.scrollTop = canvas.offsetTop + maintainScrollRatio.y * viewport.height - maintainScrollRatio.offsetY;
   }
   
-  const renderContext = {
-    canvasContext: ctx,
-    viewport: viewport
-  };
-  
-  await page.render(renderContext).promise;
+  if (!await rendered || token !== renderToken) return;
 
   // After rendering, overlay clickable links detected from text
   await renderPageLinks(pageNum, page);
+  if (token !== renderToken) return;
+
+  // Let panels that follow the current sheet refresh
+  document.dispatchEvent(new CustomEvent('pagerendered', { detail: { pageNum } }));
+  scheduleUrlViewUpdate();
 }
 
 /**
@@ -383,131 +661,331 @@ function clearHighlights() {
   highlights.forEach(h => h.remove());
 }
 
+/**
+ * Draw a temporary highlight box over a region given in unscaled page units
+ * (top-left origin, as returned by findDetailOnPage). A duration of 0 keeps
+ * it until the next render.
+ */
+function highlightRegion(region, durationMs = 4000) {
+  const overlay = document.createElement('div');
+  overlay.className = 'highlight-overlay';
+  overlay.style.left = `${canvas.offsetLeft + region.x * scale}px`;
+  overlay.style.top = `${canvas.offsetTop + region.y * scale}px`;
+  overlay.style.width = `${region.width * scale}px`;
+  overlay.style.height = `${region.height * scale}px`;
+  canvasContainer.appendChild(overlay);
+  if (durationMs > 0) {
+    setTimeout(() => overlay.remove(), durationMs);
+  }
+  return overlay;
+}
+
 function clearLinkOverlays() {
   linkOverlays.forEach(el => el.remove());
   linkOverlays = [];
+  hideLinkPreview();
+}
+
+/**
+ * Make a link overlay a stop in the Tab order that screen readers announce
+ * as a link; Enter follows it as a click would
+ */
+function makeFocusableLink(overlay) {
+  overlay.tabIndex = 0;
+  overlay.setAttribute('role', 'link');
+  // Links with an href follow Enter by themselves
+  if (overlay.hasAttribute('href')) return;
+  overlay.addEventListener('keydown', (e) => {
+    if (e.key !== 'Enter' || e.altKey || e.ctrlKey || e.metaKey) return;
+    e.preventDefault();
+    // Choosers open under the link rather than at the mouse
+    const rect = overlay.getBoundingClientRect();
+    overlay.dispatchEvent(new MouseEvent('click', { bubbles: true, clientX: rect.left, clientY: rect.bottom }));
+  });
+}
+
+/**
+ * Focus the next link on the page (step 1) or the previous one (step -1),
+ * counting from the focused link; the focused link is scrolled into view
+ * and its preview shown
+ */
+function focusNextLink(step) {
+  if (linkOverlays.length === 0) return;
+  setLinkOverlaysVisible(true);
+  const index = linkOverlays.indexOf(document.activeElement);
+  const next = index === -1
+    ? (step > 0 ? 0 : linkOverlays.length - 1)
+    : (index + step + linkOverlays.length) % linkOverlays.length;
+  linkOverlays[next].focus();
+}
+
+/**
+ * Show or hide the link overlays (hidden ones leave the Tab order too)
+ */
+function setLinkOverlaysVisible(visible) {
+  canvasContainer.classList.toggle('links-hidden', !visible);
 }
 
+/**
+ * Whether the link overlays are shown
+ */
+function linkOverlaysVisible() {
+  return !canvasContainer.classList.contains('links-hidden');
+}
+
+/**
+ * Overlay the page's own link annotations, then a clickable link on every
+ * callout they don't already cover. Adjacent text items on one baseline are
+ * joined first, so callouts split across items ("09" "/" "AC401") are
+ * found; each overlay covers the glyphs' real extent and is rotated to
+ * match the text (including the page's /Rotate).
+ */
 async function renderPageLinks(pageNum, pageObj) {
+  // Keep the keyboard on the same link when the page is rendered again
+  const focused = linkOverlaysPage === pageNum ? linkOverlays.indexOf(document.activeElement) : -1;
   clearLinkOverlays();
+  linkOverlaysPage = pageNum;
   try {
     const page = pageObj || await pdfDoc.getPage(pageNum);
     const viewport = page.getViewport({ scale: scale });
+
+    const pdfLinks = await getLinkAnnotations(page, viewport);
+    pdfLinks.forEach(addPdfLinkOverlay);
+    const coveredByPdfLink = (box) => {
+      const cx = box.x + box.width / 2;
+      const cy = box.y + box.height / 2;
+      return pdfLinks.some(({ rect }) =>
+        cx >= rect.x && cx <= rect.x + rect.width && cy >= rect.y && cy <= rect.y + rect.height);
+    };
+
     const content = await page.getTextContent();
-    const items = content.items || [];
-
-    // Match page refs like 09/AC401 (2 digits, slash, AC + 3-4 digits)
-    const refRegex = /\b(\d{2})\/(AC\d{3,4})\b/i;
-
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      const str = item.str || '';
-      const match = str.match(refRegex);
-      if (!match) continue;
-
-      const refText = `${match[1]}/${match[2].toUpperCase()}`;
-
-      // Transform text matrix into viewport space
-      // item.transform is the text matrix; combine with viewport.transform to get pixel coords
-      const tm = item.transform;
-      const m = pdfjsLib.Util.transform(viewport.transform, tm); // [a, b, c, d, e, f]
-      const [a, b, c, d, e, f] = m;
-
-      // Text orientation and font size
-      const fontSize = Math.hypot(a, b);
-      const angleRad = Math.atan2(b, a); // rotation in radians
-      const angleDeg = Math.round(angleRad * 180 / Math.PI);
-      const isVertical = Math.abs(Math.abs(angleDeg) - 90) <= 10; // treat ~90° as vertical
-
-      // Compute width/height in viewport pixels
-      // Use character count * average char width (fontSize * 0.5 for monospace-like approximation)
-      const charWidth = fontSize * 0.5;
-      let width = refText.length * charWidth;
-      let height = fontSize;
-
-      // For vertical text, swap width/height and adjust position to cover the column
-      if (isVertical) {
-        const tmp = width;
-        width = height;
-        height = tmp;
-      }
 
-      // Position: e,f are the text origin in viewport space (baseline).
-      // Use canvas bounding rect to be robust to layout/padding/scroll.
-      const canvasRect = canvas.getBoundingClientRect();
-      const containerRect = canvasContainer.getBoundingClientRect();
-      const originLeft = canvasRect.left - containerRect.left;
-      const originTop = canvasRect.top - containerRect.top;
-
-      let left = originLeft + e;
-      let top = originTop + (f - height);
-
-      // For vertical text, shift box to better align along the glyph run
-      if (isVertical) {
-        // Nudge left slightly to center over rotated text; heuristic
-        left -= width * 0.25;
-        // Vertical text tends to report baseline mid-run; lift overlay more
-        top = originTop + (f - height * 0.9);
-      }
+    // Match page refs like 09/AC401 or 3/A5.1 (see patterns.json)
+    for (const { callout, box } of detect.findPageCallouts(content, viewport, patterns)) {
+      const refText = callout.text;
+      if (coveredByPdfLink(box)) continue;
 
-      // Create overlay element
+      // Create overlay element, styled by whether the target resolves.
+      // It is laid out unrotated with its bottom-left corner at the box
+      // origin, then rotated about that corner onto the text.
       const overlay = document.createElement('div');
       overlay.className = 'link-overlay';
-      overlay.style.position = 'absolute';
-      overlay.style.left = `${left}px`;
-      overlay.style.top = `${top}px`; // baseline -> top
-      overlay.style.width = `${width}px`;
-      overlay.style.height = `${height}px`;
-      overlay.style.border = '1px dashed rgba(0, 102, 204, 0.4)';
-      overlay.style.background = 'rgba(0, 102, 204, 0.05)';
-      overlay.style.cursor = 'pointer';
-      overlay.title = `Go to ${refText}`;
-
-      overlay.addEventListener('click', async () => {
-        const targetPage = resolveTargetPageForRef(refText);
-        if (targetPage) {
-          await renderPage(targetPage);
-          pushUrlState({ page: targetPage, tag: match[2].toUpperCase() });
+      overlay.dataset.ref = refText;
+      overlay.style.left = `${canvas.offsetLeft + box.origin[0]}px`;
+      overlay.style.top = `${canvas.offsetTop + box.origin[1] - box.thickness}px`;
+      overlay.style.width = `${box.length}px`;
+      overlay.style.height = `${box.thickness}px`;
+      if (Math.abs(box.angle) > 0.001) {
+        overlay.style.transformOrigin = '0 100%';
+        overlay.style.transform = `rotate(${box.angle}rad)`;
+      }
+      makeFocusableLink(overlay);
+      setLinkStatus(overlay);
+      const tint = disciplineColor(refText.split('/')[1]);
+      if (tint) {
+        overlay.classList.add('discipline-tint');
+        overlay.style.setProperty('--discipline-color', tint);
+      }
+
+      overlay.addEventListener('click', (e) => {
+        const resolution = resolveRef(refText);
+        if (resolution.status === 'missing') return;
+        if (resolution.status === 'ambiguous') {
+          // Several pages carry this sheet ID: let the user pick
+          hideLinkPreview();
+          showTargetChooser(e.clientX, e.clientY, refText, resolution, page => followRef(refText, page));
+          return;
         }
+        followRef(refText);
       });
+      overlay.addEventListener('mouseenter', () => showLinkPreview(overlay, refText, resolveRef(refText)));
+      overlay.addEventListener('mouseleave', hideLinkPreview);
+      overlay.addEventListener('focus', () => showLinkPreview(overlay, refText, resolveRef(refText)));
+      overlay.addEventListener('blur', hideLinkPreview);
 
       canvasContainer.appendChild(overlay);
       linkOverlays.push(overlay);
     }
+    if (focused !== -1 && linkOverlays[focused]) linkOverlays[focused].focus({ preventScroll: true });
   } catch (err) {
     console.warn('renderPageLinks failed:', err);
   }
 }
 
+/**
+ * Overlay a link annotation from the PDF (rect in viewport pixels):
+ * GoTo links open their destination, URI links open in a new tab
+ */
+function addPdfLinkOverlay(link) {
+  const overlay = document.createElement('a');
+  overlay.className = 'link-overlay pdf-link';
+  overlay.style.left = `${canvas.offsetLeft + link.rect.x}px`;
+  overlay.style.top = `${canvas.offsetTop + link.rect.y}px`;
+  overlay.style.width = `${link.rect.width}px`;
+  overlay.style.height = `${link.rect.height}px`;
+  if (link.url) {
+    overlay.href = link.url;
+    overlay.title = link.url;
+  } else {
+    overlay.title = typeof link.dest === 'string' ? `Go to ${link.dest}` : 'Go to link target';
+  }
+  overlay.setAttribute('aria-label', link.url ? `Web link to ${link.url}` : overlay.title);
+  makeFocusableLink(overlay);
+  overlay.addEventListener('click', (e) => {
+    e.preventDefault();
+    if (link.url) openExternalLink(link.url);
+    else goToDestination(link.dest);
+  });
+  canvasContainer.appendChild(overlay);
+  linkOverlays.push(overlay);
+}
+
+/**
+ * Resolve a callout to its candidate target pages against the sheets found
+ * so far (see resolveCallout in resolve.js): { status, pages, document? }
+ */
+function resolveRef(refText) {
+  return resolveCallout(refText, {
+    patterns,
+    labels: pageLabels,
+    sheets: tagIndex && tagIndex.sheets,
+    findElsewhere: findSheetInProject,
+    pending: Boolean(sheetScan) || isProjectScanPending()
+  });
+}
+
+/**
+ * First candidate page for a callout, or null if unresolved
+ */
 function resolveTargetPageForRef(refText) {
-  // refText like "09/AC401" -> key by AC code to find page
-  const acCodeMatch = refText.match(/AC\d{3,4}/i);
-  const acCode = acCodeMatch ? acCodeMatch[0].toUpperCase() : null;
-  if (!acCode) return null;
+  const { pages } = resolveRef(refText);
+  return pages.length > 0 ? pages[0] : null;
+}
 
-  // Search through page labels to find a matching AC code
-  for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
-    const label = pageLabels.get(pageNum);
-    if (label && label.toUpperCase() === acCode) {
-      return pageNum;
+/**
+ * Re-apply resolution status to every link on the page, e.g. once more
+ * sheets are known
+ */
+function refreshLinkStatus() {
+  linkOverlays.forEach(setLinkStatus);
+}
+
+/**
+ * Apply the resolution status class to a link overlay
+ */
+function setLinkStatus(overlay) {
+  // Only callout overlays have a status; PDF link annotations always work
+  if (!overlay.dataset.ref) return;
+  const resolution = resolveRef(overlay.dataset.ref);
+  overlay.classList.remove('resolved', 'ambiguous', 'pending', 'missing');
+  overlay.classList.add(resolution.status);
+  overlay.setAttribute('aria-label', linkLabel(overlay.dataset.ref, resolution));
+  overlay.setAttribute('aria-disabled', String(resolution.status === 'missing'));
+}
+
+/**
+ * What a screen reader says for a callout link, e.g. "Callout 09/AC401,
+ * detail 09 on sheet AC401, page 3"
+ */
+function linkLabel(refText, { status, pages, document: targetDocument }) {
+  const [detail, sheetId] = refText.split('/');
+  const inDocument = targetDocument ? ` of ${targetDocument.title}` : '';
+  if (status === 'resolved') return `Callout ${refText}, detail ${detail} on sheet ${sheetId}, page ${pages[0]}${inDocument}`;
+  if (status === 'ambiguous') return `Callout ${refText}, sheet ${sheetId} is on pages ${pages.join(', ')}${inDocument}`;
+  if (status === 'pending') return `Callout ${refText}, looking for sheet ${sheetId}`;
+  return `Callout ${refText}, sheet ${sheetId} is not in this set`;
+}
+
+/**
+ * Follow a callout like "09/AC401": open the target sheet (or the given
+ * page, when the user picked one of several), switching to another set of
+ * the project if the sheet is there, then zoom to the detail bubble if it
+ * can be found, otherwise show the whole sheet.
+ * Returns the target page number, or null if unresolved.
+ */
+async function navigateToRef(refText, targetPage = null) {
+  if (!targetPage) {
+    targetPage = resolveTargetPageForRef(refText);
+    // The target sheet may not have been reached by the background scans yet
+    if (resolveRef(refText).status === 'pending') {
+      await whenSheetIndexReady();
+      await whenProjectIndexed();
+      targetPage = resolveTargetPageForRef(refText);
     }
   }
-  
-  // Fallback: use tagIndex if available
-  if (tagIndex && tagIndex.tags) {
-    const occs = tagIndex.tags[refText] || tagIndex.tags[acCode];
-    if (occs && occs.length > 0) {
-      return occs[0].page;
-    }
-    // Search any tag whose name contains the AC code
-    for (const [tag, occs2] of Object.entries(tagIndex.tags)) {
-      if (tag.toUpperCase().includes(acCode)) {
-        return occs2[0]?.page || null;
-      }
-    }
+  if (!targetPage) return null;
+
+  const { document: targetDocument } = resolveRef(refText);
+  if (targetDocument) await openProjectDocument(targetDocument.key, targetPage);
+
+  const detailNum = refText.split('/')[0];
+  const page = await pdfDoc.getPage(targetPage);
+  const region = await findDetailOnPage(page, detailNum);
+  if (region) {
+    await zoomToRegion(targetPage, region);
+    highlightRegion(region);
+  } else {
+    await renderPage(targetPage);
   }
-  
-  return null;
+  return targetPage;
+}
+
+/**
+ * Follow a callout (see navigateToRef) as a new history entry.
+ * Returns the target page number, or null if unresolved.
+ */
+async function followRef(refText, targetPage = null) {
+  saveUrlView();
+  const page = await navigateToRef(refText, targetPage);
+  if (page) pushUrlState({ page, detail: refText.split('/')[0], ref: refText });
+  return page;
+}
+
+/**
+ * Locate a detail's number bubble and title on a page (see
+ * findDetailOnPage in detect.js); null when it can't be found. Pass the
+ * page's text content when looking up several details on it.
+ */
+async function findDetailOnPage(page, detailNum, content = null) {
+  try {
+    return await detect.findDetailOnPage(page, content, detailNum);
+  } catch (err) {
+    console.warn('Detail lookup failed for', detailNum, err);
+    return null;
+  }
+}
+
+/**
+ * Zoom so that a detail title region is readable with the drawing above it
+ * in view, then scroll the region into position.
+ */
+async function zoomToRegion(pageNum, region) {
+  const page = await pdfDoc.getPage(pageNum);
+  const unscaledViewport = page.getViewport({ scale: 1 });
+  const padding = 40;
+  const containerWidth = canvasContainer.clientWidth - padding;
+  const containerHeight = canvasContainer.clientHeight - padding;
+
+  // Show roughly a quarter of the sheet width, or more for long titles
+  const focusWidth = Math.max(region.width * 2.5, unscaledViewport.width * 0.25);
+  const fitScale = Math.min(containerWidth / unscaledViewport.width, containerHeight / unscaledViewport.height);
+  scale = Math.max(containerWidth / focusWidth, fitScale);
+
+  await renderPage(pageNum);
+
+  // The drawing sits above its title, so place the title in the lower third
+  scrollRegionIntoView(region, 0.7);
+}
+
+/**
+ * Scroll so a region (unscaled page units) is centered horizontally and its
+ * middle sits at yFraction of the container height
+ */
+function scrollRegionIntoView(region, yFraction = 0.5) {
+  const centerX = canvas.offsetLeft + (region.x + region.width / 2) * scale;
+  const centerY = canvas.offsetTop + (region.y + region.height / 2) * scale;
+  canvasContainer.scrollLeft = centerX - canvasContainer.clientWidth / 2;
+  canvasContainer.scrollTop = centerY - canvasContainer.clientHeight * yFraction;
 }
 
 /**
@@ -520,97 +998,187 @@ function updateNavigationButtons() {
 
 // Event listeners for navigation
 prevPageBtn.addEventListener('click', () => {
-  if (currentPage > 1) {
-    renderPage(currentPage - 1);
-    pushUrlState({ page: currentPage });
-  }
+  if (currentPage > 1) goToPage(currentPage - 1);
 });
 
 nextPageBtn.addEventListener('click', () => {
-  if (currentPage < totalPages) {
-    renderPage(currentPage + 1);
-    pushUrlState({ page: currentPage });
-  }
-});
-
-// Event listeners for zoom
-zoomInBtn.addEventListener('click', () => {
-  scale *= 1.2;
-  renderPage(currentPage);
+  if (currentPage < totalPages) goToPage(currentPage + 1);
 });
 
-zoomOutBtn.addEventListener('click', () => {
-  scale /= 1.2;
-  renderPage(currentPage);
-});
+/**
+ * Zoom the page on screen in or out by a factor
+ */
+function zoomBy(factor) {
+  scale = clampZoom(scale * factor);
+  return renderPage(currentPage);
+}
 
-zoomResetBtn.addEventListener('click', () => {
+/**
+ * Back to the default zoom
+ */
+function resetZoom() {
   scale = 1.5;
-  renderPage(currentPage);
-});
+  return renderPage(currentPage);
+}
 
-// Keyboard shortcuts
-document.addEventListener('keydown', (e) => {
-  if (e.key === 'ArrowLeft' && currentPage > 1) {
-    renderPage(currentPage - 1);
-    pushUrlState({ page: currentPage });
-  } else if (e.key === 'ArrowRight' && currentPage < totalPages) {
-    renderPage(currentPage + 1);
-    pushUrlState({ page: currentPage });
-  }
-});
+/**
+ * Fit the width of the PDF page to the window and render it
+ */
+async function fitPageWidth(pageNum) {
+  const page = await pdfDoc.getPage(pageNum);
+  // Padding on both sides, as in fitPageToWindow
+  const padding = 40;
+  scale = clampZoom((canvasContainer.clientWidth - padding) / page.getViewport({ scale: 1 }).width);
+  await renderPage(pageNum);
+}
 
-// Mouse wheel zoom
-canvasContainer.addEventListener('wheel', (e) => {
-  e.preventDefault();
-  
-  // Get canvas and container rectangles
+// Event listeners for zoom (keyboard shortcuts are in shortcuts.js)
+zoomInBtn.addEventListener('click', () => zoomBy(1.2));
+zoomOutBtn.addEventListener('click', () => zoomBy(1 / 1.2));
+zoomResetBtn.addEventListener('click', resetZoom);
+
+/**
+ * Keep a zoom level within ZOOM_RANGE
+ */
+function clampZoom(value) {
+  return Math.min(ZOOM_RANGE[1], Math.max(ZOOM_RANGE[0], value));
+}
+
+// Zoom gesture under way (wheel or pinch): { factor, originX, originY,
+// ratio, timer } where origin is the fixed point in page CSS pixels and
+// ratio the renderPage maintainScrollRatio for it
+let zoomGesture = null;
+
+/**
+ * Start a zoom gesture about a point on screen
+ */
+function startZoomGesture(clientX, clientY) {
   const canvasRect = canvas.getBoundingClientRect();
   const containerRect = canvasContainer.getBoundingClientRect();
-  
-  // Get current canvas dimensions
-  const oldCanvasWidth = canvas.width;
-  const oldCanvasHeight = canvas.height;
-  
-  // Get current scroll position
-  const scrollLeft = canvasContainer.scrollLeft;
-  const scrollTop = canvasContainer.scrollTop;
-  
-  // Mouse position relative to the actual canvas element (not container)
-  const mouseCanvasX = e.clientX - canvasRect.left;
-  const mouseCanvasY = e.clientY - canvasRect.top;
-  
-  // Calculate the ratio of where the mouse is pointing on the canvas
-  // This is the position as a fraction of the canvas size (0 to 1)
-  const ratioX = mouseCanvasX / oldCanvasWidth;
-  const ratioY = mouseCanvasY / oldCanvasHeight;
-  
-  // Mouse position relative to container viewport
-  const mouseContainerX = e.clientX - containerRect.left;
-  const mouseContainerY = e.clientY - containerRect.top;
-  
-  // Store old scale
-  const oldScale = scale;
-  
-  // deltaY > 0 means scrolling down (zoom out)
+  const originX = clientX - canvasRect.left;
+  const originY = clientY - canvasRect.top;
+  return {
+    factor: 1,
+    originX,
+    originY,
+    ratio: {
+      x: originX / pageViewport.width,
+      y: originY / pageViewport.height,
+      offsetX: clientX - containerRect.left - canvasContainer.clientLeft,
+      offsetY: clientY - containerRect.top - canvasContainer.clientTop
+    },
+    timer: null
+  };
+}
+
+/**
+ * Show a gesture's zoom factor with CSS until it is committed
+ */
+function updateZoomGesture(gesture, factor) {
+  gesture.factor = clampZoom(scale * factor) / scale;
+  previewZoom(gesture.factor, gesture.originX, gesture.originY);
+}
+
+/**
+ * Render the page at the zoom a gesture ended on
+ */
+function commitZoomGesture(gesture) {
+  clearTimeout(gesture.timer);
+  if (zoomGesture === gesture) zoomGesture = null;
+  scale *= gesture.factor;
+  renderPage(currentPage, gesture.ratio);
+}
+
+// Mouse wheel zoom: the page is scaled with CSS while the wheel turns and
+// rendered once it pauses
+canvasContainer.addEventListener('wheel', (e) => {
+  e.preventDefault();
+  if (!pdfDoc || !pageViewport) return;
+  if (!zoomGesture) zoomGesture = startZoomGesture(e.clientX, e.clientY);
+  const gesture = zoomGesture;
   // deltaY < 0 means scrolling up (zoom in)
-  if (e.deltaY < 0) {
-    // Zoom in
-    scale *= 1.1;
-  } else {
-    // Zoom out
-    scale /= 1.1;
-  }
-  
-  // Render page with new scale, passing the ratio to maintain
-  renderPage(currentPage, {
-    x: ratioX,
-    y: ratioY,
-    offsetX: mouseContainerX,
-    offsetY: mouseContainerY
-  });
+  updateZoomGesture(gesture, gesture.factor * (e.deltaY < 0 ? 1.1 : 1 / 1.1));
+  clearTimeout(gesture.timer);
+  gesture.timer = setTimeout(() => commitZoomGesture(gesture), ZOOM_SETTLE_MS);
 }, { passive: false });
 
+// Pan by dragging the page, and pinch to zoom on touch screens. Pointers
+// that start on the markup or measure layer while they're drawing are
+// theirs. A drag that moved doesn't count as a click on a link.
+const activePointers = new Map();
+let drag = null;
+let pinch = null;
+let suppressClickUntil = 0;
+
+/**
+ * Distance and midpoint of the first two active pointers
+ */
+function pinchSpan() {
+  const [a, b] = Array.from(activePointers.values());
+  return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+}
+
+canvasContainer.addEventListener('pointerdown', (e) => {
+  if (!pdfDoc || !pageViewport || zoomGesture) return;
+  if (e.pointerType === 'mouse' && e.button !== 0) return;
+  if (e.target.closest('.markup-layer, .measure-layer, .export-layer, .start-screen')) return;
+  activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (activePointers.size === 1) {
+    drag = { pointerId: e.pointerId, x: e.clientX, y: e.clientY, scrollLeft: canvasContainer.scrollLeft, scrollTop: canvasContainer.scrollTop, moved: false };
+  } else if (activePointers.size === 2 && e.pointerType === 'touch') {
+    drag = null;
+    const span = pinchSpan();
+    pinch = { distance: span.distance, gesture: startZoomGesture(span.x, span.y) };
+    canvasContainer.setPointerCapture(e.pointerId);
+  }
+});
+
+canvasContainer.addEventListener('pointermove', (e) => {
+  if (!activePointers.has(e.pointerId)) return;
+  activePointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+  if (pinch && activePointers.size >= 2) {
+    updateZoomGesture(pinch.gesture, pinchSpan().distance / pinch.distance);
+  } else if (drag && drag.pointerId === e.pointerId) {
+    const dx = e.clientX - drag.x;
+    const dy = e.clientY - drag.y;
+    if (!drag.moved && Math.hypot(dx, dy) < DRAG_THRESHOLD_PX) return;
+    if (!drag.moved) {
+      drag.moved = true;
+      canvasContainer.setPointerCapture(e.pointerId);
+      canvasContainer.classList.add('panning');
+    }
+    canvasContainer.scrollLeft = drag.scrollLeft - dx;
+    canvasContainer.scrollTop = drag.scrollTop - dy;
+  }
+});
+
+/**
+ * A pointer lifted or lost: end the drag, or commit the pinch
+ */
+function onPointerEnd(e) {
+  if (!activePointers.delete(e.pointerId)) return;
+  if (drag && drag.moved) suppressClickUntil = performance.now() + 300;
+  if (pinch && activePointers.size < 2) {
+    commitZoomGesture(pinch.gesture);
+    suppressClickUntil = performance.now() + 300;
+    pinch = null;
+  }
+  drag = null;
+  canvasContainer.classList.remove('panning');
+}
+
+canvasContainer.addEventListener('pointerup', onPointerEnd);
+canvasContainer.addEventListener('pointercancel', onPointerEnd);
+canvasContainer.addEventListener('click', (e) => {
+  if (performance.now() < suppressClickUntil) {
+    e.preventDefault();
+    e.stopPropagation();
+  }
+}, { capture: true });
+
+// Keep the URL on the view while panning
+canvasContainer.addEventListener('scroll', scheduleUrlViewUpdate);
+
 // Re-fit page on window resize
 window.addEventListener('resize', () => {
   if (pdfDoc) {
@@ -618,28 +1186,325 @@ window.addEventListener('resize', () => {
   }
 });
 
+// Open plan sets from the file picker
+openFileBtn.addEventListener('click', () => fileInput.click());
+fileInput.addEventListener('change', () => {
+  if (fileInput.files.length > 0) openLocalFiles(fileInput.files);
+  fileInput.value = '';
+});
+
+// ...or by dropping a PDF (optionally with its index.json) anywhere on the page
+document.addEventListener('dragover', (e) => {
+  if (!e.dataTransfer.types.includes('Files')) return;
+  e.preventDefault();
+  document.body.classList.add('drag-over');
+});
+document.addEventListener('dragleave', (e) => {
+  if (e.relatedTarget === null) document.body.classList.remove('drag-over');
+});
+document.addEventListener('drop', (e) => {
+  e.preventDefault();
+  document.body.classList.remove('drag-over');
+  if (e.dataTransfer.files.length > 0) openLocalFiles(e.dataTransfer.files);
+});
+
+// Sidebar panels
+document.querySelectorAll('.sidebar-tab').forEach(tab => {
+  tab.addEventListener('click', () => openSidebarPanel(tab.dataset.panel));
+});
+searchToggleBtn.addEventListener('click', () => {
+  if (sidebar.hidden) {
+    openSidebarPanel('search-panel');
+    focusSearch();
+  } else {
+    sidebar.hidden = true;
+  }
+});
+initRenderer();
+initSearch();
+initReferences();
+initAudit();
+initLinkExport();
+initOutline();
+initMarkup();
+initMeasure();
+initCompare();
+initSheetList();
+initProject();
+initOffline();
+initHistory();
+initBookmarks();
+initExport();
+initDisplay();
+initPalette();
+initShortcuts();
+
+/**
+ * Show the sidebar with one of its panels selected
+ */
+function openSidebarPanel(panelId) {
+  sidebar.hidden = false;
+  sidebar.querySelectorAll('.sidebar-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.panel === panelId);
+  });
+  sidebar.querySelectorAll('.sidebar-panel').forEach(panel => {
+    panel.hidden = panel.id !== panelId;
+  });
+  document.dispatchEvent(new CustomEvent('sidebarpanel', { detail: { panelId, pageNum: currentPage } }));
+}
+
 // Initialize the application
 init();
 
 // --- History and URL state management ---
+//
+// The URL describes the view so it can be shared: the plan set (file/index,
+// or project/doc), the sheet ID (page for pages without a unique one), the
+// detail a link led to, and the zoom and the page point at the centre of
+// the viewer (x, y in unscaled page units), e.g.
+// ?file=/set.pdf&sheet=AC401&detail=09&zoom=2.5&x=1210&y=640.
+// Navigation pushes a history entry (goToPage, goToView, pushUrlState)
+// once the new view is on screen; panning and zooming update the current
+// one. history.js keeps the trail of entries for Back/Forward and the
+// breadcrumbs.
 
-function pushUrlState(state) {
+// Detail a link led to, kept in the URL while its page is on screen
+let urlDetail = null;
+let urlUpdateTimer = null;
+// Set while a view is being restored so half-restored views aren't recorded
+let restoringView = false;
+
+/**
+ * The view on screen, in the shape parseUrlState() returns: { page, sheet,
+ * detail, zoom, x, y } (sheet only when the sheet ID is on this page alone,
+ * detail only while a link's target is on screen)
+ */
+function currentView() {
+  // Sheet IDs survive pages being reordered in a new revision
+  const label = pageLabels.get(currentPage);
+  const unique = label && Array.from(pageLabels.values()).filter(other => other === label).length === 1;
+  return {
+    page: currentPage,
+    sheet: unique ? label : undefined,
+    detail: urlDetail && urlDetail.page === currentPage ? urlDetail.detail : undefined,
+    zoom: Math.round(scale * 100) / 100,
+    x: Math.round((canvasContainer.scrollLeft + canvasContainer.clientWidth / 2 - canvas.offsetLeft) / scale),
+    y: Math.round((canvasContainer.scrollTop + canvasContainer.clientHeight / 2 - canvas.offsetTop) / scale)
+  };
+}
+
+/**
+ * URL for the view on screen
+ */
+function viewUrl() {
+  // Keep the plan set (file/index or project) parameters; in a project,
+  // doc records which of its sets is open
+  const current = new URLSearchParams(location.search);
   const params = new URLSearchParams();
-  if (state.page) params.set('page', String(state.page));
-  const url = `${location.pathname}?${params.toString()}`;
-  history.pushState(state, '', url);
+  for (const key of ['file', 'index', 'project']) {
+    if (current.has(key)) params.set(key, current.get(key));
+  }
+  if (params.has('project') && documentKey) params.set('doc', documentKey);
+
+  const view = currentView();
+  if (view.sheet) params.set('sheet', view.sheet);
+  else params.set('page', String(view.page));
+  if (view.detail) params.set('detail', view.detail);
+  params.set('zoom', view.zoom.toFixed(2));
+  params.set('x', String(view.x));
+  params.set('y', String(view.y));
+  return `${location.pathname}?${params.toString()}`;
+}
+
+/**
+ * Record a navigation as a new history entry, once the page navigated to
+ * is on screen. state is { page, detail, ref }: the page, and the detail
+ * number and callout text when a callout led there.
+ */
+function pushUrlState(state) {
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = null;
+  const page = state.page || currentPage;
+  urlDetail = state.detail ? { page, detail: state.detail } : null;
+  const visit = recordVisit({ page, ref: state.ref });
+  history.pushState({ page, doc: documentKey, visit }, '', viewUrl());
+}
+
+/**
+ * Write a pending view update to the current history entry now, so going
+ * back returns to where the user was rather than to an earlier view
+ */
+function saveUrlView() {
+  if (urlUpdateTimer === null) return;
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = null;
+  if (pdfDoc && !restoringView) history.replaceState(history.state, '', viewUrl());
+}
+
+/**
+ * Update the current history entry once panning or zooming pauses
+ */
+function scheduleUrlViewUpdate() {
+  if (!pdfDoc || restoringView) return;
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = setTimeout(() => {
+    urlUpdateTimer = null;
+    if (pdfDoc && !restoringView) history.replaceState(history.state, '', viewUrl());
+  }, URL_UPDATE_DELAY_MS);
+}
+
+/**
+ * Open a page as a new history entry. state is passed on to pushUrlState.
+ * Nothing is recorded when another navigation overtakes this one, or for
+ * the page already on screen unless a callout led there.
+ */
+async function goToPage(pageNum, state = {}) {
+  const samePage = pageNum === currentPage && !state.ref && !state.detail;
+  saveUrlView();
+  await renderPage(pageNum);
+  if (currentPage !== pageNum || samePage) return;
+  pushUrlState({ ...state, page: pageNum });
+}
+
+/**
+ * Open a view ({ page, sheet, detail, zoom, x, y }, see currentView) as a
+ * new history entry
+ */
+async function goToView(view) {
+  saveUrlView();
+  await restoreView(view);
+  pushUrlState({ page: currentPage, detail: view.detail });
 }
 
 function parseUrlState() {
   const params = new URLSearchParams(location.search);
-  const page = params.has('page') ? parseInt(params.get('page'), 10) : undefined;
-  return { page };
+  const number = (key, parse = parseFloat) => (params.has(key) ? parse(params.get(key), 10) : undefined);
+  return {
+    file: params.get('file') || undefined,
+    project: params.get('project') || undefined,
+    doc: params.get('doc') || undefined,
+    page: number('page', parseInt),
+    sheet: params.has('sheet') ? normalizeSheetId(params.get('sheet')) : undefined,
+    detail: params.get('detail') || undefined,
+    zoom: number('zoom'),
+    x: number('x'),
+    y: number('y')
+  };
+}
+
+/**
+ * Page of a sheet ID in the open set, if it is on exactly one page
+ */
+function sheetPage(sheet) {
+  const pages = [];
+  for (const [pageNum, label] of pageLabels) {
+    if (label === sheet) pages.push(pageNum);
+  }
+  return pages.length === 1 ? pages[0] : null;
 }
 
-window.addEventListener('popstate', async (event) => {
-  const state = event.state || parseUrlState();
+/**
+ * Show the view a URL describes (see parseUrlState): the sheet, or the
+ * page if the sheet isn't found, at the given zoom and centre point, or
+ * zoomed to the detail, or fitted to the window; the detail is highlighted.
+ */
+async function restoreView(view) {
+  const doc = pdfDoc;
+  restoringView = true;
+  try {
+    const fallback = view.page >= 1 && view.page <= totalPages ? view.page : 1;
+    let pageNum = view.sheet ? sheetPage(view.sheet) : null;
+    if (!pageNum && view.sheet && sheetScan) {
+      // The sheet may not have been reached by the background scan yet
+      await fitPageToWindow(fallback);
+      await sheetScan;
+      if (pdfDoc !== doc) return;
+      pageNum = sheetPage(view.sheet);
+    }
+    pageNum = pageNum || fallback;
+
+    const region = view.detail ? await findDetailOnPage(await pdfDoc.getPage(pageNum), view.detail) : null;
+    urlDetail = view.detail ? { page: pageNum, detail: view.detail } : null;
+    const zoom = view.zoom >= ZOOM_RANGE[0] && view.zoom <= ZOOM_RANGE[1] ? view.zoom : null;
+    if (zoom) {
+      scale = zoom;
+      await renderPage(pageNum);
+      if (Number.isFinite(view.x) && Number.isFinite(view.y)) {
+        scrollRegionIntoView({ x: view.x, y: view.y, width: 0, height: 0 });
+      }
+    } else if (region) {
+      await zoomToRegion(pageNum, region);
+    } else {
+      await fitPageToWindow(pageNum);
+    }
+    if (region && pdfDoc === doc) highlightRegion(region);
+  } finally {
+    restoringView = false;
+  }
+}
+
+window.addEventListener('popstate', async () => {
+  const urlState = parseUrlState();
+  try {
+    if (urlState.project) {
+      // Back/forward across sets of a project reopens the set with its view
+      if (await openProject(urlState.project, { doc: urlState.doc })) return;
+    } else if (urlState.file && urlState.file !== pdfUrl) {
+      const params = new URLSearchParams(location.search);
+      await openPlanSet({ url: urlState.file, indexUrl: params.get('index') || defaultIndexUrl(urlState.file) });
+      return;
+    }
+  } catch (err) {
+    reportOpenError(urlState.project || urlState.file, err);
+    return;
+  }
   if (!pdfDoc) return;
-  const page = state.page && state.page >= 1 && state.page <= totalPages ? state.page : currentPage;
-  await renderPage(page);
-  clearHighlights();
+  clearTimeout(urlUpdateTimer);
+  urlUpdateTimer = null;
+  await restoreView(urlState);
 });
+
+// Shared with the feature modules (search.js, ...)
+export {
+  pdfDoc,
+  pdfName,
+  pdfUrl,
+  documentKey,
+  currentPage,
+  totalPages,
+  pageViewport,
+  pageLabels,
+  pageTitles,
+  tagIndex,
+  patterns,
+  openPlanSet,
+  openRecentSet,
+  reportOpenError,
+  defaultIndexUrl,
+  renderPage,
+  fitPageToWindow,
+  fitPageWidth,
+  zoomBy,
+  resetZoom,
+  goToPage,
+  goToView,
+  currentView,
+  pushUrlState,
+  resolveRef,
+  followRef,
+  refreshLinkStatus,
+  focusNextLink,
+  setLinkOverlaysVisible,
+  linkOverlaysVisible,
+  highlightRegion,
+  scrollRegionIntoView,
+  normalizeSheetId,
+  parseCallout,
+  parseSheetId,
+  findCallouts,
+  findDetailOnPage,
+  detectSheetLabel,
+  scanSheetIndex,
+  openSidebarPanel,
+  whenSheetIndexReady
+};
@@ -0,0 +1,442 @@
+/**
+ * markup.js - Redline markup layer
+ *
+ * Clouds, rectangles, arrows, text notes and freehand strokes drawn in an
+ * SVG layer over the canvas. Markups are kept in unscaled page units
+ * (top-left origin, as the page is displayed), so they follow zoom and
+ * scrolling. They are saved per PDF in IndexedDB and can be exported and
+ * imported as JSON; tools/annotate_pdf.py --markups burns that JSON into
+ * the PDF.
+ */
+
+import {
+  pdfDoc,
+  pdfName,
+  currentPage,
+  pageViewport,
+  pageLabels,
+  goToPage,
+  scrollRegionIntoView
+} from './main.js';
+import { getMarkups, saveMarkups } from './storage.js';
+import { downloadFile } from './download.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MARKUP_FORMAT_VERSION = 1;
+const DEFAULT_COLOR = '#e0301e';
+const DEFAULT_STROKE_WIDTH = 3;
+const DEFAULT_TEXT_SIZE = 18;
+// Target scallop diameter of a cloud, in page units (annotate_pdf.py matches)
+const CLOUD_ARC = 18;
+// Smallest drag, in page units, that counts as a shape rather than a click
+const MIN_DRAG = 3;
+const TYPE_NAMES = { cloud: 'Cloud', rect: 'Rectangle', arrow: 'Arrow', text: 'Text', pen: 'Freehand' };
+
+const canvas = document.getElementById('pdf-canvas');
+const layer = document.getElementById('markup-layer');
+const toolButtons = document.querySelectorAll('.markup-tool');
+const colorInput = document.getElementById('markup-color');
+const exportBtn = document.getElementById('markup-export');
+const importBtn = document.getElementById('markup-import');
+const importFile = document.getElementById('markup-import-file');
+const markupStatus = document.getElementById('markup-status');
+const markupList = document.getElementById('markup-list');
+
+// Markups of the open document, and the promise that loads them
+let markupDoc = null;
+let markupsLoaded = null;
+let markups = [];
+// Active tool (a TYPE_NAMES key or 'erase'), and the shape being drawn
+let tool = null;
+let draft = null;
+// Page shown in the layer and its unscaled size
+let layerPage = null;
+let pageSize = { width: 0, height: 0 };
+
+/**
+ * Load the saved markups once per document
+ */
+function ensureMarkups() {
+  if (markupDoc !== pdfDoc) {
+    const doc = pdfDoc;
+    markupDoc = doc;
+    markups = [];
+    markupsLoaded = getMarkups(doc.fingerprints[0])
+      .then((saved) => {
+        if (markupDoc === doc && saved) markups = saved.markups;
+      })
+      .catch(err => console.warn('Could not load markups:', err))
+      .then(renderList);
+  }
+  return markupsLoaded;
+}
+
+/**
+ * Save the open document's markups and refresh the list
+ */
+function persist() {
+  saveMarkups({ fingerprint: markupDoc.fingerprints[0], pdfName, markups, updatedAt: Date.now() })
+    .catch(err => console.warn('Could not save markups:', err));
+  renderList();
+}
+
+/**
+ * Short unique id (crypto.randomUUID needs a secure context)
+ */
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Size the layer to the canvas and draw the page's markups
+ */
+async function layoutLayer(pageNum) {
+  const page = await pdfDoc.getPage(pageNum);
+  if (pageNum !== currentPage) return;
+  const viewport = page.getViewport({ scale: 1 });
+  layerPage = pageNum;
+  pageSize = { width: viewport.width, height: viewport.height };
+  layer.setAttribute('viewBox', `0 0 ${viewport.width} ${viewport.height}`);
+  layer.style.left = `${canvas.offsetLeft}px`;
+  layer.style.top = `${canvas.offsetTop}px`;
+  layer.style.width = `${pageViewport.width}px`;
+  layer.style.height = `${pageViewport.height}px`;
+  layer.style.display = 'block';
+  drawMarkups();
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgEl(name, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+  return el;
+}
+
+/**
+ * Corners of the rectangle spanned by two points, clockwise from top-left
+ */
+function rectCorners([x0, y0], [x1, y1]) {
+  const left = Math.min(x0, x1);
+  const right = Math.max(x0, x1);
+  const top = Math.min(y0, y1);
+  const bottom = Math.max(y0, y1);
+  return [[left, top], [right, top], [right, bottom], [left, bottom]];
+}
+
+/**
+ * Path for a revision cloud around the rectangle spanned by two points:
+ * each side is split into scallops of about CLOUD_ARC that bulge outward
+ */
+function cloudPath(p0, p1) {
+  const corners = rectCorners(p0, p1);
+  let d = `M ${corners[0][0]} ${corners[0][1]}`;
+  for (let i = 0; i < 4; i++) {
+    const [ax, ay] = corners[i];
+    const [bx, by] = corners[(i + 1) % 4];
+    const count = Math.max(1, Math.round(Math.hypot(bx - ax, by - ay) / CLOUD_ARC));
+    const radius = Math.hypot(bx - ax, by - ay) / count / 2;
+    for (let k = 1; k <= count; k++) {
+      // Clockwise arcs along a clockwise outline bulge outward
+      d += ` A ${radius} ${radius} 0 0 1 ${ax + (bx - ax) * k / count} ${ay + (by - ay) * k / count}`;
+    }
+  }
+  return `${d} Z`;
+}
+
+/**
+ * Arrowhead triangle at p1 for an arrow from p0
+ */
+function arrowHead([x0, y0], [x1, y1], width) {
+  const length = Math.max(10, width * 4);
+  const angle = Math.atan2(y1 - y0, x1 - x0);
+  const spread = Math.PI / 7;
+  const left = [x1 - length * Math.cos(angle - spread), y1 - length * Math.sin(angle - spread)];
+  const right = [x1 - length * Math.cos(angle + spread), y1 - length * Math.sin(angle + spread)];
+  return [[x1, y1], left, right];
+}
+
+/**
+ * Build the SVG group for one markup
+ */
+function buildMarkup(m) {
+  const group = svgEl('g', {
+    class: 'markup',
+    'data-id': m.id,
+    stroke: m.color,
+    'stroke-width': m.width,
+    fill: 'none',
+    'stroke-linecap': 'round',
+    'stroke-linejoin': 'round'
+  });
+  const [p0, p1] = m.points;
+  switch (m.type) {
+    case 'rect': {
+      const [[left, top], , [right, bottom]] = rectCorners(p0, p1);
+      group.appendChild(svgEl('rect', { x: left, y: top, width: right - left, height: bottom - top }));
+      break;
+    }
+    case 'cloud':
+      group.appendChild(svgEl('path', { d: cloudPath(p0, p1) }));
+      break;
+    case 'arrow':
+      group.appendChild(svgEl('line', { x1: p0[0], y1: p0[1], x2: p1[0], y2: p1[1] }));
+      group.appendChild(svgEl('polygon', { points: arrowHead(p0, p1, m.width).join(' '), fill: m.color }));
+      break;
+    case 'pen':
+      group.appendChild(svgEl('polyline', { points: m.points.join(' ') }));
+      break;
+    case 'text': {
+      const text = svgEl('text', { x: p0[0], y: p0[1], fill: m.color, stroke: 'none', 'font-size': m.size });
+      text.textContent = m.text;
+      group.appendChild(text);
+      break;
+    }
+  }
+  return group;
+}
+
+/**
+ * Redraw the markups of the page in the layer, plus the shape being drawn
+ */
+function drawMarkups() {
+  layer.innerHTML = '';
+  for (const m of markups) {
+    if (m.page === layerPage) layer.appendChild(buildMarkup(m));
+  }
+  if (draft) layer.appendChild(buildMarkup(draft));
+}
+
+/**
+ * Bounding box of a markup (unscaled page units)
+ */
+function markupBounds(m) {
+  const xs = m.points.map(p => p[0]);
+  const ys = m.points.map(p => p[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y };
+}
+
+/**
+ * Pointer position in unscaled page units, rounded to 0.1
+ */
+function pointerToPage(e) {
+  const rect = layer.getBoundingClientRect();
+  const round = v => Math.round(v * 10) / 10;
+  return [
+    round((e.clientX - rect.left) / rect.width * pageSize.width),
+    round((e.clientY - rect.top) / rect.height * pageSize.height)
+  ];
+}
+
+/**
+ * Add a finished markup to the page on screen
+ */
+function addMarkup(m) {
+  markups.push({ ...m, id: m.id || newId(), page: layerPage, created: new Date().toISOString() });
+  persist();
+  drawMarkups();
+}
+
+/**
+ * Delete a markup by id
+ */
+function removeMarkup(id) {
+  markups = markups.filter(m => m.id !== id);
+  persist();
+  drawMarkups();
+}
+
+/**
+ * Select a drawing tool; selecting the active tool again (or null) turns
+ * drawing off so links on the sheet are clickable again
+ */
+function setTool(name) {
+  tool = name && name !== tool ? name : null;
+  draft = null;
+  toolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+  layer.classList.toggle('drawing', Boolean(tool) && tool !== 'erase');
+  layer.classList.toggle('erasing', tool === 'erase');
+}
+
+function onPointerDown(e) {
+  if (!tool || tool === 'erase' || e.button !== 0 || !layerPage) return;
+  e.preventDefault();
+  const point = pointerToPage(e);
+  const style = { color: colorInput.value || DEFAULT_COLOR, width: DEFAULT_STROKE_WIDTH };
+  if (tool === 'text') {
+    const text = window.prompt('Note text');
+    if (text && text.trim()) {
+      addMarkup({ type: 'text', points: [point], text: text.trim(), size: DEFAULT_TEXT_SIZE, ...style });
+    }
+    return;
+  }
+  draft = { type: tool, points: tool === 'pen' ? [point] : [point, point], ...style };
+  layer.setPointerCapture(e.pointerId);
+  drawMarkups();
+}
+
+function onPointerMove(e) {
+  if (!draft) return;
+  const point = pointerToPage(e);
+  if (draft.type === 'pen') {
+    const [lastX, lastY] = draft.points[draft.points.length - 1];
+    if (Math.hypot(point[0] - lastX, point[1] - lastY) < 1) return;
+    draft.points.push(point);
+  } else {
+    draft.points[1] = point;
+  }
+  drawMarkups();
+}
+
+function onPointerUp() {
+  if (!draft) return;
+  const done = draft;
+  draft = null;
+  const [p0, p1] = done.points;
+  const bigEnough = done.type === 'pen'
+    ? done.points.length > 1
+    : Math.hypot(p1[0] - p0[0], p1[1] - p0[1]) >= MIN_DRAG;
+  if (bigEnough) addMarkup(done);
+  else drawMarkups();
+}
+
+/**
+ * List every markup in the set by page; click to show, × to delete
+ */
+function renderList() {
+  markupList.innerHTML = '';
+  if (markups.length === 0) {
+    markupList.textContent = 'No markups yet. Pick a tool and draw on the sheet.';
+    return;
+  }
+  const sorted = markups.slice().sort((a, b) => a.page - b.page || (a.created || '').localeCompare(b.created || ''));
+  for (const m of sorted) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+
+    const item = document.createElement('button');
+    item.className = 'panel-item';
+    const label = pageLabels.get(m.page);
+    item.textContent = `${label || `Page ${m.page}`} - ${TYPE_NAMES[m.type]}${m.type === 'text' ? `: ${m.text}` : ''}`;
+    item.style.borderLeftColor = m.color;
+    item.addEventListener('click', async () => {
+      await goToPage(m.page);
+      scrollRegionIntoView(markupBounds(m), 0.5);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'panel-remove';
+    remove.textContent = '×';
+    remove.title = 'Delete markup';
+    remove.addEventListener('click', () => removeMarkup(m.id));
+
+    row.append(item, remove);
+    markupList.appendChild(row);
+  }
+}
+
+/**
+ * Check an imported markup has a known type, a page in this set and
+ * numeric points, and fill in defaults
+ */
+function normalizeImported(m) {
+  if (!m || !TYPE_NAMES[m.type]) return null;
+  if (!Number.isInteger(m.page) || m.page < 1 || m.page > pdfDoc.numPages) return null;
+  if (!Array.isArray(m.points) || m.points.length === 0) return null;
+  if (!m.points.every(p => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))) return null;
+  if (m.type === 'text' && typeof m.text !== 'string') return null;
+  if (m.type !== 'text' && m.type !== 'pen' && m.points.length < 2) return null;
+  return {
+    ...m,
+    id: typeof m.id === 'string' && m.id ? m.id : newId(),
+    color: /^#[0-9a-f]{6}$/i.test(m.color) ? m.color : DEFAULT_COLOR,
+    width: Number.isFinite(m.width) ? m.width : DEFAULT_STROKE_WIDTH,
+    ...(m.type === 'text' ? { size: Number.isFinite(m.size) ? m.size : DEFAULT_TEXT_SIZE } : {})
+  };
+}
+
+/**
+ * Download the markups as JSON
+ */
+function exportMarkups() {
+  if (!markupDoc) return;
+  const data = {
+    version: MARKUP_FORMAT_VERSION,
+    pdf_file: pdfName,
+    fingerprint: markupDoc.fingerprints[0],
+    exported_at: new Date().toISOString(),
+    markups
+  };
+  const stem = (pdfName || 'plan-set').replace(/\.pdf$/i, '');
+  downloadFile(`${stem}-markups.json`, JSON.stringify(data, null, 2), 'application/json');
+}
+
+/**
+ * Merge markups from an exported JSON file; markups with the same id are
+ * replaced
+ */
+async function importMarkups(file) {
+  if (!pdfDoc) return;
+  await ensureMarkups();
+  let data = null;
+  try {
+    data = JSON.parse(await file.text());
+  } catch (err) {
+    console.warn('Could not read markup file:', err);
+  }
+  if (!data || !Array.isArray(data.markups)) {
+    markupStatus.textContent = `${file.name} is not a markup file.`;
+    return;
+  }
+  if (data.fingerprint && data.fingerprint !== pdfDoc.fingerprints[0]
+    && !window.confirm(`These markups were made on ${data.pdf_file || 'a different PDF'}. Import them anyway?`)) {
+    return;
+  }
+
+  const imported = data.markups.map(normalizeImported).filter(Boolean);
+  const byId = new Map(markups.map(m => [m.id, m]));
+  imported.forEach(m => byId.set(m.id, m));
+  markups = Array.from(byId.values());
+  persist();
+  drawMarkups();
+  const skipped = data.markups.length - imported.length;
+  markupStatus.textContent = `Imported ${imported.length} markup${imported.length === 1 ? '' : 's'}`
+    + (skipped ? ` (${skipped} skipped)` : '');
+}
+
+/**
+ * Wire up the markup panel and layer
+ */
+export function initMarkup() {
+  toolButtons.forEach(btn => btn.addEventListener('click', () => setTool(btn.dataset.tool)));
+  layer.addEventListener('pointerdown', onPointerDown);
+  layer.addEventListener('pointermove', onPointerMove);
+  layer.addEventListener('pointerup', onPointerUp);
+  layer.addEventListener('pointercancel', onPointerUp);
+  layer.addEventListener('click', (e) => {
+    const target = e.target.closest && e.target.closest('.markup');
+    if (tool === 'erase' && target) removeMarkup(target.dataset.id);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape' && tool) setTool(null);
+  });
+
+  exportBtn.addEventListener('click', exportMarkups);
+  importBtn.addEventListener('click', () => importFile.click());
+  importFile.addEventListener('change', () => {
+    if (importFile.files[0]) importMarkups(importFile.files[0]);
+    importFile.value = '';
+  });
+
+  document.addEventListener('pagerendered', async (e) => {
+    await ensureMarkups();
+    await layoutLayer(e.detail.pageNum);
+  });
+  // Drawing only makes sense while the markup panel is open
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId !== 'markup-panel') setTool(null);
+  });
+}
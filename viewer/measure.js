@@ -0,0 +1,483 @@
+/**
+ * measure.js - Calibrated distance, polyline, area and count takeoffs
+ *
+ * Measurements are drawn in an SVG layer over the canvas and kept in
+ * unscaled page units, so they survive zooming. Each sheet has its own
+ * calibration, taken from a scale note found in its text (1/4" = 1'-0")
+ * or from a known dimension picked with the Calibrate tool, because
+ * details on one sheet are often drawn at different scales. Each
+ * measurement keeps the calibration it was taken with, so picking another
+ * scale for the next detail leaves earlier ones as they were. Calibrations
+ * and measurements are saved per PDF in IndexedDB and export to CSV.
+ */
+
+import {
+  pdfDoc,
+  pdfName,
+  currentPage,
+  pageViewport,
+  pageLabels,
+  goToPage,
+  scrollRegionIntoView
+} from './main.js';
+import { getPageText } from './search.js';
+import { getMeasurements, saveMeasurements } from './storage.js';
+import { downloadFile, toCsv } from './download.js';
+import {
+  findScaleNotes,
+  distinctScales,
+  parseLength,
+  formatLength,
+  formatArea,
+  polylineLength,
+  polygonArea
+} from './scale.js';
+
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const MEASURE_COLOR = '#0a84ff';
+const TYPE_NAMES = { distance: 'Distance', polyline: 'Polyline', area: 'Area', count: 'Count' };
+// Points needed before a measurement of each type can be finished
+const MIN_POINTS = { distance: 2, polyline: 2, area: 3, count: 1, calibrate: 2 };
+
+const canvas = document.getElementById('pdf-canvas');
+const layer = document.getElementById('measure-layer');
+const toolButtons = document.querySelectorAll('.measure-tool');
+const scaleSelect = document.getElementById('measure-scale');
+const measureStatus = document.getElementById('measure-status');
+const exportCsvBtn = document.getElementById('measure-export-csv');
+const measureList = document.getElementById('measure-list');
+
+// Calibrations for new measurements (page -> { unitsPerPoint, unit,
+// label, source }, or null once the user clears it) and measurements
+// ([{ id, page, type, points, calibration }]) of the open document
+let measureDoc = null;
+let measuresLoaded = null;
+let calibrations = {};
+let measurements = [];
+// Scales detected on the page in the layer (distinctScales() result)
+let detectedScales = [];
+// Active tool, the measurement being picked and the pointer position
+let tool = null;
+let draft = null;
+let cursor = null;
+// Page shown in the layer, its unscaled size and the zoom it is drawn at
+let layerPage = null;
+let pageSize = { width: 0, height: 0 };
+let zoom = 1;
+
+/**
+ * Load saved calibrations and measurements once per document
+ */
+function ensureMeasurements() {
+  if (measureDoc !== pdfDoc) {
+    const doc = pdfDoc;
+    measureDoc = doc;
+    calibrations = {};
+    measurements = [];
+    measuresLoaded = getMeasurements(doc.fingerprints[0])
+      .then((saved) => {
+        if (measureDoc === doc && saved) {
+          calibrations = saved.calibrations;
+          measurements = saved.measurements;
+        }
+      })
+      .catch(err => console.warn('Could not load measurements:', err))
+      .then(renderList);
+  }
+  return measuresLoaded;
+}
+
+/**
+ * Save calibrations and measurements and refresh the list
+ */
+function persist() {
+  saveMeasurements({ fingerprint: measureDoc.fingerprints[0], calibrations, measurements, updatedAt: Date.now() })
+    .catch(err => console.warn('Could not save measurements:', err));
+  renderList();
+}
+
+/**
+ * Calibration a measurement was taken with. Measurements saved before
+ * they kept their own fall back to the sheet's.
+ */
+function measurementCalibration(m) {
+  return 'calibration' in m ? m.calibration : calibrations[m.page];
+}
+
+/**
+ * Short unique id (crypto.randomUUID needs a secure context)
+ */
+function newId() {
+  return Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+}
+
+/**
+ * Value of a measurement in the units of its calibration, or in page
+ * units (pt) when it was taken without one
+ */
+function measureValue(m, calibration) {
+  if (m.type === 'count') {
+    return { value: m.points.length, unit: 'ea', text: `${m.points.length} ea` };
+  }
+  if (m.type === 'area') {
+    const area = polygonArea(m.points);
+    if (!calibration) return { value: area, unit: 'sq pt', text: `${area.toFixed(0)} sq pt` };
+    const value = area * calibration.unitsPerPoint ** 2;
+    return { value, unit: calibration.unit === 'm' ? 'm²' : 'sq ft', text: formatArea(value, calibration.unit) };
+  }
+  const length = polylineLength(m.points);
+  if (!calibration) return { value: length, unit: 'pt', text: `${length.toFixed(1)} pt` };
+  const value = length * calibration.unitsPerPoint;
+  return { value, unit: calibration.unit, text: formatLength(value, calibration.unit) };
+}
+
+/**
+ * Size the layer to the canvas, pick up the sheet's scale and redraw
+ */
+async function layoutLayer(pageNum) {
+  const page = await pdfDoc.getPage(pageNum);
+  const pageText = await getPageText(pageNum);
+  if (pageNum !== currentPage) return;
+
+  const viewport = page.getViewport({ scale: 1 });
+  if (layerPage !== pageNum) {
+    draft = null;
+    cursor = null;
+  }
+  layerPage = pageNum;
+  pageSize = { width: viewport.width, height: viewport.height };
+  zoom = pageViewport.scale;
+  layer.setAttribute('viewBox', `0 0 ${viewport.width} ${viewport.height}`);
+  layer.style.left = `${canvas.offsetLeft}px`;
+  layer.style.top = `${canvas.offsetTop}px`;
+  layer.style.width = `${pageViewport.width}px`;
+  layer.style.height = `${pageViewport.height}px`;
+  layer.style.display = 'block';
+
+  detectedScales = distinctScales(findScaleNotes(pageText.text));
+  // Default a sheet seen for the first time to its most common scale note;
+  // it is saved with the first measurement or scale change
+  if (!(pageNum in calibrations) && detectedScales.length > 0) {
+    const { label, unitsPerPoint, unit } = detectedScales[0];
+    calibrations[pageNum] = { label, unitsPerPoint, unit, source: 'note' };
+  }
+  renderScale();
+  drawLayer();
+}
+
+/**
+ * Fill the scale picker for the sheet on screen
+ */
+function renderScale() {
+  const calibration = calibrations[layerPage];
+  scaleSelect.innerHTML = '';
+  const addOption = (value, text) => {
+    const option = document.createElement('option');
+    option.value = value;
+    option.textContent = text;
+    scaleSelect.appendChild(option);
+  };
+  addOption('', 'Not calibrated');
+  detectedScales.forEach((scale, i) => addOption(`note:${i}`, `${scale.label} (scale note)`));
+  if (calibration && calibration.source === 'manual') addOption('manual', calibration.label);
+
+  if (!calibration) {
+    scaleSelect.value = '';
+  } else if (calibration.source === 'manual') {
+    scaleSelect.value = 'manual';
+  } else {
+    const i = detectedScales.findIndex(scale => scale.label === calibration.label);
+    if (i < 0) addOption('saved', calibration.label);
+    scaleSelect.value = i < 0 ? 'saved' : `note:${i}`;
+  }
+
+  if (!calibration) {
+    measureStatus.textContent = detectedScales.length > 0
+      ? 'Pick a scale note, or use Calibrate on a known dimension.'
+      : 'No scale found on this sheet. Use Calibrate on a known dimension.';
+  } else if (detectedScales.length > 1) {
+    measureStatus.textContent = 'This sheet has details at several scales; pick the one you are measuring.';
+  } else {
+    measureStatus.textContent = '';
+  }
+}
+
+/**
+ * Create an SVG element with attributes
+ */
+function svgEl(name, attrs = {}) {
+  const el = document.createElementNS(SVG_NS, name);
+  for (const [key, value] of Object.entries(attrs)) el.setAttribute(key, value);
+  return el;
+}
+
+/**
+ * Label text in the layer, sized for the current zoom
+ */
+function label(x, y, text) {
+  const el = svgEl('text', { x, y, class: 'measure-label', 'font-size': 12 / zoom, 'stroke-width': 3 / zoom });
+  el.textContent = text;
+  return el;
+}
+
+/**
+ * Build the SVG group for a measurement (or the draft being picked)
+ */
+function buildMeasurement(m, calibration) {
+  const group = svgEl('g', { class: 'measurement', stroke: MEASURE_COLOR, fill: 'none' });
+  const points = m.points;
+  const lineAttrs = { 'stroke-width': 2, 'vector-effect': 'non-scaling-stroke' };
+  if (m.type === 'count') {
+    points.forEach(([x, y], i) => {
+      group.appendChild(svgEl('circle', { cx: x, cy: y, r: 5 / zoom, fill: MEASURE_COLOR, 'fill-opacity': 0.4, ...lineAttrs }));
+      group.appendChild(label(x + 7 / zoom, y - 7 / zoom, String(i + 1)));
+    });
+    return group;
+  }
+  const shape = m.type === 'area' ? 'polygon' : 'polyline';
+  group.appendChild(svgEl(shape, {
+    points: points.join(' '),
+    ...(m.type === 'area' ? { fill: MEASURE_COLOR, 'fill-opacity': 0.15 } : {}),
+    ...(m.type === 'calibrate' ? { 'stroke-dasharray': '6 4' } : {}),
+    ...lineAttrs
+  }));
+  if (m.type !== 'calibrate' && points.length >= MIN_POINTS[m.type]) {
+    const [x, y] = m.type === 'area'
+      ? [points.reduce((s, p) => s + p[0], 0) / points.length, points.reduce((s, p) => s + p[1], 0) / points.length]
+      : points[points.length - 1];
+    group.appendChild(label(x + 6 / zoom, y - 6 / zoom, measureValue(m, calibration).text));
+  }
+  return group;
+}
+
+/**
+ * Redraw the sheet's measurements and the draft (with a rubber band to
+ * the pointer)
+ */
+function drawLayer() {
+  layer.innerHTML = '';
+  for (const m of measurements) {
+    if (m.page === layerPage) layer.appendChild(buildMeasurement(m, measurementCalibration(m)));
+  }
+  if (draft) {
+    const points = cursor && draft.type !== 'count' ? [...draft.points, cursor] : draft.points;
+    layer.appendChild(buildMeasurement({ ...draft, points }, calibrations[layerPage]));
+  }
+}
+
+/**
+ * Pointer position in unscaled page units, rounded to 0.1
+ */
+function pointerToPage(e) {
+  const rect = layer.getBoundingClientRect();
+  const round = v => Math.round(v * 10) / 10;
+  return [
+    round((e.clientX - rect.left) / rect.width * pageSize.width),
+    round((e.clientY - rect.top) / rect.height * pageSize.height)
+  ];
+}
+
+/**
+ * Finish the draft: save it as a measurement, or as the sheet's
+ * calibration for the Calibrate tool. Too few points discards it.
+ */
+function finishDraft() {
+  const done = draft;
+  draft = null;
+  cursor = null;
+  if (done && done.points.length >= MIN_POINTS[done.type]) {
+    if (done.type === 'calibrate') {
+      calibrateFrom(done.points);
+    } else {
+      measurements.push({
+        id: newId(),
+        page: layerPage,
+        type: done.type,
+        points: done.points,
+        calibration: calibrations[layerPage] || null,
+        created: new Date().toISOString()
+      });
+      persist();
+    }
+  }
+  drawLayer();
+}
+
+/**
+ * Calibrate the sheet (for new measurements) from two points and the real length between them
+ */
+function calibrateFrom(points) {
+  const answer = window.prompt('Real length between the two points (e.g. 12\'-6" or 3.5 m)');
+  if (!answer) return;
+  const length = parseLength(answer);
+  const pageLength = polylineLength(points);
+  if (!length || !length.value || !pageLength) {
+    measureStatus.textContent = `Could not read "${answer}" as a length.`;
+    return;
+  }
+  calibrations[layerPage] = {
+    label: `Calibrated: ${formatLength(length.value, length.unit)} known dimension`,
+    unitsPerPoint: length.value / pageLength,
+    unit: length.unit,
+    source: 'manual'
+  };
+  persist();
+  renderScale();
+}
+
+/**
+ * Select a tool (selecting it again turns it off); any draft is finished
+ */
+function setTool(name) {
+  if (draft) finishDraft();
+  tool = name && name !== tool ? name : null;
+  toolButtons.forEach(btn => btn.classList.toggle('active', btn.dataset.tool === tool));
+  layer.classList.toggle('drawing', Boolean(tool));
+}
+
+function onPointerDown(e) {
+  if (!tool || e.button !== 0 || !layerPage) return;
+  e.preventDefault();
+  const point = pointerToPage(e);
+  if (!draft) draft = { type: tool, points: [] };
+  const last = draft.points[draft.points.length - 1];
+  // A double-click lands twice on the same spot
+  if (last && Math.hypot(point[0] - last[0], point[1] - last[1]) < 0.5) return;
+  draft.points.push(point);
+  if ((tool === 'distance' || tool === 'calibrate') && draft.points.length === 2) {
+    finishDraft();
+  } else {
+    drawLayer();
+  }
+}
+
+function onPointerMove(e) {
+  if (!draft) return;
+  cursor = pointerToPage(e);
+  drawLayer();
+}
+
+/**
+ * Delete a measurement by id
+ */
+function removeMeasurement(id) {
+  measurements = measurements.filter(m => m.id !== id);
+  persist();
+  drawLayer();
+}
+
+/**
+ * List every measurement in the set by page with its value
+ */
+function renderList() {
+  measureList.innerHTML = '';
+  exportCsvBtn.disabled = measurements.length === 0;
+  if (measurements.length === 0) {
+    measureList.textContent = 'No measurements yet.';
+    return;
+  }
+  const sorted = measurements.slice().sort((a, b) => a.page - b.page || (a.created || '').localeCompare(b.created || ''));
+  for (const m of sorted) {
+    const row = document.createElement('div');
+    row.className = 'panel-row';
+
+    const item = document.createElement('button');
+    item.className = 'panel-item';
+    const sheet = pageLabels.get(m.page) || `Page ${m.page}`;
+    item.textContent = `${sheet} - ${TYPE_NAMES[m.type]}: ${measureValue(m, measurementCalibration(m)).text}`;
+    item.addEventListener('click', async () => {
+      await goToPage(m.page);
+      const xs = m.points.map(p => p[0]);
+      const ys = m.points.map(p => p[1]);
+      const x = Math.min(...xs);
+      const y = Math.min(...ys);
+      scrollRegionIntoView({ x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }, 0.5);
+    });
+
+    const remove = document.createElement('button');
+    remove.className = 'panel-remove';
+    remove.textContent = '×';
+    remove.title = 'Delete measurement';
+    remove.addEventListener('click', () => removeMeasurement(m.id));
+
+    row.append(item, remove);
+    measureList.appendChild(row);
+  }
+}
+
+/**
+ * Download all measurements as CSV, one row per measurement
+ */
+function exportCsv() {
+  const rows = measurements
+    .slice()
+    .sort((a, b) => a.page - b.page)
+    .map((m) => {
+      const calibration = measurementCalibration(m);
+      const { value, unit, text } = measureValue(m, calibration);
+      return [
+        pageLabels.get(m.page) || '',
+        m.page,
+        m.type,
+        Math.round(value * 1000) / 1000,
+        unit,
+        text,
+        calibration ? calibration.label : '',
+        m.points.length
+      ];
+    });
+  const stem = (pdfName || 'plan-set').replace(/\.pdf$/i, '');
+  downloadFile(`${stem}-measurements.csv`,
+    toCsv(['sheet', 'page', 'type', 'value', 'unit', 'display', 'scale', 'points'], rows), 'text/csv');
+}
+
+/**
+ * Wire up the measure panel and layer
+ */
+export function initMeasure() {
+  toolButtons.forEach(btn => btn.addEventListener('click', () => setTool(btn.dataset.tool)));
+  layer.addEventListener('pointerdown', onPointerDown);
+  layer.addEventListener('pointermove', onPointerMove);
+  layer.addEventListener('dblclick', () => {
+    if (draft) finishDraft();
+  });
+  document.addEventListener('keydown', (e) => {
+    if (!tool || ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)) return;
+    if (e.key === 'Enter') {
+      finishDraft();
+    } else if (e.key === 'Escape') {
+      // Drop the measurement being picked, or put the tool down
+      if (draft) {
+        draft = null;
+        cursor = null;
+        drawLayer();
+      } else {
+        setTool(null);
+      }
+    }
+  });
+
+  scaleSelect.addEventListener('change', () => {
+    const value = scaleSelect.value;
+    if (value.startsWith('note:')) {
+      const { label, unitsPerPoint, unit } = detectedScales[Number(value.slice(5))];
+      calibrations[layerPage] = { label, unitsPerPoint, unit, source: 'note' };
+    } else if (value === '') {
+      // Kept as null so the scale note isn't applied again
+      calibrations[layerPage] = null;
+    }
+    persist();
+    renderScale();
+    drawLayer();
+  });
+  exportCsvBtn.addEventListener('click', exportCsv);
+
+  document.addEventListener('pagerendered', async (e) => {
+    await ensureMeasurements();
+    await layoutLayer(e.detail.pageNum);
+  });
+  // Measuring only makes sense while the measure panel is open
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId !== 'measure-panel') setTool(null);
+  });
+}
@@ -0,0 +1,276 @@
+/**
+ * offline.js - Offline use on the jobsite
+ *
+ * Registers the service worker (sw.js) that makes the viewer work without
+ * a connection, and keeps every served plan set that is opened (PDF, index
+ * and project manifest) in Cache Storage so sw.js can serve it offline.
+ * Sheet indexes are already kept in IndexedDB, and local files in the
+ * recent list. The Offline panel shows what is stored and how much space it
+ * takes, and removes sets that are no longer needed.
+ */
+
+import { pdfUrl, openPlanSet, openRecentSet, reportOpenError } from './main.js';
+import { openProject } from './project.js';
+import {
+  listOfflineSets,
+  getOfflineSet,
+  saveOfflineSet,
+  removeOfflineSet,
+  listRecentSets,
+  removeRecentSet,
+  removeSheetIndex
+} from './storage.js';
+
+// Shared with sw.js
+const SETS_CACHE = 'plan-navigator-sets';
+// "Remove old sets" removes sets not opened for this long
+const EVICT_AFTER_DAYS = 30;
+
+const offlinePanel = document.getElementById('offline-panel');
+const offlineStatus = document.getElementById('offline-status');
+const offlineList = document.getElementById('offline-list');
+const evictOldBtn = document.getElementById('offline-evict-old');
+
+// Incremented per render so an older, slower render doesn't add its rows
+let renderToken = 0;
+
+/**
+ * Whether this browser (and origin: service workers need https or
+ * localhost) can keep sets offline
+ */
+function offlineSupported() {
+  return 'serviceWorker' in navigator && 'caches' in window;
+}
+
+/**
+ * Cache a file, downloading it again only when the server has a newer one.
+ * Returns its size in bytes, or null when it can't be fetched.
+ */
+async function cacheFile(cache, url) {
+  const cached = await cache.match(url);
+  if (cached && !await hasChanged(url, cached)) return responseSize(cached);
+  const response = await fetch(url, { cache: 'no-cache' });
+  if (!response.ok) return null;
+  await cache.put(url, response.clone());
+  return responseSize(response);
+}
+
+/**
+ * Whether the server's copy of a file differs from a cached response.
+ * Offline, or without validators to compare, the cached copy stands.
+ */
+async function hasChanged(url, cached) {
+  try {
+    const head = await fetch(url, { method: 'HEAD', cache: 'no-cache' });
+    if (!head.ok) return false;
+    for (const header of ['ETag', 'Last-Modified']) {
+      const value = head.headers.get(header);
+      if (value && cached.headers.get(header)) return value !== cached.headers.get(header);
+    }
+    return false;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Size of a response body in bytes
+ */
+async function responseSize(response) {
+  const length = Number(response.headers.get('Content-Length'));
+  return length > 0 ? length : (await response.clone().blob()).size;
+}
+
+/**
+ * Keep a served set or project manifest for offline use.
+ * entry is { id, kind: 'set' | 'project', name, files, indexUrl?,
+ * fingerprint? } where id is the PDF or manifest URL and files every URL
+ * to cache (the index only when there is one).
+ */
+export async function keepOffline(entry) {
+  if (!offlineSupported()) return;
+  const cache = await caches.open(SETS_CACHE);
+  let size = 0;
+  const files = [];
+  for (const url of entry.files) {
+    const fileSize = await cacheFile(cache, url);
+    if (fileSize === null) continue;
+    files.push(url);
+    size += fileSize;
+  }
+  if (files.length === 0) return;
+  const existing = await getOfflineSet(entry.id);
+  const now = Date.now();
+  await saveOfflineSet({ ...entry, files, size, cachedAt: existing ? existing.cachedAt : now, lastOpened: now });
+  // Ask the browser not to clear the cache when space runs low
+  if (navigator.storage && navigator.storage.persist) {
+    await navigator.storage.persist().catch(() => false);
+  }
+  if (!offlinePanel.hidden && !offlinePanel.parentElement.hidden) renderStorage();
+}
+
+/**
+ * Remove a set kept offline, with its sheet index. Markups and
+ * measurements are the user's work and stay.
+ */
+async function evictSet(entry) {
+  const cache = await caches.open(SETS_CACHE);
+  for (const url of entry.files) {
+    await cache.delete(url);
+  }
+  if (entry.fingerprint) await removeSheetIndex(entry.fingerprint);
+  await removeOfflineSet(entry.id);
+}
+
+/**
+ * Remove sets and local files not opened for EVICT_AFTER_DAYS, except the
+ * open set
+ */
+async function evictOldSets() {
+  const cutoff = Date.now() - EVICT_AFTER_DAYS * 24 * 60 * 60 * 1000;
+  try {
+    for (const entry of await listOfflineSets()) {
+      if (entry.lastOpened < cutoff && entry.id !== pdfUrl) await evictSet(entry);
+    }
+    for (const entry of await listRecentSets()) {
+      if (entry.blob && entry.lastOpened < cutoff) await removeRecentSet(entry.id);
+    }
+  } catch (err) {
+    console.warn('Could not remove old sets:', err);
+  }
+  renderStorage();
+}
+
+/**
+ * Format a byte count ("12.4 MB")
+ */
+function formatSize(bytes) {
+  if (bytes < 1024) return `${bytes} B`;
+  const units = ['KB', 'MB', 'GB'];
+  let value = bytes / 1024;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(value < 10 ? 1 : 0)} ${units[unit]}`;
+}
+
+/**
+ * One stored item: open it by clicking, remove it with ×
+ */
+function storageRow(name, size, lastOpened, onOpen, onRemove) {
+  const row = document.createElement('div');
+  row.className = 'panel-row';
+
+  const item = document.createElement('button');
+  item.className = 'panel-item';
+  item.textContent = `${name} · ${formatSize(size)}`;
+  item.title = `Opened ${new Date(lastOpened).toLocaleString()}`;
+  item.addEventListener('click', onOpen);
+
+  const remove = document.createElement('button');
+  remove.className = 'panel-remove';
+  remove.textContent = '×';
+  remove.title = 'Remove from this device';
+  remove.addEventListener('click', async () => {
+    try {
+      await onRemove();
+    } catch (err) {
+      console.warn('Could not remove', name, err);
+    }
+    renderStorage();
+  });
+
+  row.append(item, remove);
+  return row;
+}
+
+/**
+ * Show storage use, the sets kept offline and the local files
+ */
+async function renderStorage() {
+  const token = ++renderToken;
+  if (!offlineSupported()) {
+    offlineList.innerHTML = '';
+    offlineStatus.textContent = 'This browser cannot keep plan sets offline (the viewer must be served over https or from localhost).';
+    evictOldBtn.disabled = true;
+    return;
+  }
+
+  let sets = [];
+  let locals = [];
+  try {
+    sets = await listOfflineSets();
+    locals = (await listRecentSets()).filter(entry => entry.blob);
+  } catch (err) {
+    console.warn('Could not read stored sets:', err);
+  }
+
+  let status = `${sets.length} plan set${sets.length === 1 ? '' : 's'} available offline.`;
+  try {
+    if (navigator.storage && navigator.storage.estimate) {
+      const { usage, quota } = await navigator.storage.estimate();
+      status += ` Using ${formatSize(usage)} of ${formatSize(quota)}.`;
+    }
+    if (navigator.storage && navigator.storage.persisted && await navigator.storage.persisted()) {
+      status += ' Protected from automatic cleanup.';
+    }
+  } catch (err) {
+    console.warn('Could not read storage use:', err);
+  }
+  if (token !== renderToken) return;
+
+  offlineList.innerHTML = '';
+  offlineStatus.textContent = status;
+  evictOldBtn.disabled = sets.length === 0 && locals.length === 0;
+
+  if (sets.length > 0) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Plan sets';
+    offlineList.appendChild(heading);
+    for (const entry of sets) {
+      offlineList.appendChild(storageRow(entry.name, entry.size, entry.lastOpened, () => openOfflineSet(entry), () => evictSet(entry)));
+    }
+  }
+  if (locals.length > 0) {
+    const heading = document.createElement('h4');
+    heading.textContent = 'Local files';
+    offlineList.appendChild(heading);
+    for (const entry of locals) {
+      offlineList.appendChild(storageRow(entry.name, entry.blob.size, entry.lastOpened, () => openRecentSet(entry.id), () => removeRecentSet(entry.id)));
+    }
+  }
+}
+
+/**
+ * Open a set or project kept offline
+ */
+async function openOfflineSet(entry) {
+  try {
+    if (entry.kind === 'project') {
+      history.pushState(null, '', `${location.pathname}?project=${encodeURIComponent(entry.id)}`);
+      await openProject(entry.id);
+    } else {
+      history.pushState(null, '', `${location.pathname}?file=${encodeURIComponent(entry.id)}`);
+      await openPlanSet({ url: entry.id, indexUrl: entry.indexUrl });
+    }
+  } catch (err) {
+    reportOpenError(entry.name, err);
+  }
+}
+
+/**
+ * Register the service worker and wire up the Offline panel
+ */
+export function initOffline() {
+  if (offlineSupported()) {
+    navigator.serviceWorker.register('sw.js')
+      .catch(err => console.warn('Could not register service worker:', err));
+  }
+  evictOldBtn.title = `Remove sets not opened in the last ${EVICT_AFTER_DAYS} days`;
+  evictOldBtn.addEventListener('click', evictOldSets);
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId === 'offline-panel') renderStorage();
+  });
+}
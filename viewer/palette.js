@@ -0,0 +1,233 @@
+/**
+ * palette.js - Go-to palette (Ctrl+K or g)
+ *
+ * One box for getting anywhere from the keyboard: type a sheet ID
+ * ("AC401"), a callout ("09/AC401"), a page number or words of a sheet
+ * title, or the name of a command (see shortcuts.js). The arrow keys pick
+ * a result and Enter opens it.
+ */
+
+import {
+  pdfDoc,
+  currentPage,
+  totalPages,
+  pageLabels,
+  pageTitles,
+  patterns,
+  goToPage,
+  followRef,
+  resolveRef,
+  pushUrlState,
+  reportOpenError
+} from './main.js';
+import { findSheetInProject, openProjectDocument } from './project.js';
+import { findGoToTargets, fuzzyScore } from './goto.js';
+import { availableCommands } from './shortcuts.js';
+
+const MAX_TARGETS = 8;
+
+const palette = document.getElementById('palette');
+const paletteInput = document.getElementById('palette-input');
+const paletteResults = document.getElementById('palette-results');
+const openBtn = document.getElementById('palette-open');
+
+// Results on show: [{ label, detail, run, opens }] (opens names what run
+// opens, for errors), and the selected one
+let results = [];
+let selected = 0;
+// Element focused before the palette opened
+let returnFocus = null;
+
+/**
+ * Whether the palette is open (shortcuts.js leaves keys to it then)
+ */
+export function isPaletteOpen() {
+  return !palette.hidden;
+}
+
+/**
+ * Open the palette with an empty query
+ */
+export function openPalette() {
+  if (isPaletteOpen()) return;
+  returnFocus = document.activeElement;
+  palette.hidden = false;
+  paletteInput.value = '';
+  update();
+  paletteInput.focus();
+}
+
+/**
+ * Close the palette; refocus is false when a result takes the user elsewhere
+ */
+function closePalette(refocus = true) {
+  palette.hidden = true;
+  if (refocus && returnFocus && returnFocus.focus) returnFocus.focus();
+  returnFocus = null;
+}
+
+/**
+ * A palette result for a go-to target (see findGoToTargets)
+ */
+function targetResult(target) {
+  if (target.type === 'callout') {
+    const { status, pages, document: targetDocument } = resolveRef(target.ref);
+    const sheetId = target.ref.split('/')[1];
+    const inDocument = targetDocument ? ` of ${targetDocument.title}` : '';
+    const detail = {
+      resolved: `Sheet ${sheetId} - page ${pages[0]}${inDocument}`,
+      ambiguous: `${sheetId} is on pages ${pages.join(', ')}${inDocument} - opens the first`,
+      pending: `Looking for sheet ${sheetId}…`,
+      missing: `Sheet ${sheetId} is not in this set`
+    }[status];
+    return {
+      label: `Callout ${target.ref}`,
+      detail,
+      disabled: status === 'missing',
+      opens: targetDocument ? targetDocument.title : `sheet ${sheetId}`,
+      run: () => followRef(target.ref)
+    };
+  }
+  if (target.type === 'page') {
+    const sheet = pageLabels.get(target.page);
+    return {
+      label: `Page ${target.page}`,
+      detail: sheet || '',
+      run: () => goToPage(target.page)
+    };
+  }
+  if (target.document) {
+    return {
+      label: target.sheet,
+      detail: `Page ${target.page} of ${target.document.title}`,
+      opens: target.document.title,
+      run: async () => {
+        await openProjectDocument(target.document.key, target.page);
+        pushUrlState({ page: currentPage });
+      }
+    };
+  }
+  return {
+    label: [target.sheet || `Page ${target.page}`, target.title].filter(Boolean).join(' - '),
+    detail: target.sheet ? `Page ${target.page}` : '',
+    run: () => goToPage(target.page)
+  };
+}
+
+/**
+ * Find results for the query and list them
+ */
+function update() {
+  const query = paletteInput.value.trim();
+  const targets = pdfDoc
+    ? findGoToTargets(query, {
+      patterns,
+      labels: pageLabels,
+      titles: pageTitles,
+      totalPages,
+      findElsewhere: findSheetInProject,
+      limit: MAX_TARGETS
+    })
+    : [];
+  const commands = availableCommands()
+    .filter(command => command.id !== 'goto' && (!query || fuzzyScore(query, command.label) > 0))
+    .map(command => ({ label: command.label, detail: command.keys.join(' or '), run: command.run, command: true }));
+  results = [...targets.map(targetResult), ...commands];
+  selected = results.findIndex(result => !result.disabled);
+  render(query);
+}
+
+/**
+ * Draw the result list, marking the selected result for screen readers
+ */
+function render(query) {
+  paletteResults.innerHTML = '';
+  if (results.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'palette-empty';
+    empty.textContent = query ? `Nothing matches "${query}"` : 'Open a plan set to go to its sheets';
+    paletteResults.appendChild(empty);
+  }
+  results.forEach((result, i) => {
+    const option = document.createElement('li');
+    option.id = `palette-option-${i}`;
+    option.className = 'palette-option';
+    option.classList.toggle('command', Boolean(result.command));
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', String(i === selected));
+    if (result.disabled) option.setAttribute('aria-disabled', 'true');
+
+    const label = document.createElement('span');
+    label.className = 'palette-label';
+    label.textContent = result.label;
+    const detail = document.createElement('span');
+    detail.className = 'palette-detail';
+    detail.textContent = result.detail;
+    option.append(label, detail);
+
+    // mousedown would take the focus from the input first
+    option.addEventListener('mousedown', e => e.preventDefault());
+    option.addEventListener('click', () => runResult(i));
+    paletteResults.appendChild(option);
+  });
+  paletteInput.setAttribute('aria-activedescendant', selected >= 0 ? `palette-option-${selected}` : '');
+  const current = paletteResults.children[selected];
+  if (selected >= 0 && current) current.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Move the selection by step, skipping results that can't be opened
+ */
+function moveSelection(step) {
+  if (results.every(result => result.disabled)) return;
+  let next = selected;
+  for (let tries = 0; tries < results.length; tries++) {
+    next = (next + step + results.length) % results.length;
+    if (!results[next].disabled) break;
+  }
+  selected = next;
+  render(paletteInput.value.trim());
+}
+
+/**
+ * Close the palette and open a result. Opening another set of a project
+ * can fail (offline, or the file moved); that is reported like the
+ * toolbar's set picker does.
+ */
+async function runResult(index) {
+  const result = results[index];
+  if (!result || result.disabled) return;
+  closePalette(Boolean(result.command));
+  try {
+    await result.run();
+  } catch (err) {
+    reportOpenError(result.opens || result.label, err);
+  }
+}
+
+/**
+ * Wire up the palette
+ */
+export function initPalette() {
+  openBtn.addEventListener('click', openPalette);
+  paletteInput.addEventListener('input', update);
+  paletteInput.addEventListener('keydown', (e) => {
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      moveSelection(e.key === 'ArrowDown' ? 1 : -1);
+    } else if (e.key === 'Enter') {
+      e.preventDefault();
+      runResult(selected);
+    } else if (e.key === 'Escape') {
+      e.preventDefault();
+      closePalette();
+    }
+  });
+  // Close on a click outside the box, or when the focus moves elsewhere
+  palette.addEventListener('mousedown', (e) => {
+    if (e.target === palette) closePalette();
+  });
+  paletteInput.addEventListener('blur', () => {
+    if (isPaletteOpen()) closePalette(false);
+  });
+}
@@ -0,0 +1,93 @@
+/**
+ * paper.js - Paper sizes and print layout
+ *
+ * Pure functions (no DOM, no pdfjsLib global) that place a sheet, or a
+ * region of one, on paper for export.js: at a fixed fraction of full size
+ * (a "half size" ARCH D sheet is 12×18 in, so it needs ARCH C paper; on
+ * 11×17 it is cropped) or scaled to fit, with a margin along the bottom
+ * for the sheet ID and date stamp. Sizes are in PDF points (1/72 in).
+ */
+
+// Paper sizes in portrait; layouts turn them to match the sheet
+export const PAPER_SIZES = {
+  letter: { label: 'Letter (8.5 × 11 in)', width: 612, height: 792 },
+  tabloid: { label: 'Tabloid (11 × 17 in)', width: 792, height: 1224 },
+  'arch-c': { label: 'ARCH C (18 × 24 in)', width: 1296, height: 1728 },
+  'arch-d': { label: 'ARCH D (24 × 36 in)', width: 1728, height: 2592 },
+  'arch-e1': { label: 'ARCH E1 (30 × 42 in)', width: 2160, height: 3024 },
+  a4: { label: 'A4', width: 595.28, height: 841.89 },
+  a3: { label: 'A3', width: 841.89, height: 1190.55 },
+  a1: { label: 'A1', width: 1683.78, height: 2383.94 }
+};
+
+// Margin around the sheet (0.5 in), and the stamp's text size and
+// baseline in the bottom margin (points from the page's bottom left)
+export const MARGIN = 36;
+export const STAMP_SIZE = 8;
+export const STAMP_POSITION = { x: MARGIN, y: (MARGIN - STAMP_SIZE) / 2 };
+
+/**
+ * Lay out content (a sheet or region, { width, height } in points) on a
+ * page.
+ *
+ * paper  key of PAPER_SIZES, or null for a page the size of the content
+ *        (at scale) plus the margin
+ * scale  fraction of full size (1 prints 1:1, 0.5 half size), or 'fit' to
+ *        fill the paper (same as 1 without paper)
+ *
+ * Returns { pageWidth, pageHeight, x, y, width, height, scale, fits } with
+ * the content's box in points from the page's bottom left. Content larger
+ * than the paper at a fixed scale is centred and cropped (fits is false).
+ * The stamp goes in the bottom margin, at STAMP_POSITION.
+ */
+export function layoutOnPaper(content, { paper = null, scale = 'fit' } = {}) {
+  if (!paper) {
+    const s = scale === 'fit' ? 1 : scale;
+    const width = content.width * s;
+    const height = content.height * s;
+    return {
+      pageWidth: width + 2 * MARGIN,
+      pageHeight: height + 2 * MARGIN,
+      x: MARGIN,
+      y: MARGIN,
+      width,
+      height,
+      scale: s,
+      fits: true
+    };
+  }
+
+  const size = PAPER_SIZES[paper];
+  if (!size) throw new Error(`Unknown paper size: ${paper}`);
+  // Landscape paper for landscape content
+  const landscape = content.width > content.height;
+  const pageWidth = landscape ? size.height : size.width;
+  const pageHeight = landscape ? size.width : size.height;
+  const areaWidth = pageWidth - 2 * MARGIN;
+  const areaHeight = pageHeight - 2 * MARGIN;
+  const fitScale = Math.min(areaWidth / content.width, areaHeight / content.height);
+  const s = scale === 'fit' ? fitScale : scale;
+  const width = content.width * s;
+  const height = content.height * s;
+  return {
+    pageWidth,
+    pageHeight,
+    x: MARGIN + (areaWidth - width) / 2,
+    y: MARGIN + (areaHeight - height) / 2,
+    width,
+    height,
+    scale: s,
+    fits: s <= fitScale + 1e-9
+  };
+}
+
+/**
+ * The stamp text: sheet ID and title, the set, the date and the scale,
+ * e.g. "A101 FIRST FLOOR PLAN | set.pdf | 2024-05-24 | 50% of full size"
+ */
+export function stampText({ sheet, title = null, setName = null, date, scale = null }) {
+  const parts = [[sheet, title].filter(Boolean).join(' '), setName, date];
+  if (scale === 'fit') parts.push('not to scale');
+  else if (scale !== null && Math.abs(scale - 1) > 1e-6) parts.push(`${Math.round(scale * 100)}% of full size`);
+  return parts.filter(Boolean).join(' | ');
+}
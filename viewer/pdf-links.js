@@ -0,0 +1,180 @@
+/**
+ * pdf-links.js - Link annotations and outline already in the PDF
+ *
+ * Many consultant sets (and PDFs written by tools/annotate_pdf.py) carry
+ * their own GoTo/URI link annotations and a bookmark outline. This module
+ * reads both: link rectangles for renderPageLinks() to overlay, and the
+ * outline as a collapsible tree in the sidebar.
+ */
+
+import { pdfDoc, goToPage, scrollRegionIntoView } from './main.js';
+
+const outlinePanel = document.getElementById('outline-panel');
+const outlineTree = document.getElementById('outline-tree');
+
+// Document the outline tree was last built for
+let outlineDoc = null;
+
+/**
+ * Link annotations on a page, with rectangles in the viewport's space
+ * (top-left origin): [{ rect: { x, y, width, height }, dest, url }].
+ * dest is a named or explicit destination, url an external link.
+ */
+export async function getLinkAnnotations(page, viewport) {
+  const annotations = await page.getAnnotations({ intent: 'display' });
+  return annotations
+    .filter(annot => annot.subtype === 'Link' && (annot.dest || annot.url))
+    .map(annot => {
+      const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annot.rect);
+      return {
+        rect: { x: Math.min(x1, x2), y: Math.min(y1, y2), width: Math.abs(x2 - x1), height: Math.abs(y2 - y1) },
+        dest: annot.dest || null,
+        url: annot.url || null
+      };
+    });
+}
+
+/**
+ * Resolve a named or explicit destination to { pageNum, point }, where
+ * point is the destination's top-left corner in unscaled page units
+ * (top-left origin), or null for whole-page destinations such as /Fit.
+ */
+export async function resolveDestination(dest) {
+  const explicit = typeof dest === 'string' ? await pdfDoc.getDestination(dest) : dest;
+  if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+  const [ref, mode, ...args] = explicit;
+  const pageIndex = Number.isInteger(ref) ? ref : await pdfDoc.getPageIndex(ref);
+  const pageNum = pageIndex + 1;
+  if (pageNum < 1 || pageNum > pdfDoc.numPages) return null;
+
+  // Left/top arguments per destination type; null means "unchanged"
+  let left = null;
+  let top = null;
+  switch (mode && mode.name) {
+    case 'XYZ': [left, top] = args; break;
+    case 'FitH':
+    case 'FitBH': [top] = args; break;
+    case 'FitV':
+    case 'FitBV': [left] = args; break;
+    case 'FitR': left = args[0]; top = args[3]; break;
+  }
+  if (left == null && top == null) return { pageNum, point: null };
+
+  const page = await pdfDoc.getPage(pageNum);
+  const viewport = page.getViewport({ scale: 1 });
+  const [x, y] = viewport.convertToViewportPoint(left ?? viewport.viewBox[0], top ?? viewport.viewBox[3]);
+  return { pageNum, point: { x, y } };
+}
+
+/**
+ * Follow a destination: open its page and scroll its top-left corner
+ * into view. Returns the page number, or null if it doesn't resolve.
+ */
+export async function goToDestination(dest) {
+  let target = null;
+  try {
+    target = await resolveDestination(dest);
+  } catch (err) {
+    console.warn('Could not resolve PDF destination:', dest, err);
+  }
+  if (!target) return null;
+
+  await goToPage(target.pageNum);
+  if (target.point) {
+    scrollRegionIntoView({ x: target.point.x, y: target.point.y, width: 0, height: 0 }, 0.2);
+  }
+  return target.pageNum;
+}
+
+/**
+ * Open an external link in a new tab
+ */
+export function openExternalLink(url) {
+  window.open(url, '_blank', 'noopener');
+}
+
+/**
+ * Build the outline tree for the open document (once per document)
+ */
+async function showOutline() {
+  if (outlineDoc === pdfDoc) return;
+  const doc = pdfDoc;
+  outlineDoc = doc;
+  outlineTree.textContent = 'Loading bookmarks…';
+
+  let outline = null;
+  try {
+    outline = await doc.getOutline();
+  } catch (err) {
+    console.warn('Could not read PDF outline:', err);
+  }
+  if (pdfDoc !== doc) return;
+
+  outlineTree.innerHTML = '';
+  if (!outline || outline.length === 0) {
+    outlineTree.textContent = 'This PDF has no bookmarks.';
+    return;
+  }
+  outlineTree.appendChild(buildOutlineList(outline));
+}
+
+/**
+ * Build one level of the outline. Entries with children get a toggle;
+ * they start expanded unless the PDF marks them closed (negative count).
+ */
+function buildOutlineList(items) {
+  const list = document.createElement('ul');
+  list.className = 'outline-list';
+  for (const item of items) {
+    const entry = document.createElement('li');
+    const row = document.createElement('div');
+    row.className = 'outline-row';
+
+    const toggle = document.createElement('button');
+    toggle.className = 'outline-toggle';
+    row.appendChild(toggle);
+
+    const link = document.createElement('button');
+    link.className = 'outline-item';
+    link.textContent = item.title;
+    if (item.bold) link.style.fontWeight = 'bold';
+    if (item.italic) link.style.fontStyle = 'italic';
+    link.addEventListener('click', () => {
+      if (item.url) openExternalLink(item.url);
+      else if (item.dest) goToDestination(item.dest);
+    });
+    row.appendChild(link);
+    entry.appendChild(row);
+
+    if (item.items && item.items.length > 0) {
+      const children = buildOutlineList(item.items);
+      const setOpen = (open) => {
+        children.hidden = !open;
+        toggle.textContent = open ? '▾' : '▸';
+        toggle.setAttribute('aria-expanded', String(open));
+      };
+      setOpen(!(item.count < 0));
+      toggle.addEventListener('click', () => setOpen(children.hidden));
+      entry.appendChild(children);
+    } else {
+      toggle.disabled = true;
+    }
+    list.appendChild(entry);
+  }
+  return list;
+}
+
+/**
+ * Build the outline when its panel opens, and rebuild it if another set is
+ * opened while it is showing
+ */
+export function initOutline() {
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId === 'outline-panel' && pdfDoc) showOutline();
+  });
+  document.addEventListener('pagerendered', () => {
+    if (outlinePanel.hidden || outlinePanel.parentElement.hidden) return;
+    showOutline();
+  });
+}
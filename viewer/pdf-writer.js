@@ -0,0 +1,111 @@
+/**
+ * pdf-writer.js - Minimal PDF output
+ *
+ * Pure functions (no DOM, no pdfjsLib global) that write a PDF of JPEG
+ * images and lines of Helvetica text, enough for export.js to save
+ * rendered sheets with their stamp. The sheets are rasters: PDF.js can
+ * render a PDF but not rewrite one.
+ */
+
+/**
+ * Encode a string as ASCII bytes; other characters become "?" (sheet IDs,
+ * titles and dates are ASCII in practice)
+ */
+function ascii(text) {
+  return Uint8Array.from(text, (char) => {
+    const code = char.charCodeAt(0);
+    return code === 0x0a || (code >= 0x20 && code < 0x7f) ? code : 0x3f;
+  });
+}
+
+/**
+ * Escape a string for a PDF literal string
+ */
+function pdfString(text) {
+  return `(${text.replace(/([()\\])/g, '\\$1')})`;
+}
+
+/**
+ * Format a number for a content stream
+ */
+function num(value) {
+  return String(Math.round(value * 1000) / 1000);
+}
+
+/**
+ * Build a PDF from page specs:
+ * [{ width, height, images: [{ jpeg, pixelWidth, pixelHeight, x, y, width,
+ *    height, clip? }], text: [{ text, x, y, size }] }]
+ * with sizes and positions in points from the page's bottom left. jpeg is
+ * the bytes of an RGB JPEG file; clip ({ x, y, width, height }) crops the
+ * image. title goes in the document info. Returns the file as a Uint8Array.
+ */
+export function writeImagePdf(pages, { title = null } = {}) {
+  // Object bodies: strings, or [dictionary, stream bytes] for streams
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+  const font = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>');
+  const pagesId = add(null);
+
+  const kids = pages.map(({ width, height, images = [], text = [] }) => {
+    const xobjects = [];
+    const ops = [];
+    images.forEach((image, i) => {
+      const id = add([
+        `<< /Type /XObject /Subtype /Image /Width ${image.pixelWidth} /Height ${image.pixelHeight}`
+          + ` /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ${image.jpeg.length} >>`,
+        image.jpeg
+      ]);
+      xobjects.push(`/Im${i} ${id} 0 R`);
+      const clip = image.clip ? `${num(image.clip.x)} ${num(image.clip.y)} ${num(image.clip.width)} ${num(image.clip.height)} re W n ` : '';
+      ops.push(`q ${clip}${num(image.width)} 0 0 ${num(image.height)} ${num(image.x)} ${num(image.y)} cm /Im${i} Do Q`);
+    });
+    for (const line of text) {
+      ops.push(`BT /F1 ${num(line.size)} Tf ${num(line.x)} ${num(line.y)} Td ${pdfString(line.text)} Tj ET`);
+    }
+    const stream = ascii(ops.join('\n'));
+    const contents = add([`<< /Length ${stream.length} >>`, stream]);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${num(width)} ${num(height)}]`
+      + ` /Contents ${contents} 0 R /Resources << /Font << /F1 ${font} 0 R >> /XObject << ${xobjects.join(' ')} >> >> >>`);
+  });
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${kids.map(id => `${id} 0 R`).join(' ')}] /Count ${kids.length} >>`;
+  const catalog = add(`<< /Type /Catalog /Pages ${pagesId} 0 R >>`);
+  const info = add(`<< /Producer (Plan Navigator)${title ? ` /Title ${pdfString(title)}` : ''} >>`);
+
+  const chunks = [];
+  let length = 0;
+  const write = (data) => {
+    const bytes = typeof data === 'string' ? ascii(data) : data;
+    chunks.push(bytes);
+    length += bytes.length;
+  };
+  // The comment's high bytes mark the file as binary
+  write('%PDF-1.4\n');
+  write(new Uint8Array([0x25, 0xe2, 0xe3, 0xcf, 0xd3, 0x0a]));
+  const offsets = objects.map((body, i) => {
+    const offset = length;
+    if (Array.isArray(body)) {
+      write(`${i + 1} 0 obj\n${body[0]}\nstream\n`);
+      write(body[1]);
+      write('\nendstream\nendobj\n');
+    } else {
+      write(`${i + 1} 0 obj\n${body}\nendobj\n`);
+    }
+    return offset;
+  });
+  const xref = length;
+  write(`xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`);
+  write(offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join(''));
+  write(`trailer\n<< /Size ${objects.length + 1} /Root ${catalog} 0 R /Info ${info} 0 R >>\nstartxref\n${xref}\n%%EOF\n`);
+
+  const pdf = new Uint8Array(length);
+  let at = 0;
+  for (const chunk of chunks) {
+    pdf.set(chunk, at);
+    at += chunk.length;
+  }
+  return pdf;
+}
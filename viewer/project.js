@@ -0,0 +1,217 @@
+/**
+ * project.js - Projects made of several plan sets
+ *
+ * Architectural, structural and MEP drawings usually come as separate
+ * PDFs. A project manifest lists them:
+ *
+ *   {
+ *     "name": "Riverside Clinic 90% CD",
+ *     "documents": [
+ *       { "file": "A-Architectural.pdf", "title": "Architectural" },
+ *       { "file": "S-Structural.pdf", "title": "Structural", "index": "S-index.json" }
+ *     ]
+ *   }
+ *
+ * Paths are relative to the manifest. One document is open at a time (as
+ * pdfDoc); the sheet IDs of the others are scanned in the background so
+ * callouts such as 3/S501 on an architectural sheet resolve into the
+ * structural set. The URL records the project and open document as
+ * ?project=/job/project.json&doc=S-Structural.pdf. The manifest is kept
+ * offline along with the documents opened (see offline.js).
+ */
+
+import {
+  pdfDoc,
+  documentKey,
+  currentPage,
+  pageLabels,
+  openPlanSet,
+  defaultIndexUrl,
+  pushUrlState,
+  scanSheetIndex,
+  whenSheetIndexReady,
+  refreshLinkStatus,
+  reportOpenError
+} from './main.js';
+import { keepOffline } from './offline.js';
+
+const projectDocs = document.getElementById('project-docs');
+
+// The open project: { url, name, documents: [{ key, title, url, indexUrl,
+// labels }] } where labels is page -> sheet ID once scanned, or null
+let project = null;
+// Background scan of the documents' sheet IDs, or null when done
+let projectScan = null;
+
+/**
+ * Load and check a project manifest
+ */
+async function loadManifest(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`Failed to load project ${url}`);
+  const manifest = await response.json();
+  if (!Array.isArray(manifest.documents) || manifest.documents.length === 0) {
+    throw new Error(`Project ${url} lists no documents`);
+  }
+  const base = new URL(url, location.href);
+  const resolve = (path) => {
+    const resolved = new URL(path, base);
+    return resolved.origin === location.origin ? resolved.pathname : resolved.href;
+  };
+  return {
+    url,
+    name: manifest.name || decodeURIComponent(url.split('/').pop()),
+    documents: manifest.documents.map((entry) => {
+      if (!entry || typeof entry.file !== 'string') throw new Error(`Project ${url} has a document without a file`);
+      const fileUrl = resolve(entry.file);
+      return {
+        key: entry.file,
+        title: entry.title || decodeURIComponent(entry.file.split('/').pop()),
+        url: fileUrl,
+        indexUrl: entry.index ? resolve(entry.index) : defaultIndexUrl(fileUrl),
+        labels: null
+      };
+    })
+  };
+}
+
+/**
+ * Open a project, or switch documents within the open one, showing the
+ * view the URL describes. doc is the document's manifest file (the first
+ * document if omitted). Returns false when that document is already open.
+ */
+export async function openProject(url, { doc = null } = {}) {
+  if (!project || project.url !== url) {
+    project = await loadManifest(url);
+    renderDocumentPicker();
+    keepOffline({ id: url, kind: 'project', name: project.name, files: [url] })
+      .catch(err => console.warn('Could not keep project offline:', err));
+  }
+  const entry = project.documents.find(d => d.key === doc) || project.documents[0];
+  if (entry.key === documentKey && pdfDoc) return false;
+  await openProjectDocument(entry.key);
+  return true;
+}
+
+/**
+ * Open one of the project's documents at a page, or with the view the URL
+ * describes when no page is given
+ */
+export async function openProjectDocument(key, page = null) {
+  const entry = project && project.documents.find(d => d.key === key);
+  if (!entry) return;
+  await openPlanSet({ url: entry.url, indexUrl: entry.indexUrl, documentKey: entry.key, page });
+  projectDocs.value = entry.key;
+  if (!projectScan && project.documents.some(d => !d.labels)) {
+    const scan = scanProject(project).finally(() => {
+      if (projectScan === scan) projectScan = null;
+    });
+    projectScan = scan;
+  }
+}
+
+/**
+ * Leave project mode (a plain plan set was opened)
+ */
+export function closeProject() {
+  project = null;
+  projectScan = null;
+  projectDocs.hidden = true;
+  projectDocs.innerHTML = '';
+}
+
+/**
+ * Document picker in the toolbar
+ */
+function renderDocumentPicker() {
+  projectDocs.innerHTML = '';
+  for (const entry of project.documents) {
+    const option = document.createElement('option');
+    option.value = entry.key;
+    option.textContent = entry.title;
+    projectDocs.appendChild(option);
+  }
+  projectDocs.title = project.name;
+  projectDocs.hidden = false;
+}
+
+/**
+ * Scan the sheet IDs of every document not scanned yet, one at a time
+ * after the open set's own scan, so cross-set callouts resolve
+ */
+async function scanProject(scanned) {
+  await whenSheetIndexReady();
+  for (const entry of scanned.documents) {
+    if (project !== scanned) return;
+    if (entry.labels) continue;
+    if (entry.key === documentKey) {
+      // The open set has just been scanned for its own links
+      await whenSheetIndexReady();
+      if (entry.key === documentKey) {
+        entry.labels = new Map(pageLabels);
+        continue;
+      }
+    }
+    let doc = null;
+    try {
+      doc = await pdfjsLib.getDocument(entry.url).promise;
+      const index = await scanSheetIndex(doc, entry.title, { isCancelled: () => project !== scanned });
+      if (!index) return;
+      entry.labels = index.labels;
+    } catch (err) {
+      console.warn(`Could not read sheet IDs of ${entry.title}:`, err);
+      entry.labels = new Map();
+    } finally {
+      if (doc) doc.destroy();
+    }
+    refreshLinkStatus();
+  }
+}
+
+/**
+ * Find a sheet in the project's other documents: { document: { key,
+ * title }, pages } for the first document that has it, or null
+ */
+export function findSheetInProject(sheetId) {
+  if (!project) return null;
+  for (const entry of project.documents) {
+    if (entry.key === documentKey || !entry.labels) continue;
+    const pages = [];
+    for (const [pageNum, label] of entry.labels) {
+      if (label === sheetId) pages.push(pageNum);
+    }
+    if (pages.length > 0) return { document: { key: entry.key, title: entry.title }, pages: pages.sort((a, b) => a - b) };
+  }
+  return null;
+}
+
+/**
+ * Whether other documents' sheet IDs are still being scanned
+ */
+export function isProjectScanPending() {
+  return projectScan !== null;
+}
+
+/**
+ * Resolve once every document of the project has been scanned
+ */
+export function whenProjectIndexed() {
+  return projectScan || Promise.resolve();
+}
+
+/**
+ * Wire up the document picker
+ */
+export function initProject() {
+  projectDocs.addEventListener('change', async () => {
+    const entry = project.documents.find(d => d.key === projectDocs.value);
+    try {
+      await openProjectDocument(projectDocs.value, 1);
+      pushUrlState({ page: currentPage });
+    } catch (err) {
+      reportOpenError(entry ? entry.title : projectDocs.value, err);
+      // Show the set still on screen in the picker
+      if (documentKey) projectDocs.value = documentKey;
+    }
+  });
+}
@@ -0,0 +1,189 @@
+/**
+ * references.js - Callout index and the "referenced from" panel
+ *
+ * Collects every callout in the set (from index.json when loaded, otherwise
+ * by scanning page text) and, for the sheet on screen, lists the callouts
+ * that point at it, grouped by detail number and source sheet.
+ */
+
+import {
+  pdfDoc,
+  totalPages,
+  pageLabels,
+  tagIndex,
+  goToPage,
+  highlightRegion,
+  scrollRegionIntoView,
+  findCallouts,
+  findDetailOnPage
+} from './main.js';
+import { getPageText, textRangeBoxes } from './search.js';
+
+const backrefsPanel = document.getElementById('backrefs-panel');
+const backrefsTitle = document.getElementById('backrefs-title');
+const backrefsList = document.getElementById('backrefs-list');
+
+// Callout index for one document: refText -> [{ page, snippet, boxes }]
+let calloutIndexDoc = null;
+let calloutIndexPromise = null;
+// Page the panel was last built for, to skip re-renders on zoom
+let shownPage = null;
+
+/**
+ * Get the callout index for the open set, building it once per document.
+ * Occurrence boxes are in unscaled page units (top-left origin).
+ */
+export function getCalloutIndex() {
+  if (calloutIndexDoc !== pdfDoc || !calloutIndexPromise) {
+    calloutIndexDoc = pdfDoc;
+    calloutIndexPromise = tagIndex && tagIndex.tags ? indexFromTags(tagIndex.tags) : scanCallouts(pdfDoc);
+  }
+  return calloutIndexPromise;
+}
+
+/**
+ * Convert index.json tags to callout index entries
+ */
+async function indexFromTags(tags) {
+  const index = new Map();
+  for (const [tag, occurrences] of Object.entries(tags)) {
+    index.set(tag, occurrences.map(occ => ({
+      page: occ.page,
+      snippet: occ.snippet,
+      boxes: [{ x: occ.bbox.x0, y: occ.bbox.y0, width: occ.bbox.x1 - occ.bbox.x0, height: occ.bbox.y1 - occ.bbox.y0 }]
+    })));
+  }
+  return index;
+}
+
+/**
+ * Build the callout index by scanning each page's text
+ */
+async function scanCallouts(doc) {
+  const index = new Map();
+  for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+    if (pdfDoc !== doc) break;
+    const pageText = await getPageText(pageNum);
+    const viewport = (await doc.getPage(pageNum)).getViewport({ scale: 1 });
+    for (const callout of findCallouts(pageText.text)) {
+      const start = callout.index;
+      const end = start + callout.length;
+      const boxes = textRangeBoxes(pageText, viewport, start, end);
+      const snippet = pageText.text.slice(Math.max(0, start - 40), end + 40).replace(/\s+/g, ' ').trim();
+      if (!index.has(callout.text)) index.set(callout.text, []);
+      index.get(callout.text).push({ page: pageNum, snippet, boxes });
+    }
+  }
+  return index;
+}
+
+/**
+ * Rebuild the panel for the given page
+ */
+async function showBackrefs(pageNum) {
+  shownPage = pageNum;
+  backrefsList.innerHTML = '';
+  const sheetId = pageLabels.get(pageNum);
+  if (!sheetId) {
+    backrefsTitle.textContent = `Page ${pageNum} has no sheet ID`;
+    return;
+  }
+  backrefsTitle.textContent = `Callouts pointing to ${sheetId}`;
+  backrefsList.textContent = 'Collecting callouts…';
+
+  const doc = pdfDoc;
+  const index = await getCalloutIndex();
+  if (pdfDoc !== doc || shownPage !== pageNum) return;
+
+  // detail -> source page -> occurrences
+  const details = new Map();
+  for (const [tag, occurrences] of index) {
+    const [detail, sheet] = tag.split('/');
+    if (sheet !== sheetId) continue;
+    if (!details.has(detail)) details.set(detail, new Map());
+    const sources = details.get(detail);
+    for (const occ of occurrences) {
+      if (!sources.has(occ.page)) sources.set(occ.page, []);
+      sources.get(occ.page).push(occ);
+    }
+  }
+
+  backrefsList.innerHTML = '';
+  if (details.size === 0) {
+    backrefsList.textContent = 'No callouts reference this sheet.';
+    return;
+  }
+
+  let page;
+  let content;
+  try {
+    page = await doc.getPage(pageNum);
+    // Fetched once for all the details looked up below
+    content = await page.getTextContent();
+  } catch (err) {
+    console.warn('Could not read page', pageNum, err);
+    return;
+  }
+  if (pdfDoc !== doc || shownPage !== pageNum) return;
+
+  const sortedDetails = Array.from(details.keys()).sort((a, b) => parseInt(a, 10) - parseInt(b, 10));
+  for (const detail of sortedDetails) {
+    const groupEl = document.createElement('div');
+    groupEl.className = 'backref-group';
+
+    const header = document.createElement('div');
+    header.className = 'backref-detail';
+    header.textContent = `${detail}/${sheetId}`;
+    // Flag details that are referenced but can't be located on this sheet
+    const region = await findDetailOnPage(page, detail, content);
+    // The user may have moved on while the detail was looked up
+    if (pdfDoc !== doc || shownPage !== pageNum) return;
+    if (!region) {
+      header.classList.add('missing');
+      header.textContent += ' - detail not found on this sheet';
+    }
+    groupEl.appendChild(header);
+
+    const sources = details.get(detail);
+    for (const sourcePage of Array.from(sources.keys()).sort((a, b) => a - b)) {
+      const occurrences = sources.get(sourcePage);
+      const label = pageLabels.get(sourcePage);
+      const item = document.createElement('button');
+      item.className = 'backref-source';
+      item.textContent = `${label || `Page ${sourcePage}`}${occurrences.length > 1 ? ` (${occurrences.length}×)` : ''}`;
+      item.title = occurrences.map(o => o.snippet).join('\n');
+      item.addEventListener('click', () => showSource(sourcePage, occurrences));
+      groupEl.appendChild(item);
+    }
+    backrefsList.appendChild(groupEl);
+  }
+}
+
+/**
+ * Open a source page and highlight the callouts on it
+ */
+async function showSource(pageNum, occurrences) {
+  await goToPage(pageNum);
+  for (const occ of occurrences) {
+    occ.boxes.forEach(box => highlightRegion(box, 0));
+  }
+  if (occurrences[0] && occurrences[0].boxes[0]) {
+    scrollRegionIntoView(occurrences[0].boxes[0], 0.5);
+  }
+}
+
+/**
+ * Keep the panel in step with the page on screen while it is visible
+ */
+export function initReferences() {
+  document.addEventListener('pagerendered', (e) => {
+    if (backrefsPanel.hidden || backrefsPanel.parentElement.hidden || e.detail.pageNum === shownPage) return;
+    showBackrefs(e.detail.pageNum);
+  });
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId === 'backrefs-panel' && pdfDoc) {
+      shownPage = null;
+      showBackrefs(e.detail.pageNum);
+    }
+  });
+}
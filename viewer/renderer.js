@@ -0,0 +1,230 @@
+/**
+ * renderer.js - Page rendering for large-format sheets
+ *
+ * A 36x48" sheet at high zoom is far bigger than a canvas can hold, so the
+ * page is drawn in two layers. The base canvas holds the whole page at a
+ * resolution capped to BASE_MAX_PIXELS and is stretched with CSS to the
+ * zoomed size. Past that resolution, the tile layer on top of it holds
+ * TILE_SIZE tiles rendered at full resolution, only for the part of the page
+ * in view (plus a margin), rendered one at a time and dropped when they
+ * scroll far away. Render tasks a newer view makes stale are cancelled.
+ *
+ * During a wheel or pinch gesture both layers are scaled with a CSS
+ * transform (previewZoom) and the page is rendered again once it ends.
+ */
+
+// Largest base canvas, in pixels
+const BASE_MAX_PIXELS = 4096 * 2048;
+// Tile edge, in CSS pixels
+const TILE_SIZE = 512;
+// Tiles rendered beyond each edge of the view, so panning shows detail at once
+const TILE_MARGIN = 1;
+
+const canvas = document.getElementById('pdf-canvas');
+const ctx = canvas.getContext('2d');
+const tileLayer = document.getElementById('tile-layer');
+const canvasContainer = document.getElementById('canvas-container');
+
+// What is on screen: { page, viewport, baseScale } or null
+let shown = null;
+// Base canvas contents: { page, scale, task } with task set while rendering
+let baseRender = null;
+// Tiles of the shown view, "col,row" -> { element, task }
+const tiles = new Map();
+// Tiles waiting to be rendered, nearest the view first
+let tileQueue = [];
+let tileRendering = false;
+let tileUpdateFrame = null;
+
+/**
+ * Whether an error is pdf.js reporting a cancelled render
+ */
+function isCancelled(err) {
+  return err && err.name === 'RenderingCancelledException';
+}
+
+/**
+ * Show a page at a viewport. The CSS size is applied at once (so scroll
+ * positions and overlays can use it); resolves when the base canvas has
+ * been rendered, with false when a newer call made this one stale.
+ */
+export async function showPage(page, viewport) {
+  const unscaled = page.getViewport({ scale: 1 });
+  const baseScale = Math.min(viewport.scale, Math.sqrt(BASE_MAX_PIXELS / (unscaled.width * unscaled.height)));
+  const view = { page, viewport, baseScale };
+  shown = view;
+
+  clearTiles();
+  endPreviewZoom();
+  canvas.style.width = `${viewport.width}px`;
+  canvas.style.height = `${viewport.height}px`;
+  tileLayer.style.left = `${canvas.offsetLeft}px`;
+  tileLayer.style.top = `${canvas.offsetTop}px`;
+  tileLayer.style.width = `${viewport.width}px`;
+  tileLayer.style.height = `${viewport.height}px`;
+
+  // Zooming past the base resolution only needs new tiles
+  if (!baseRender || baseRender.page !== page || baseRender.scale !== baseScale) {
+    if (baseRender && baseRender.task) baseRender.task.cancel();
+    const baseViewport = page.getViewport({ scale: baseScale });
+    canvas.width = Math.floor(baseViewport.width);
+    canvas.height = Math.floor(baseViewport.height);
+    const render = { page, scale: baseScale, task: page.render({ canvasContext: ctx, viewport: baseViewport }) };
+    baseRender = render;
+    try {
+      await render.task.promise;
+    } catch (err) {
+      if (isCancelled(err)) return false;
+      throw err;
+    } finally {
+      render.task = null;
+    }
+    if (baseRender !== render) return false;
+  } else if (baseRender.task) {
+    // The same base is still rendering for an earlier call
+    const render = baseRender;
+    try {
+      await render.task.promise;
+    } catch (err) {
+      if (isCancelled(err)) return false;
+      throw err;
+    }
+  }
+  if (shown !== view) return false;
+  updateTiles();
+  return true;
+}
+
+/**
+ * Cancel every tile render and remove the tiles
+ */
+function clearTiles() {
+  for (const tile of tiles.values()) {
+    if (tile.task) tile.task.cancel();
+    tile.element.remove();
+  }
+  tiles.clear();
+  tileQueue = [];
+}
+
+/**
+ * Add the tiles now in view, and drop those that scrolled far away
+ */
+function updateTiles() {
+  if (!shown || shown.baseScale >= shown.viewport.scale) return;
+  const { viewport } = shown;
+  const columns = Math.ceil(viewport.width / TILE_SIZE);
+  const rows = Math.ceil(viewport.height / TILE_SIZE);
+  const left = canvasContainer.scrollLeft - canvas.offsetLeft;
+  const top = canvasContainer.scrollTop - canvas.offsetTop;
+  const first = {
+    col: Math.max(0, Math.floor(left / TILE_SIZE) - TILE_MARGIN),
+    row: Math.max(0, Math.floor(top / TILE_SIZE) - TILE_MARGIN)
+  };
+  const last = {
+    col: Math.min(columns - 1, Math.floor((left + canvasContainer.clientWidth) / TILE_SIZE) + TILE_MARGIN),
+    row: Math.min(rows - 1, Math.floor((top + canvasContainer.clientHeight) / TILE_SIZE) + TILE_MARGIN)
+  };
+
+  for (const [key, tile] of tiles) {
+    if (tile.col < first.col || tile.col > last.col || tile.row < first.row || tile.row > last.row) {
+      if (tile.task) tile.task.cancel();
+      tile.element.remove();
+      tiles.delete(key);
+    }
+  }
+
+  const centre = {
+    col: (left + canvasContainer.clientWidth / 2) / TILE_SIZE,
+    row: (top + canvasContainer.clientHeight / 2) / TILE_SIZE
+  };
+  const wanted = [];
+  for (let row = first.row; row <= last.row; row++) {
+    for (let col = first.col; col <= last.col; col++) {
+      if (!tiles.has(`${col},${row}`)) wanted.push({ col, row });
+    }
+  }
+  const distance = t => Math.hypot(t.col + 0.5 - centre.col, t.row + 0.5 - centre.row);
+  wanted.sort((a, b) => distance(a) - distance(b));
+  for (const { col, row } of wanted) {
+    const element = document.createElement('canvas');
+    element.className = 'page-tile';
+    const x = col * TILE_SIZE;
+    const y = row * TILE_SIZE;
+    element.width = Math.ceil(Math.min(TILE_SIZE, viewport.width - x));
+    element.height = Math.ceil(Math.min(TILE_SIZE, viewport.height - y));
+    element.style.left = `${x}px`;
+    element.style.top = `${y}px`;
+    const tile = { col, row, x, y, element, task: null };
+    tiles.set(`${col},${row}`, tile);
+    tileQueue.push(tile);
+  }
+  tileQueue = tileQueue.filter(tile => tiles.get(`${tile.col},${tile.row}`) === tile);
+  tileQueue.sort((a, b) => distance(a) - distance(b));
+  renderTiles();
+}
+
+/**
+ * Render queued tiles one at a time, so the page stays responsive
+ */
+async function renderTiles() {
+  if (tileRendering) return;
+  tileRendering = true;
+  try {
+    while (tileQueue.length > 0) {
+      const tile = tileQueue.shift();
+      const view = shown;
+      tile.task = view.page.render({
+        canvasContext: tile.element.getContext('2d'),
+        viewport: view.viewport,
+        transform: [1, 0, 0, 1, -tile.x, -tile.y]
+      });
+      try {
+        await tile.task.promise;
+        if (shown === view && tiles.get(`${tile.col},${tile.row}`) === tile) tileLayer.appendChild(tile.element);
+      } catch (err) {
+        if (!isCancelled(err)) console.warn('Error rendering tile:', err);
+      } finally {
+        tile.task = null;
+      }
+    }
+  } finally {
+    tileRendering = false;
+  }
+}
+
+/**
+ * Scale the page with CSS about a point (CSS pixels from the page's top
+ * left) while a zoom gesture is under way. Overlays are hidden meanwhile.
+ */
+export function previewZoom(factor, originX, originY) {
+  for (const layer of [canvas, tileLayer]) {
+    layer.style.transformOrigin = `${originX}px ${originY}px`;
+    layer.style.transform = `scale(${factor})`;
+  }
+  canvasContainer.classList.add('zooming');
+}
+
+/**
+ * Drop the CSS zoom preview
+ */
+export function endPreviewZoom() {
+  for (const layer of [canvas, tileLayer]) {
+    layer.style.transform = '';
+    layer.style.transformOrigin = '';
+  }
+  canvasContainer.classList.remove('zooming');
+}
+
+/**
+ * Keep tiles following the view while scrolling
+ */
+export function initRenderer() {
+  canvasContainer.addEventListener('scroll', () => {
+    if (tileUpdateFrame !== null) return;
+    tileUpdateFrame = requestAnimationFrame(() => {
+      tileUpdateFrame = null;
+      updateTiles();
+    });
+  });
+}
@@ -0,0 +1,59 @@
+/**
+ * resolve.js - Callout resolution
+ *
+ * Pure functions (no DOM, no pdfjsLib global) that decide which page a
+ * callout such as "09/AC401" points at, from the sheet IDs found so far.
+ * The viewer supplies its own state (page labels, the loaded index, the
+ * project's other sets) through the options.
+ */
+
+import { parseCallout } from './detect.js';
+
+/**
+ * Resolve a callout to its candidate target pages.
+ * Returns { status, pages } where status is 'resolved' (one page),
+ * 'ambiguous' (several pages), 'pending' (not found yet while sheet IDs
+ * are still being collected) or 'missing'. When the sheet is in another set
+ * of a project, document names it.
+ *
+ * options:
+ *   patterns  compiled grammar from compilePatterns()
+ *   labels    Map of page -> sheet ID
+ *   sheets    index.json sheets ([{ page, sheet }]), used when no labelled
+ *             page here or in another set carries the sheet ID. The
+ *             index's tags are not used: they list the pages a callout is
+ *             written on, not its target.
+ *   findElsewhere(sheetId)  { pages, document } for a sheet in another set,
+ *             or null
+ *   pending   whether sheet IDs are still being collected
+ */
+export function resolveCallout(refText, { patterns, labels, sheets = null, findElsewhere = () => null, pending = false }) {
+  // refText like "09/AC401" -> key by sheet ID to find page
+  const callout = parseCallout(refText, patterns);
+  const sheetId = callout ? callout.sheet : null;
+  if (!sheetId) return { status: 'missing', pages: [] };
+
+  // Search through page labels to find a matching sheet ID
+  let pages = [];
+  for (const [pageNum, label] of labels) {
+    if (label && label.toUpperCase() === sheetId) pages.push(pageNum);
+  }
+
+  // Other sets of a project, where the sheet was found by its label;
+  // document says which one
+  if (pages.length === 0) {
+    const elsewhere = findElsewhere(sheetId);
+    if (elsewhere) return { status: elsewhere.pages.length > 1 ? 'ambiguous' : 'resolved', ...elsewhere };
+  }
+
+  // Fallback: the sheets listed in the index
+  if (pages.length === 0 && sheets) {
+    pages = Array.from(new Set(sheets
+      .filter(entry => entry.sheet && entry.sheet.toUpperCase() === sheetId)
+      .map(entry => entry.page)));
+  }
+
+  pages.sort((a, b) => a - b);
+  if (pages.length === 0) return { status: pending ? 'pending' : 'missing', pages };
+  return { status: pages.length > 1 ? 'ambiguous' : 'resolved', pages };
+}
@@ -0,0 +1,157 @@
+/**
+ * scale.js - Drawing scales, lengths and takeoff geometry
+ *
+ * Pure functions (no DOM, no pdfjsLib global). Page units are PDF points
+ * (1/72 inch on paper); a calibration turns them into real-world units:
+ * { unitsPerPoint, unit } where unit is 'ft' or 'm'.
+ */
+
+const POINTS_PER_INCH = 72;
+const METERS_PER_INCH = 0.0254;
+
+const INCH = `["”″]`;
+const FOOT = `['’′]`;
+// 1/4" = 1'-0", 1 1/2" = 1'-0", 3" = 1'-0". The number can't continue
+// another one, and the whole part of a mixed number is at most two digits,
+// so "1:100 3/16"" (text items joined with spaces) reads as 3/16".
+const ARCHITECTURAL_SCALE = new RegExp(
+  `(?<![\\d.:/])(\\d{1,2}\\s+\\d+\\s*/\\s*\\d+|\\d+\\s*/\\s*\\d+|\\d+(?:\\.\\d+)?)\\s*${INCH}\\s*=\\s*1\\s*${FOOT}\\s*-?\\s*0\\s*${INCH}`, 'g');
+// 1" = 20'-0" or 1" = 20' (1" = 1'-0" is architectural, see findScaleNotes)
+const ENGINEERING_SCALE = new RegExp(`\\b1\\s*${INCH}\\s*=\\s*(\\d+(?:\\.\\d+)?)\\s*${FOOT}(?:\\s*-?\\s*0\\s*${INCH})?`, 'g');
+// SCALE: 1:100
+const RATIO_SCALE = /SCALE\s*:?\s*1\s*:\s*(\d+(?:\.\d+)?)/gi;
+
+/**
+ * Parse "1/4", "1 1/2" or "3" into a number
+ */
+function parseFraction(text) {
+  const parts = text.trim().split(/\s+(?=\d+\s*\/)/);
+  return parts.reduce((sum, part) => {
+    const [num, den] = part.split('/').map(Number);
+    return sum + (den ? num / den : num);
+  }, 0);
+}
+
+/**
+ * Find drawing scale notes in page text. Returns
+ * [{ label, unitsPerPoint, unit, index }] in text order; the same scale
+ * may appear several times (once per detail drawn at it).
+ */
+export function findScaleNotes(text) {
+  const notes = [];
+  // Spans of architectural notes, which 1" = 1'-0" also matches
+  // ENGINEERING_SCALE in
+  const architectural = [];
+  for (const match of text.matchAll(ARCHITECTURAL_SCALE)) {
+    const paperInches = parseFraction(match[1]);
+    if (!paperInches) continue;
+    notes.push({
+      label: `${match[1].replace(/\s*\/\s*/g, '/').replace(/\s+/g, ' ')}" = 1'-0"`,
+      unitsPerPoint: 1 / (paperInches * POINTS_PER_INCH),
+      unit: 'ft',
+      index: match.index
+    });
+    architectural.push([match.index, match.index + match[0].length]);
+  }
+  for (const match of text.matchAll(ENGINEERING_SCALE)) {
+    const feet = parseFloat(match[1]);
+    if (!feet) continue;
+    const end = match.index + match[0].length;
+    if (architectural.some(([from, to]) => match.index < to && end > from)) continue;
+    notes.push({ label: `1" = ${match[1]}'`, unitsPerPoint: feet / POINTS_PER_INCH, unit: 'ft', index: match.index });
+  }
+  for (const match of text.matchAll(RATIO_SCALE)) {
+    const ratio = parseFloat(match[1]);
+    if (!ratio) continue;
+    notes.push({
+      label: `1:${match[1]}`,
+      unitsPerPoint: ratio * METERS_PER_INCH / POINTS_PER_INCH,
+      unit: 'm',
+      index: match.index
+    });
+  }
+  return notes.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Distinct scales from findScaleNotes(), most frequent first
+ */
+export function distinctScales(notes) {
+  const byLabel = new Map();
+  for (const note of notes) {
+    if (!byLabel.has(note.label)) byLabel.set(note.label, { ...note, count: 0 });
+    byLabel.get(note.label).count++;
+  }
+  return Array.from(byLabel.values()).sort((a, b) => b.count - a.count || a.index - b.index);
+}
+
+/**
+ * Parse a real-world length typed by the user: 12'-6", 12' 6 1/2", 6",
+ * 12.5 ft, 3.5 m, 350 mm or a bare number (feet). Returns { value, unit }
+ * in feet or meters, or null.
+ */
+export function parseLength(text) {
+  const s = text.trim().toLowerCase();
+  let match = s.match(/^(\d+(?:\.\d+)?)\s*(m|mm|cm)$/);
+  if (match) {
+    const factor = { m: 1, cm: 0.01, mm: 0.001 }[match[2]];
+    return { value: parseFloat(match[1]) * factor, unit: 'm' };
+  }
+  match = s.match(/^(\d+(?:\.\d+)?)\s*(?:ft|feet)?$/);
+  if (match) return { value: parseFloat(match[1]), unit: 'ft' };
+
+  match = s.match(new RegExp(`^(?:(\\d+(?:\\.\\d+)?)\\s*${FOOT})?\\s*-?\\s*(?:(\\d+(?:\\s+\\d+\\s*/\\s*\\d+)?|\\d+\\s*/\\s*\\d+)\\s*${INCH})?$`));
+  if (match && (match[1] || match[2])) {
+    const feet = match[1] ? parseFloat(match[1]) : 0;
+    const inches = match[2] ? parseFraction(match[2]) : 0;
+    return { value: feet + inches / 12, unit: 'ft' };
+  }
+  return null;
+}
+
+/**
+ * Format a length: feet as 12'-6 1/4" (to the nearest 1/4"), meters to
+ * two decimals
+ */
+export function formatLength(value, unit) {
+  if (unit === 'm') return `${value.toFixed(2)} m`;
+  if (unit !== 'ft') return `${value.toFixed(1)} ${unit}`;
+  const quarters = Math.round(value * 12 * 4);
+  const feet = Math.floor(quarters / 48);
+  const inches = Math.floor((quarters % 48) / 4);
+  const fraction = ['', ' 1/4', ' 1/2', ' 3/4'][quarters % 4];
+  return `${feet}'-${inches}${fraction}"`;
+}
+
+/**
+ * Format an area in square feet or square meters
+ */
+export function formatArea(value, unit) {
+  if (unit === 'ft') return `${value.toFixed(1)} sq ft`;
+  if (unit === 'm') return `${value.toFixed(2)} m²`;
+  return `${value.toFixed(1)} sq ${unit}`;
+}
+
+/**
+ * Total length of a polyline [[x, y], ...]
+ */
+export function polylineLength(points) {
+  let length = 0;
+  for (let i = 1; i < points.length; i++) {
+    length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+  }
+  return length;
+}
+
+/**
+ * Area of a simple polygon [[x, y], ...] (shoelace formula)
+ */
+export function polygonArea(points) {
+  let twice = 0;
+  for (let i = 0; i < points.length; i++) {
+    const [x0, y0] = points[i];
+    const [x1, y1] = points[(i + 1) % points.length];
+    twice += x0 * y1 - x1 * y0;
+  }
+  return Math.abs(twice) / 2;
+}
@@ -0,0 +1,259 @@
+/**
+ * search.js - Sheet, callout and full-text search panel
+ *
+ * Searches sheet IDs (pageLabels), callout tags (index.json) and the text of
+ * every page. Results are grouped by sheet; clicking one opens the page and
+ * draws highlight boxes over each hit on it.
+ */
+
+import {
+  pdfDoc,
+  totalPages,
+  pageLabels,
+  tagIndex,
+  goToPage,
+  highlightRegion,
+  scrollRegionIntoView,
+  normalizeSheetId,
+  parseCallout
+} from './main.js';
+import { textItemBox } from './geometry.js';
+
+const MAX_HITS_PER_PAGE = 20;
+const SNIPPET_CONTEXT = 40;
+
+const searchInput = document.getElementById('search-input');
+const searchStatus = document.getElementById('search-status');
+const searchResults = document.getElementById('search-results');
+
+// Per-document text cache: page -> { text, items, starts }
+let textCacheDoc = null;
+const textCache = new Map();
+// Incremented per search so a newer query cancels an older one
+let searchToken = 0;
+let debounceTimer = null;
+
+/**
+ * Get a page's text content, joined into one searchable string.
+ * starts[i] is the offset of items[i] within text.
+ */
+export async function getPageText(pageNum) {
+  if (textCacheDoc !== pdfDoc) {
+    textCache.clear();
+    textCacheDoc = pdfDoc;
+  }
+  if (textCache.has(pageNum)) return textCache.get(pageNum);
+
+  const page = await pdfDoc.getPage(pageNum);
+  const content = await page.getTextContent();
+  const items = content.items.filter(item => item.str);
+  const starts = [];
+  let text = '';
+  for (const item of items) {
+    starts.push(text.length);
+    text += item.str + (item.hasEOL ? '\n' : ' ');
+  }
+  const entry = { text, items, starts };
+  textCache.set(pageNum, entry);
+  return entry;
+}
+
+/**
+ * Highlight boxes (unscaled page units) for the text range [start, end)
+ * of a getPageText() result, one per text item the range touches
+ */
+export function textRangeBoxes(pageText, viewport, start, end) {
+  const boxes = [];
+  pageText.items.forEach((item, i) => {
+    const itemStart = pageText.starts[i];
+    const itemEnd = itemStart + item.str.length;
+    if (itemEnd <= start || itemStart >= end) return;
+    const from = Math.max(start, itemStart) - itemStart;
+    const to = Math.min(end, itemEnd) - itemStart;
+    const { x, y, width, height } = textItemBox(item, viewport.transform, from, to);
+    boxes.push({ x, y, width, height });
+  });
+  return boxes;
+}
+
+/**
+ * Build a snippet with the match wrapped in <mark>
+ */
+function buildSnippet(text, start, end) {
+  const from = Math.max(0, start - SNIPPET_CONTEXT);
+  const to = Math.min(text.length, end + SNIPPET_CONTEXT);
+  const clean = s => s.replace(/\s+/g, ' ');
+  const fragment = document.createElement('span');
+  fragment.append(
+    (from > 0 ? '...' : '') + clean(text.slice(from, start)),
+    Object.assign(document.createElement('mark'), { textContent: clean(text.slice(start, end)) }),
+    clean(text.slice(end, to)) + (to < text.length ? '...' : '')
+  );
+  return fragment;
+}
+
+/**
+ * Turn a query into a regex. Words may be split across text items, so any
+ * run of whitespace in the query matches any run in the text; callouts
+ * such as "09/AC401" also match "09 / AC 401".
+ */
+function queryRegex(query) {
+  const escape = s => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  const words = query.trim().split(/\s+/).map(word => word.split('/').map(escape).join('\\s*/\\s*'));
+  return new RegExp(words.join('\\s*'), 'gi');
+}
+
+/**
+ * Whether two boxes ({ x, y, width, height }) overlap
+ */
+function boxesOverlap(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height;
+}
+
+/**
+ * Run a search and render grouped results
+ */
+export async function runSearch(query) {
+  const token = ++searchToken;
+  searchResults.innerHTML = '';
+  query = query.trim();
+  if (!query || !pdfDoc) {
+    searchStatus.textContent = '';
+    return;
+  }
+
+  const groups = new Map(); // page -> { sheet: bool, hits: [] }
+  const groupFor = (pageNum) => {
+    if (!groups.has(pageNum)) groups.set(pageNum, { sheet: false, hits: [] });
+    return groups.get(pageNum);
+  };
+
+  // Sheet IDs
+  const sheetQuery = normalizeSheetId(query);
+  for (const [pageNum, label] of pageLabels) {
+    if (label.includes(sheetQuery)) groupFor(pageNum).sheet = true;
+  }
+
+  // Callout tags from index.json, with the extractor's snippets and boxes
+  const callout = parseCallout(query);
+  const indexed = callout && tagIndex && tagIndex.tags && tagIndex.tags[callout.text];
+  if (indexed) {
+    for (const occ of indexed) {
+      groupFor(occ.page).hits.push({
+        snippet: document.createTextNode(occ.snippet),
+        boxes: [{ x: occ.bbox.x0, y: occ.bbox.y0, width: occ.bbox.x1 - occ.bbox.x0, height: occ.bbox.y1 - occ.bbox.y0 }],
+        indexed: true
+      });
+    }
+  }
+
+  // Free text: titles, notes, and callouts when there is no index or the
+  // index missed some (it may be older than the PDF)
+  const regex = queryRegex(query);
+  for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+    if (token !== searchToken) return;
+    searchStatus.textContent = `Searching ${pageNum}/${totalPages}…`;
+    const pageText = await getPageText(pageNum);
+    const page = await pdfDoc.getPage(pageNum);
+    const viewport = page.getViewport({ scale: 1 });
+    const indexedBoxes = groups.has(pageNum)
+      ? groups.get(pageNum).hits.filter(hit => hit.indexed).flatMap(hit => hit.boxes)
+      : [];
+    regex.lastIndex = 0;
+    let match;
+    let count = 0;
+    while ((match = regex.exec(pageText.text)) && count < MAX_HITS_PER_PAGE) {
+      if (match[0].length === 0) {
+        regex.lastIndex++;
+        continue;
+      }
+      const start = match.index;
+      const end = start + match[0].length;
+      const boxes = textRangeBoxes(pageText, viewport, start, end);
+      // Already listed from the index
+      if (boxes.some(box => indexedBoxes.some(other => boxesOverlap(box, other)))) continue;
+      groupFor(pageNum).hits.push({
+        snippet: buildSnippet(pageText.text, start, end),
+        boxes
+      });
+      count++;
+    }
+  }
+  if (token !== searchToken) return;
+
+  renderResults(groups);
+}
+
+/**
+ * Render result groups, ordered by page
+ */
+function renderResults(groups) {
+  const pages = Array.from(groups.keys()).sort((a, b) => a - b);
+  const hitCount = pages.reduce((sum, p) => sum + groups.get(p).hits.length, 0);
+  searchStatus.textContent = pages.length
+    ? `${hitCount} hit${hitCount === 1 ? '' : 's'} on ${pages.length} sheet${pages.length === 1 ? '' : 's'}`
+    : 'No results';
+
+  for (const pageNum of pages) {
+    const group = groups.get(pageNum);
+    const label = pageLabels.get(pageNum);
+
+    const groupEl = document.createElement('div');
+    groupEl.className = 'search-group';
+
+    const header = document.createElement('button');
+    header.className = 'search-group-header';
+    header.textContent = label ? `${pageNum} - ${label}` : `Page ${pageNum}`;
+    if (group.sheet) header.classList.add('sheet-match');
+    header.addEventListener('click', () => showHits(pageNum, group.hits, null));
+    groupEl.appendChild(header);
+
+    group.hits.forEach((hit) => {
+      const item = document.createElement('button');
+      item.className = 'search-hit';
+      item.appendChild(hit.snippet);
+      item.addEventListener('click', () => showHits(pageNum, group.hits, hit));
+      groupEl.appendChild(item);
+    });
+
+    searchResults.appendChild(groupEl);
+  }
+}
+
+/**
+ * Open a page and highlight every hit on it, scrolling to the chosen one
+ */
+async function showHits(pageNum, hits, focusHit) {
+  await goToPage(pageNum);
+  for (const hit of hits) {
+    hit.boxes.forEach(box => highlightRegion(box, 0));
+  }
+  const target = focusHit || hits[0];
+  if (target && target.boxes.length > 0) {
+    scrollRegionIntoView(target.boxes[0], 0.5);
+  }
+}
+
+/**
+ * Wire up the search box: debounced as-you-type, immediate on Enter
+ */
+export function initSearch() {
+  searchInput.addEventListener('input', () => {
+    clearTimeout(debounceTimer);
+    debounceTimer = setTimeout(() => runSearch(searchInput.value), 400);
+  });
+  searchInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      clearTimeout(debounceTimer);
+      runSearch(searchInput.value);
+    }
+  });
+}
+
+/**
+ * Focus the search box (opening its panel is up to the caller)
+ */
+export function focusSearch() {
+  searchInput.focus();
+  searchInput.select();
+}
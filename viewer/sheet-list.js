@@ -0,0 +1,290 @@
+/**
+ * sheet-list.js - Sheet list panel
+ *
+ * Lists the sheets of the open set with the titles read from their title
+ * blocks, grouped by discipline and series (see sheets.js). The list can be
+ * filtered and walked with the arrow keys. When a cover sheet carries a
+ * drawing index, it is cross-checked against the sheets actually found.
+ */
+
+import {
+  pdfDoc,
+  currentPage,
+  totalPages,
+  pageLabels,
+  pageTitles,
+  goToPage,
+  parseSheetId,
+  whenSheetIndexReady
+} from './main.js';
+import { textRuns, runRangeBox } from './geometry.js';
+import { isPageSelected, selectPage } from './export.js';
+import { groupSheets, parseDrawingIndex, crossCheckIndex } from './sheets.js';
+
+// Pages at the front of the set searched for a drawing index
+const DRAWING_INDEX_PAGES = 3;
+
+const sheetsPanel = document.getElementById('sheets-panel');
+const sheetsFilter = document.getElementById('sheets-filter');
+const sheetsStatus = document.getElementById('sheets-status');
+const sheetsList = document.getElementById('sheets-list');
+
+// Document the list was last built for
+let listDoc = null;
+
+/**
+ * Rows of text on a page for drawing index parsing. Index tables often put
+ * the sheet ID and title in separate cells, so a row holding only a sheet
+ * ID is joined with the next text to its right on the same baseline.
+ */
+async function pageRows(pageNum) {
+  const page = await pdfDoc.getPage(pageNum);
+  const content = await page.getTextContent();
+  const runs = textRuns(content.items, page.getViewport({ scale: 1 }).transform)
+    .map(run => ({ text: run.text.trim(), box: runRangeBox(run, 0, run.text.length) }))
+    .filter(run => run.text);
+  return runs.map((run) => {
+    const id = parseSheetId(run.text);
+    if (!id || run.text.length > id.length) return run.text;
+    const right = run.box.x + run.box.width;
+    const cell = runs
+      .filter(other => other.box.x >= right && Math.abs(other.box.y - run.box.y) < run.box.height / 2)
+      .sort((a, b) => a.box.x - b.box.x)[0];
+    return cell && !parseSheetId(cell.text) ? `${run.text} ${cell.text}` : run.text;
+  });
+}
+
+/**
+ * Find the drawing index on the first pages of the set:
+ * { page, entries } or null
+ */
+async function findDrawingIndex() {
+  for (let pageNum = 1; pageNum <= Math.min(DRAWING_INDEX_PAGES, totalPages); pageNum++) {
+    const entries = parseDrawingIndex(await pageRows(pageNum), parseSheetId);
+    if (entries && entries.length > 0) return { page: pageNum, entries };
+  }
+  return null;
+}
+
+/**
+ * Build the list for the open set (once per document)
+ */
+async function showSheetList() {
+  if (listDoc === pdfDoc) return;
+  const doc = pdfDoc;
+  listDoc = doc;
+  sheetsList.innerHTML = '';
+  sheetsStatus.textContent = 'Waiting for sheet index…';
+  await whenSheetIndexReady();
+  if (pdfDoc !== doc) return;
+
+  const sheets = [];
+  const unlabeled = [];
+  for (let pageNum = 1; pageNum <= totalPages; pageNum++) {
+    if (pageLabels.has(pageNum)) {
+      sheets.push({ sheet: pageLabels.get(pageNum), page: pageNum, title: pageTitles.get(pageNum) || '' });
+    } else {
+      unlabeled.push(pageNum);
+    }
+  }
+
+  sheetsStatus.textContent = 'Reading drawing index…';
+  let drawingIndex = null;
+  try {
+    drawingIndex = await findDrawingIndex();
+  } catch (err) {
+    console.warn('Could not read drawing index:', err);
+  }
+  if (pdfDoc !== doc) return;
+  const check = drawingIndex ? crossCheckIndex(drawingIndex.entries, sheets) : null;
+
+  renderSheetList(sheets, unlabeled, drawingIndex, check);
+  const problems = check ? check.missing.length + check.unlisted.length + check.titleMismatches.length : 0;
+  sheetsStatus.textContent = `${sheets.length} sheets`
+    + (unlabeled.length ? `, ${unlabeled.length} pages without a sheet ID` : '')
+    + (drawingIndex
+      ? `. Drawing index on page ${drawingIndex.page}: ${problems ? `${problems} mismatch${problems === 1 ? '' : 'es'}` : 'matches the set'}.`
+      : '. No drawing index found.');
+  applyFilter();
+  markCurrentSheet();
+}
+
+/**
+ * Render discipline and series groups, pages without a sheet ID, and the
+ * drawing index cross-check
+ */
+function renderSheetList(sheets, unlabeled, drawingIndex, check) {
+  sheetsList.innerHTML = '';
+  const flags = new Map();
+  if (check) {
+    check.unlisted.forEach(sheet => flags.set(sheet.sheet, 'Not listed in the drawing index'));
+    check.titleMismatches.forEach(m => flags.set(m.sheet, `Drawing index title: ${m.indexTitle}`));
+  }
+
+  const appendGroup = (title, series) => {
+    const group = document.createElement('div');
+    group.className = 'sheet-group';
+    const heading = document.createElement('h4');
+    heading.textContent = title;
+    group.appendChild(heading);
+    for (const { label, rows } of series) {
+      const block = document.createElement('div');
+      block.className = 'sheet-series';
+      if (label) {
+        const seriesHeading = document.createElement('div');
+        seriesHeading.className = 'sheet-series-title';
+        seriesHeading.textContent = label;
+        block.appendChild(seriesHeading);
+      }
+      rows.forEach(row => block.appendChild(row));
+      group.appendChild(block);
+    }
+    sheetsList.appendChild(group);
+  };
+
+  for (const { discipline, series } of groupSheets(sheets)) {
+    appendGroup(discipline, series.map(s => ({
+      label: s.seriesName ? `${s.series} · ${s.seriesName}` : s.series,
+      rows: s.sheets.map(sheet => sheetRow(sheet.page, sheet.sheet, sheet.title, flags.get(sheet.sheet),
+        `${discipline} ${s.series} ${s.seriesName}`))
+    })));
+  }
+  if (unlabeled.length > 0) {
+    appendGroup('No sheet ID', [{ label: '', rows: unlabeled.map(pageNum => sheetRow(pageNum, `Page ${pageNum}`, pageTitles.get(pageNum) || '')) }]);
+  }
+
+  if (check) {
+    const problems = [
+      ...check.missing.map(entry => `${entry.sheet} ${entry.title}: listed but not in the set`),
+      ...check.unlisted.map(sheet => `${sheet.sheet}: in the set (page ${sheet.page}) but not listed`),
+      ...check.titleMismatches.map(m => `${m.sheet}: listed as "${m.indexTitle}", title block says "${m.sheetTitle}"`)
+    ];
+    if (problems.length > 0) {
+      const group = document.createElement('div');
+      group.className = 'sheet-group sheet-check';
+      const heading = document.createElement('h4');
+      heading.textContent = `Drawing index (page ${drawingIndex.page})`;
+      group.appendChild(heading);
+      for (const text of problems) {
+        const item = document.createElement('div');
+        item.className = 'sheet-problem';
+        item.textContent = text;
+        group.appendChild(item);
+      }
+      sheetsList.appendChild(group);
+    }
+  }
+}
+
+/**
+ * One sheet row; filterText adds group names to what the filter matches
+ */
+function sheetRow(pageNum, sheet, title, flag = null, filterText = '') {
+  const row = document.createElement('button');
+  row.className = 'panel-item sheet-row';
+  row.dataset.page = pageNum;
+  row.dataset.filter = `${sheet} ${title} ${filterText}`.toLowerCase();
+  row.title = `Page ${pageNum}`;
+
+  const id = document.createElement('span');
+  id.className = 'sheet-id';
+  id.textContent = sheet;
+  row.appendChild(id);
+  const titleSpan = document.createElement('span');
+  titleSpan.className = 'sheet-title';
+  titleSpan.textContent = title;
+  row.appendChild(titleSpan);
+  if (flag) {
+    row.classList.add('flagged');
+    row.title += ` - ${flag}`;
+    const marker = document.createElement('span');
+    marker.className = 'sheet-flag';
+    marker.textContent = '⚠';
+    row.appendChild(marker);
+  }
+
+  row.classList.toggle('selected', isPageSelected(pageNum));
+  row.addEventListener('click', async (e) => {
+    if (e.ctrlKey || e.metaKey || e.shiftKey) selectPage(pageNum, { range: e.shiftKey });
+    else await goToPage(pageNum);
+  });
+  return row;
+}
+
+/**
+ * Show only rows matching the filter, and the groups that still have rows
+ */
+function applyFilter() {
+  const words = sheetsFilter.value.trim().toLowerCase().split(/\s+/).filter(Boolean);
+  sheetsList.querySelectorAll('.sheet-row').forEach((row) => {
+    row.hidden = !words.every(word => row.dataset.filter.includes(word));
+  });
+  sheetsList.querySelectorAll('.sheet-series, .sheet-group:not(.sheet-check)').forEach((block) => {
+    block.hidden = !block.querySelector('.sheet-row:not([hidden])');
+  });
+}
+
+/**
+ * Visible rows, top to bottom
+ */
+function visibleRows() {
+  return Array.from(sheetsList.querySelectorAll('.sheet-row')).filter(row => !row.closest('[hidden]'));
+}
+
+/**
+ * Mark the rows of the page on screen
+ */
+function markCurrentSheet() {
+  sheetsList.querySelectorAll('.sheet-row').forEach((row) => {
+    row.classList.toggle('current', Number(row.dataset.page) === currentPage);
+  });
+}
+
+/**
+ * Arrow keys move between rows, Home/End jump to the ends, Escape returns
+ * to the filter; Enter and Space open a row (they're buttons)
+ */
+function onListKeydown(e) {
+  const rows = visibleRows();
+  const index = rows.indexOf(document.activeElement);
+  if (index < 0) return;
+  let next = null;
+  if (e.key === 'ArrowDown') next = rows[index + 1];
+  else if (e.key === 'ArrowUp') next = index === 0 ? sheetsFilter : rows[index - 1];
+  else if (e.key === 'Home') next = rows[0];
+  else if (e.key === 'End') next = rows[rows.length - 1];
+  else if (e.key === 'Escape') next = sheetsFilter;
+  if (!next) return;
+  e.preventDefault();
+  e.stopPropagation();
+  next.focus();
+  if (next !== sheetsFilter) next.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * Build the list when its panel opens, rebuild it if another set is opened
+ * while it is showing, and keep the current sheet marked
+ */
+export function initSheetList() {
+  sheetsFilter.addEventListener('input', applyFilter);
+  sheetsFilter.addEventListener('keydown', (e) => {
+    const first = visibleRows()[0];
+    if (!first) return;
+    if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      first.focus();
+    } else if (e.key === 'Enter') {
+      first.click();
+    }
+  });
+  sheetsList.addEventListener('keydown', onListKeydown);
+
+  document.addEventListener('sidebarpanel', (e) => {
+    if (e.detail.panelId === 'sheets-panel' && pdfDoc) showSheetList();
+  });
+  document.addEventListener('pagerendered', () => {
+    markCurrentSheet();
+    if (sheetsPanel.hidden || sheetsPanel.parentElement.hidden) return;
+    showSheetList();
+  });
+}
@@ -0,0 +1,135 @@
+/**
+ * sheets.js - Sheet disciplines, series and the drawing index
+ *
+ * Pure functions (no DOM, no pdfjsLib global). Sheet IDs are read the
+ * National CAD Standard way: a discipline letter (A = Architectural), an
+ * optional modifier, then the sheet type digit that names the series
+ * (A2xx = Elevations).
+ */
+
+const DISCIPLINES = {
+  G: 'General',
+  H: 'Hazardous Materials',
+  V: 'Survey / Mapping',
+  B: 'Geotechnical',
+  W: 'Distributed Energy',
+  C: 'Civil',
+  L: 'Landscape',
+  S: 'Structural',
+  A: 'Architectural',
+  I: 'Interiors',
+  Q: 'Equipment',
+  F: 'Fire Protection',
+  P: 'Plumbing',
+  D: 'Process',
+  M: 'Mechanical',
+  E: 'Electrical',
+  T: 'Telecommunications',
+  R: 'Resource',
+  X: 'Other Disciplines',
+  Z: 'Contractor / Shop Drawings',
+  O: 'Operations'
+};
+
+const SHEET_TYPES = [
+  'General',
+  'Plans',
+  'Elevations',
+  'Sections',
+  'Large-Scale Views',
+  'Details',
+  'Schedules and Diagrams',
+  'User Defined',
+  'User Defined',
+  '3D Representations'
+];
+
+// Headings of a drawing index (sheet list) on a cover sheet
+const INDEX_HEADING = /\b(?:DRAWING|SHEET)S?\s+(?:INDEX|LIST)\b|\b(?:INDEX|LIST)\s+OF\s+(?:DRAWINGS|SHEETS)\b/i;
+
+/**
+ * Discipline and series of a sheet ID: { discipline, series, seriesName },
+ * e.g. A201 -> Architectural, A2xx, Elevations
+ */
+export function classifySheet(sheet) {
+  const match = sheet.toUpperCase().match(/^([A-Z]+)[-\s]*(\d)(\.?)/);
+  if (!match) return { discipline: 'Other', series: sheet, seriesName: '' };
+  return {
+    discipline: DISCIPLINES[match[1][0]] || 'Other',
+    series: `${match[0]}xx`,
+    seriesName: SHEET_TYPES[Number(match[2])]
+  };
+}
+
+/**
+ * Group sheets [{ sheet, page, title }] by discipline, then series, in the
+ * order they first appear in the set:
+ * [{ discipline, series: [{ series, seriesName, sheets }] }]
+ */
+export function groupSheets(sheets) {
+  const disciplines = new Map();
+  for (const sheet of sheets.slice().sort((a, b) => a.page - b.page)) {
+    const { discipline, series, seriesName } = classifySheet(sheet.sheet);
+    if (!disciplines.has(discipline)) disciplines.set(discipline, new Map());
+    const seriesMap = disciplines.get(discipline);
+    if (!seriesMap.has(series)) seriesMap.set(series, { series, seriesName, sheets: [] });
+    seriesMap.get(series).sheets.push(sheet);
+  }
+  return Array.from(disciplines, ([discipline, seriesMap]) => ({ discipline, series: Array.from(seriesMap.values()) }));
+}
+
+/**
+ * Parse a drawing index from the rows of text on a page ("A101  FIRST
+ * FLOOR PLAN"). parseSheetId(text) returns { sheet, length } for a row
+ * starting with a sheet ID. Returns [{ sheet, title }], or null when the
+ * page has no drawing index heading.
+ */
+export function parseDrawingIndex(rows, parseSheetId) {
+  if (!rows.some(row => INDEX_HEADING.test(row))) return null;
+  const entries = [];
+  const seen = new Set();
+  for (const row of rows) {
+    const id = parseSheetId(row);
+    if (!id || seen.has(id.sheet)) continue;
+    const title = row.slice(id.length).replace(/^[\s.:\-–—]+/, '').trim();
+    // A sheet ID on its own is the title block's, not an index entry
+    if (!title) continue;
+    seen.add(id.sheet);
+    entries.push({ sheet: id.sheet, title });
+  }
+  return entries;
+}
+
+/**
+ * Whether two sheet titles say the same thing, ignoring case, punctuation
+ * and "&" vs "AND"
+ */
+export function sameTitle(a, b) {
+  const normalize = title => title.toUpperCase().replace(/&/g, ' AND ').replace(/[^A-Z0-9]+/g, '');
+  return normalize(a) === normalize(b);
+}
+
+/**
+ * Cross-check a drawing index [{ sheet, title }] against the sheets found
+ * in the set [{ sheet, page, title }]: sheets listed but missing from the
+ * set, sheets in the set but not listed, and sheets whose title block
+ * title differs from the index.
+ */
+export function crossCheckIndex(entries, sheets) {
+  const listed = new Map(entries.map(entry => [entry.sheet, entry]));
+  const found = new Map();
+  for (const sheet of sheets) {
+    if (!found.has(sheet.sheet)) found.set(sheet.sheet, sheet);
+  }
+
+  const missing = entries.filter(entry => !found.has(entry.sheet));
+  const unlisted = Array.from(found.values()).filter(sheet => !listed.has(sheet.sheet));
+  const titleMismatches = [];
+  for (const entry of entries) {
+    const sheet = found.get(entry.sheet);
+    if (sheet && sheet.title && !sameTitle(sheet.title, entry.title)) {
+      titleMismatches.push({ sheet: entry.sheet, page: sheet.page, indexTitle: entry.title, sheetTitle: sheet.title });
+    }
+  }
+  return { missing, unlisted, titleMismatches };
+}
@@ -0,0 +1,288 @@
+/**
+ * shortcuts.js - Keyboard commands and their bindings
+ *
+ * Every command the keyboard can run is listed here with its default keys.
+ * Keys can be rebound in the Keyboard shortcuts dialog (? or from the
+ * palette); changed bindings are kept in localStorage. The palette
+ * (palette.js) lists the same commands.
+ *
+ * Keys are named as KeyboardEvent.key, with Ctrl+/Alt+ in front ("Ctrl+K")
+ * and Shift+ only for keys that aren't characters ("Shift+Tab"; a shifted
+ * character is the character itself, "N" or "?").
+ */
+
+import {
+  pdfDoc,
+  currentPage,
+  totalPages,
+  goToPage,
+  zoomBy,
+  resetZoom,
+  fitPageWidth,
+  fitPageToWindow,
+  focusNextLink,
+  setLinkOverlaysVisible,
+  linkOverlaysVisible,
+  openSidebarPanel
+} from './main.js';
+import { focusSearch } from './search.js';
+import { goBack, goForward } from './history.js';
+import { openPalette, isPaletteOpen } from './palette.js';
+import { nextSheetMode, setDisciplineTint, disciplineTint } from './display.js';
+
+const BINDINGS_KEY = 'plan-navigator-shortcuts';
+// Keys that move between and follow links, so they can't be rebound
+const RESERVED_KEYS = ['Tab', 'Shift+Tab', 'Enter'];
+
+// id, label, default keys, whether an open plan set is needed, and action
+const COMMANDS = [
+  { id: 'goto', label: 'Go to sheet, callout or page…', keys: ['Ctrl+K', 'g'], run: () => openPalette() },
+  { id: 'search', label: 'Search', keys: ['/'], run: () => { openSidebarPanel('search-panel'); focusSearch(); } },
+  { id: 'previous-page', label: 'Previous page', keys: ['ArrowLeft'], needsDocument: true, run: () => currentPage > 1 && goToPage(currentPage - 1) },
+  { id: 'next-page', label: 'Next page', keys: ['ArrowRight'], needsDocument: true, run: () => currentPage < totalPages && goToPage(currentPage + 1) },
+  { id: 'back', label: 'Back', keys: ['['], run: goBack },
+  { id: 'forward', label: 'Forward', keys: [']'], run: goForward },
+  { id: 'zoom-in', label: 'Zoom in', keys: ['+', '='], needsDocument: true, run: () => zoomBy(1.2) },
+  { id: 'zoom-out', label: 'Zoom out', keys: ['-'], needsDocument: true, run: () => zoomBy(1 / 1.2) },
+  { id: 'zoom-reset', label: 'Reset zoom', keys: ['0'], needsDocument: true, run: resetZoom },
+  { id: 'fit-width', label: 'Fit width', keys: ['w'], needsDocument: true, run: () => fitPageWidth(currentPage) },
+  { id: 'fit-page', label: 'Fit page', keys: ['f'], needsDocument: true, run: () => fitPageToWindow(currentPage) },
+  { id: 'toggle-links', label: 'Show or hide links', keys: ['l'], needsDocument: true, run: () => setLinkOverlaysVisible(!linkOverlaysVisible()) },
+  { id: 'next-link', label: 'Next link on the sheet', keys: ['n'], needsDocument: true, run: () => focusNextLink(1) },
+  { id: 'previous-link', label: 'Previous link on the sheet', keys: ['N'], needsDocument: true, run: () => focusNextLink(-1) },
+  { id: 'sheet-mode', label: 'Next display mode (dark, high contrast…)', keys: ['d'], run: () => nextSheetMode() },
+  { id: 'discipline-tint', label: 'Tint links by discipline', keys: ['t'], run: () => setDisciplineTint(!disciplineTint()) },
+  { id: 'export', label: 'Export or print sheets…', keys: ['e'], needsDocument: true, run: () => openSidebarPanel('export-panel') },
+  { id: 'shortcuts', label: 'Keyboard shortcuts…', keys: ['?'], run: () => openShortcutsDialog() }
+];
+
+const dialog = document.getElementById('shortcuts-dialog');
+const shortcutsTable = document.getElementById('shortcuts-table');
+const resetBtn = document.getElementById('shortcuts-reset');
+const closeBtn = document.getElementById('shortcuts-close');
+
+// Command id -> keys, for the commands the user has rebound
+let customBindings = loadBindings();
+// Command waiting for a key in the dialog, or null
+let recording = null;
+// Element focused before the dialog opened
+let returnFocus = null;
+
+/**
+ * Read the rebound keys saved in this browser
+ */
+function loadBindings() {
+  try {
+    const saved = JSON.parse(localStorage.getItem(BINDINGS_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch (err) {
+    return {};
+  }
+}
+
+/**
+ * Save the rebound keys
+ */
+function saveBindings() {
+  try {
+    localStorage.setItem(BINDINGS_KEY, JSON.stringify(customBindings));
+  } catch (err) {
+    console.warn('Could not save keyboard shortcuts:', err);
+  }
+}
+
+/**
+ * Keys bound to a command
+ */
+export function commandKeys(id) {
+  const command = COMMANDS.find(c => c.id === id);
+  return customBindings[id] || (command ? command.keys : []);
+}
+
+/**
+ * The first key bound to a command, for button titles ("Back (["), or ''
+ */
+export function shortcutHint(id) {
+  const [key] = commandKeys(id);
+  return key ? ` (${key})` : '';
+}
+
+/**
+ * Name of the key combination of a keydown event (see the header), or
+ * null for a modifier key on its own
+ */
+export function keyName(e) {
+  if (['Control', 'Shift', 'Alt', 'Meta'].includes(e.key)) return null;
+  const modifiers = [];
+  // Cmd on a Mac does what Ctrl does elsewhere
+  if (e.ctrlKey || e.metaKey) modifiers.push('Ctrl');
+  if (e.altKey) modifiers.push('Alt');
+  let key = e.key === ' ' ? 'Space' : e.key;
+  if (key.length === 1) {
+    if (modifiers.length > 0) key = key.toUpperCase();
+  } else if (e.shiftKey) {
+    modifiers.push('Shift');
+  }
+  return [...modifiers, key].join('+');
+}
+
+/**
+ * The commands that can run now, with their keys, for the palette
+ */
+export function availableCommands() {
+  return COMMANDS
+    .filter(command => pdfDoc || !command.needsDocument)
+    .map(({ id, label, run }) => ({ id, label, keys: commandKeys(id), run }));
+}
+
+/**
+ * Run the command bound to a key combination; returns whether there was one
+ */
+function runShortcut(key, e) {
+  const command = COMMANDS.find(c => commandKeys(c.id).includes(key));
+  if (!command) return false;
+  // Keys that type characters are left to fields; Ctrl combinations work anywhere
+  const typing = e.target.closest && e.target.closest('input, textarea, select, [contenteditable]');
+  if (typing && !key.startsWith('Ctrl+')) return false;
+  if (command.needsDocument && !pdfDoc) return false;
+  e.preventDefault();
+  command.run();
+  return true;
+}
+
+/**
+ * Add the bound keys to the titles of the toolbar buttons that run commands
+ * (data-shortcut names the command)
+ */
+function updateButtonTitles() {
+  document.querySelectorAll('[data-shortcut]').forEach((button) => {
+    if (!('baseTitle' in button.dataset)) button.dataset.baseTitle = button.title || button.textContent.trim();
+    button.title = button.dataset.baseTitle + shortcutHint(button.dataset.shortcut);
+  });
+}
+
+/**
+ * List the commands and their keys in the dialog, keeping the keyboard on
+ * the Change button of the command focusId
+ */
+function renderShortcuts(focusId = null) {
+  shortcutsTable.innerHTML = '';
+  for (const command of COMMANDS) {
+    const row = shortcutsTable.insertRow();
+    row.insertCell().textContent = command.label;
+
+    const keysCell = row.insertCell();
+    const keys = commandKeys(command.id);
+    if (recording === command.id) {
+      keysCell.textContent = 'Press a key… (Esc to cancel, Backspace to clear)';
+    } else if (keys.length === 0) {
+      keysCell.textContent = 'None';
+    } else {
+      keys.forEach((key) => {
+        const kbd = document.createElement('kbd');
+        kbd.textContent = key;
+        keysCell.appendChild(kbd);
+      });
+    }
+
+    const change = document.createElement('button');
+    change.dataset.command = command.id;
+    change.textContent = 'Change';
+    change.setAttribute('aria-label', `Change the key for ${command.label}`);
+    change.addEventListener('click', () => {
+      recording = command.id;
+      renderShortcuts(command.id);
+    });
+    row.insertCell().appendChild(change);
+  }
+  if (focusId) shortcutsTable.querySelector(`[data-command="${focusId}"]`).focus();
+}
+
+/**
+ * Bind a key to the command being recorded, taking it from any command
+ * that had it
+ */
+function bindRecorded(key) {
+  for (const command of COMMANDS) {
+    const keys = commandKeys(command.id);
+    if (command.id !== recording && keys.includes(key)) {
+      customBindings[command.id] = keys.filter(k => k !== key);
+    }
+  }
+  const id = recording;
+  customBindings[id] = key ? [key] : [];
+  recording = null;
+  saveBindings();
+  updateButtonTitles();
+  renderShortcuts(id);
+}
+
+/**
+ * Show the Keyboard shortcuts dialog
+ */
+export function openShortcutsDialog() {
+  returnFocus = document.activeElement;
+  recording = null;
+  renderShortcuts();
+  dialog.hidden = false;
+  closeBtn.focus();
+}
+
+/**
+ * Hide the Keyboard shortcuts dialog
+ */
+function closeShortcutsDialog() {
+  dialog.hidden = true;
+  recording = null;
+  if (returnFocus && returnFocus.focus) returnFocus.focus();
+}
+
+/**
+ * Keys pressed while the dialog is open: record a binding, or Escape to
+ * close
+ */
+function onDialogKeydown(e) {
+  if (recording) {
+    const key = keyName(e);
+    if (!key || RESERVED_KEYS.includes(key)) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (key === 'Escape') {
+      const id = recording;
+      recording = null;
+      renderShortcuts(id);
+    } else {
+      bindRecorded(key === 'Backspace' || key === 'Delete' ? null : key);
+    }
+  } else if (e.key === 'Escape') {
+    e.preventDefault();
+    closeShortcutsDialog();
+  }
+}
+
+/**
+ * Listen for shortcuts and wire up the dialog
+ */
+export function initShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!dialog.hidden) {
+      onDialogKeydown(e);
+      return;
+    }
+    if (isPaletteOpen()) return;
+    const key = keyName(e);
+    if (key) runShortcut(key, e);
+  });
+  resetBtn.addEventListener('click', () => {
+    customBindings = {};
+    recording = null;
+    saveBindings();
+    updateButtonTitles();
+    renderShortcuts();
+  });
+  closeBtn.addEventListener('click', closeShortcutsDialog);
+  dialog.addEventListener('mousedown', (e) => {
+    if (e.target === dialog) closeShortcutsDialog();
+  });
+  updateButtonTitles();
+}
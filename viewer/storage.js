@@ -0,0 +1,202 @@
+/**
+ * storage.js - IndexedDB persistence for the viewer
+ *
+ * Keeps the list of recently opened plan sets, and the computed sheet
+ * index, markups, measurements and bookmarks of each PDF. Local files are
+ * stored as Blobs so they can be reopened without picking them again.
+ * Served sets kept for offline use are listed here too; their files live
+ * in Cache Storage (see offline.js).
+ */
+
+const DB_NAME = 'plan-navigator';
+const DB_VERSION = 6;
+const RECENT_STORE = 'recentSets';
+// Sheet-ID maps keyed by PDF fingerprint
+const SHEET_INDEX_STORE = 'sheetIndexes';
+// Markup layers keyed by PDF fingerprint
+const MARKUP_STORE = 'markups';
+// Per-sheet calibrations and measurements keyed by PDF fingerprint
+const MEASUREMENT_STORE = 'measurements';
+// Served sets cached for offline use, keyed by PDF URL
+const OFFLINE_STORE = 'offlineSets';
+// Named views (sheet and zoom) keyed by PDF fingerprint
+const BOOKMARK_STORE = 'bookmarks';
+const MAX_RECENT = 10;
+
+let dbPromise = null;
+
+/**
+ * Open (and create or upgrade) the database once per session
+ */
+function openDb() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(RECENT_STORE)) {
+          db.createObjectStore(RECENT_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(SHEET_INDEX_STORE)) {
+          db.createObjectStore(SHEET_INDEX_STORE, { keyPath: 'fingerprint' });
+        }
+        if (!db.objectStoreNames.contains(MARKUP_STORE)) {
+          db.createObjectStore(MARKUP_STORE, { keyPath: 'fingerprint' });
+        }
+        if (!db.objectStoreNames.contains(MEASUREMENT_STORE)) {
+          db.createObjectStore(MEASUREMENT_STORE, { keyPath: 'fingerprint' });
+        }
+        if (!db.objectStoreNames.contains(OFFLINE_STORE)) {
+          db.createObjectStore(OFFLINE_STORE, { keyPath: 'id' });
+        }
+        if (!db.objectStoreNames.contains(BOOKMARK_STORE)) {
+          db.createObjectStore(BOOKMARK_STORE, { keyPath: 'fingerprint' });
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+/**
+ * Run a single request against a store and resolve with its result
+ */
+async function withStore(storeName, mode, fn) {
+  const db = await openDb();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request ? request.result : undefined);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+/**
+ * List recent plan sets, most recently opened first
+ */
+export async function listRecentSets() {
+  const entries = await withStore(RECENT_STORE, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => b.lastOpened - a.lastOpened);
+}
+
+/**
+ * Get one recent set by id
+ */
+export async function getRecentSet(id) {
+  return withStore(RECENT_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Add or refresh a recent set, dropping the oldest beyond MAX_RECENT
+ */
+export async function saveRecentSet(entry) {
+  await withStore(RECENT_STORE, 'readwrite', store => store.put(entry));
+  const entries = await listRecentSets();
+  for (const stale of entries.slice(MAX_RECENT)) {
+    await removeRecentSet(stale.id);
+  }
+}
+
+/**
+ * Remove a recent set
+ */
+export async function removeRecentSet(id) {
+  return withStore(RECENT_STORE, 'readwrite', store => store.delete(id));
+}
+
+/**
+ * Get the cached sheet index for a PDF fingerprint
+ */
+export async function getSheetIndex(fingerprint) {
+  return withStore(SHEET_INDEX_STORE, 'readonly', store => store.get(fingerprint));
+}
+
+/**
+ * Cache a sheet index ({ fingerprint, patternsKey, labels, ... })
+ */
+export async function saveSheetIndex(entry) {
+  return withStore(SHEET_INDEX_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Remove the cached sheet index of a PDF
+ */
+export async function removeSheetIndex(fingerprint) {
+  return withStore(SHEET_INDEX_STORE, 'readwrite', store => store.delete(fingerprint));
+}
+
+/**
+ * Get the saved markups for a PDF fingerprint
+ */
+export async function getMarkups(fingerprint) {
+  return withStore(MARKUP_STORE, 'readonly', store => store.get(fingerprint));
+}
+
+/**
+ * Save the markups of a PDF ({ fingerprint, pdfName, markups, updatedAt })
+ */
+export async function saveMarkups(entry) {
+  return withStore(MARKUP_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Get the saved calibrations and measurements for a PDF fingerprint
+ */
+export async function getMeasurements(fingerprint) {
+  return withStore(MEASUREMENT_STORE, 'readonly', store => store.get(fingerprint));
+}
+
+/**
+ * Save calibrations and measurements
+ * ({ fingerprint, calibrations, measurements, updatedAt })
+ */
+export async function saveMeasurements(entry) {
+  return withStore(MEASUREMENT_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Get the saved bookmarks for a PDF fingerprint
+ */
+export async function getBookmarks(fingerprint) {
+  return withStore(BOOKMARK_STORE, 'readonly', store => store.get(fingerprint));
+}
+
+/**
+ * Save the bookmarks of a PDF ({ fingerprint, pdfName, bookmarks, updatedAt })
+ */
+export async function saveBookmarks(entry) {
+  return withStore(BOOKMARK_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * List sets kept for offline use, most recently opened first
+ */
+export async function listOfflineSets() {
+  const entries = await withStore(OFFLINE_STORE, 'readonly', store => store.getAll());
+  return entries.sort((a, b) => b.lastOpened - a.lastOpened);
+}
+
+/**
+ * Get one offline set by id (its URL)
+ */
+export async function getOfflineSet(id) {
+  return withStore(OFFLINE_STORE, 'readonly', store => store.get(id));
+}
+
+/**
+ * Record a set kept offline
+ * ({ id, name, files, fingerprint, size, cachedAt, lastOpened })
+ */
+export async function saveOfflineSet(entry) {
+  return withStore(OFFLINE_STORE, 'readwrite', store => store.put(entry));
+}
+
+/**
+ * Forget a set kept offline
+ */
+export async function removeOfflineSet(id) {
+  return withStore(OFFLINE_STORE, 'readwrite', store => store.delete(id));
+}
@@ -0,0 +1,162 @@
+/**
+ * sw.js - Service worker for offline use
+ *
+ * The viewer itself (SHELL_FILES) is cached on install and served from the
+ * cache, refreshed in the background whenever the network is there. Plan
+ * sets go to the network first, and fall back to the copies offline.js
+ * keeps in SETS_CACHE, so a set opened once still opens with no signal.
+ * pdf.js asks for byte ranges of large PDFs; those are cut from the cached
+ * file.
+ */
+
+// Bump when files are added to or removed from SHELL_FILES
+const SHELL_CACHE = 'plan-navigator-shell-v9';
+// Shared with offline.js
+const SETS_CACHE = 'plan-navigator-sets';
+
+const SHELL_FILES = [
+  './',
+  'index.html',
+  'manifest.webmanifest',
+  'icon.svg',
+  'icon-192.png',
+  'icon-512.png',
+  'patterns.json',
+  'main.js',
+  'audit.js',
+  'audit-report.js',
+  'bookmarks.js',
+  'compare.js',
+  'detect.js',
+  'display.js',
+  'download.js',
+  'export.js',
+  'geometry.js',
+  'goto.js',
+  'history.js',
+  'link-export.js',
+  'link-preview.js',
+  'markup.js',
+  'measure.js',
+  'offline.js',
+  'palette.js',
+  'paper.js',
+  'pdf-links.js',
+  'pdf-writer.js',
+  'project.js',
+  'references.js',
+  'renderer.js',
+  'resolve.js',
+  'scale.js',
+  'search.js',
+  'shortcuts.js',
+  'sheet-list.js',
+  'sheets.js',
+  'storage.js',
+  'pdfjs/build/pdf.js',
+  'pdfjs/build/pdf.worker.js'
+];
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES))
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith('plan-navigator-shell-') && key !== SHELL_CACHE)
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+  if (url.origin !== location.origin) return;
+  if (url.href.startsWith(self.registration.scope) && isShellFile(url)) {
+    event.respondWith(fromShell(event, request));
+  } else {
+    event.respondWith(fromNetworkOrSets(request));
+  }
+});
+
+/**
+ * Whether a URL is one of the viewer's own files (the page itself is
+ * requested with the set in its query string)
+ */
+function isShellFile(url) {
+  const path = url.href.slice(self.registration.scope.length).split(/[?#]/)[0];
+  return SHELL_FILES.includes(path || './');
+}
+
+/**
+ * Serve a viewer file from the cache and refresh it from the network
+ */
+async function fromShell(event, request) {
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+  const refresh = fetch(request)
+    .then((response) => {
+      if (response.ok) return cache.put(new URL(request.url).pathname, response.clone()).then(() => response);
+      return response;
+    });
+  if (cached) {
+    event.waitUntil(refresh.catch(() => {}));
+    return cached;
+  }
+  return refresh;
+}
+
+/**
+ * Try the network, then the sets kept offline
+ */
+async function fromNetworkOrSets(request) {
+  try {
+    return await fetch(request);
+  } catch (err) {
+    const cached = await caches.open(SETS_CACHE).then(cache => cache.match(request));
+    if (!cached) throw err;
+    const range = request.headers.get('Range');
+    return range ? rangeResponse(cached, range) : cached;
+  }
+}
+
+/**
+ * Answer a "bytes=start-end" request from a whole cached file
+ */
+async function rangeResponse(response, range) {
+  const blob = await response.blob();
+  const match = /^bytes=(\d*)-(\d*)$/.exec(range.trim());
+  if (!match || (!match[1] && !match[2])) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  let start;
+  let end;
+  if (match[1]) {
+    start = Number(match[1]);
+    end = match[2] ? Math.min(Number(match[2]), blob.size - 1) : blob.size - 1;
+  } else {
+    // "bytes=-500" is the last 500 bytes
+    start = Math.max(0, blob.size - Number(match[2]));
+    end = blob.size - 1;
+  }
+  if (start > end) {
+    return new Response(null, { status: 416, headers: { 'Content-Range': `bytes */${blob.size}` } });
+  }
+  return new Response(blob.slice(start, end + 1), {
+    status: 206,
+    headers: {
+      'Content-Type': response.headers.get('Content-Type') || 'application/octet-stream',
+      'Content-Length': String(end - start + 1),
+      'Content-Range': `bytes ${start}-${end}/${blob.size}`,
+      'Accept-Ranges': 'bytes'
+    }
+  });
+}